@@ -1,3 +1,3 @@
 @echo off
-set ROOT=C:\Users\wiz30\unit-tracker\app
+set ROOT=%~dp0.
 powershell -NoProfile -ExecutionPolicy Bypass -File "%ROOT%\start_all.ps1"
@@ -2,6 +2,7 @@
 // Universal: reads last 2 snapshots for a property, computes appeared/disappeared,
 // writes unit_events for the latest snapshot_date.
 // Designed to work for BOTH RentCafe + SightMap snapshots.
+// Only writes the latest date. To regenerate past days: node unit_tracker.js backfill-events
 
 import "dotenv/config";
 import { createClient } from "@supabase/supabase-js";
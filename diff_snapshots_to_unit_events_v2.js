@@ -9,6 +9,8 @@
 // 1) Single property: set PROPERTY_ID in env
 // 2) Batch by platform: set PLATFORM in env (e.g. "sightmap" or "rentcafe")
 // 3) All properties with snapshots: default if neither is set Created by OV Agency
+//
+// Only writes the latest date. To regenerate past days: node unit_tracker.js backfill-events
 
 import "dotenv/config";
 import { createClient } from "@supabase/supabase-js";
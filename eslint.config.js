@@ -26,4 +26,22 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Node-side scraper pipeline + CLI + tests
+    files: [
+      'lib/**/*.js',
+      'unit_tracker.js',
+      'test/**/*.js',
+      'push_rentcafe_snapshot_to_supabase_v7.js',
+      'push_sightmap_snapshot_to_supabase_v2.js',
+      'push_realpage_snapshot_to_supabase_v1.js',
+      'push_prospectportal_snapshot_to_supabase_v3.js',
+      'push_sofi_snapshot_to_supabase.js',
+      'tools/geocode_properties.js',
+      'tools/detect_platform_batch.js',
+    ],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.browser },
+    },
+  },
 ])
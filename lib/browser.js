@@ -0,0 +1,91 @@
+// lib/browser.js
+// Playwright helpers shared by the browser-based platforms (RentCafe, RealPage, ProspectPortal)
+import { chromium } from "playwright";
+
+export const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36";
+
+export function launchBrowser({ headless = true } = {}) {
+  return chromium.launch({ headless });
+}
+
+/**
+ * New context + page with the desktop UA every runner uses.
+ * blockResources: ["image", "media", "font"] aborts those resource types.
+ */
+export async function createContext(browser, { blockResources = [] } = {}) {
+  const context = await browser.newContext({
+    userAgent: USER_AGENT,
+    viewport: { width: 1280, height: 800 },
+    locale: "en-US",
+  });
+
+  const page = await context.newPage();
+
+  // Reduce "automation" signals slightly
+  await page.addInitScript(() => {
+    Object.defineProperty(navigator, "webdriver", { get: () => false });
+  });
+
+  if (blockResources.length) {
+    const blocked = new Set(blockResources);
+    await page.route("**/*", (route) => {
+      if (blocked.has(route.request().resourceType())) return route.abort();
+      // fallback, not continue: lets a context-level handler (HAR replay) still serve it
+      return route.fallback();
+    });
+  }
+
+  return { context, page };
+}
+
+export async function closeContext({ context, page }) {
+  await page?.close().catch(() => {});
+  await context?.close().catch(() => {});
+}
+
+// Runs fn(page) in a fresh context and always closes it — what most extractors need
+export async function withPage(browser, fn, opts = {}) {
+  const handle = await createContext(browser, opts);
+  try {
+    return await fn(handle.page);
+  } finally {
+    await closeContext(handle);
+  }
+}
+
+export async function gotoWithRetries(
+  page,
+  url,
+  {
+    retries = 0,
+    timeoutMs = 60000,
+    waitUntil = "domcontentloaded",
+    settleMs = 2500,
+    log = console.log,
+    record = () => {}, // ExtractContext.recordRequest
+  } = {}
+) {
+  let lastErr = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      log(`Opening: ${url} (attempt ${attempt + 1}/${retries + 1})`);
+      const resp = await page.goto(url, { waitUntil, timeout: timeoutMs });
+
+      log("HTTP status:", resp ? resp.status() : null);
+      record({ url, status: resp ? resp.status() : null });
+      await page.waitForTimeout(settleMs);
+      return resp;
+    } catch (err) {
+      lastErr = err;
+      log("  goto error:", String(err?.message || err));
+      record({ url, status: null, error: String(err?.message || err) });
+
+      // quick backoff
+      await page.waitForTimeout(1200);
+    }
+  }
+
+  throw lastErr || new Error("goto failed");
+}
@@ -0,0 +1,21 @@
+// lib/cli_args.js
+// Tiny argv helpers: accepts both "--name=value" and "--name value"
+
+export function parseArgs(argv) {
+  const args = argv.slice();
+
+  const getArg = (name, def = null) => {
+    const eq = args.find((a) => a.startsWith(`--${name}=`));
+    if (eq) return eq.split("=").slice(1).join("=");
+
+    const idx = args.indexOf(`--${name}`);
+    const next = idx >= 0 ? args[idx + 1] : undefined;
+    if (next !== undefined && !next.startsWith("--")) return next;
+
+    return def;
+  };
+
+  const hasFlag = (name) => args.includes(`--${name}`) || args.some((a) => a.startsWith(`--${name}=`));
+
+  return { args, getArg, hasFlag };
+}
@@ -0,0 +1,83 @@
+// lib/cron.js
+// Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), local time.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and day-of-week 0-7 (0 and 7 = Sunday).
+// Like cron, when both day-of-month and day-of-week are restricted a day matching either one counts.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// A year of minutes: anything that never matches within that is treated as "never"
+const MAX_STEPS = 60 * 24 * 366;
+
+function parseField(text, { name, min, max }) {
+  const out = new Set();
+
+  for (const part of text.split(",")) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`cron ${name}: can't read "${part}"`);
+
+    const lo = m[1] === "*" ? min : Number(m[1]);
+    const hi = m[2] != null ? Number(m[2]) : m[1] === "*" || m[3] ? max : lo;
+    const step = m[3] != null ? Number(m[3]) : 1;
+
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`cron ${name}: "${part}" outside ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+
+  return out;
+}
+
+export function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}": expected 5 fields (minute hour day month weekday)`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+
+  return { expr, minute, hour, dom, month, dow, domAny: parts[2] === "*", dowAny: parts[4] === "*" };
+}
+
+function dayMatches(cron, d) {
+  const domOk = cron.dom.has(d.getDate());
+  const dowOk = cron.dow.has(d.getDay());
+  if (cron.domAny || cron.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+// Walks minute by minute (skipping whole days/hours that can't match) in direction dir
+function search(cron, from, dir) {
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!cron.month.has(t.getMonth() + 1) || !dayMatches(cron, t)) {
+      if (dir > 0) t.setHours(24, 0, 0, 0);
+      else t.setHours(0, -1, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getHours())) {
+      if (dir > 0) t.setHours(t.getHours() + 1, 0, 0, 0);
+      else t.setMinutes(-1, 0, 0);
+      continue;
+    }
+    if (cron.minute.has(t.getMinutes())) return t;
+    t.setMinutes(t.getMinutes() + dir);
+  }
+
+  return null;
+}
+
+// First slot strictly after `after`
+export function nextRun(cron, after = new Date()) {
+  return search(cron, new Date(after.getTime() + 60000), 1);
+}
+
+// Latest slot at or before `at` (the minute `at` falls in counts)
+export function previousRun(cron, at = new Date()) {
+  return search(cron, at, -1);
+}
@@ -0,0 +1,104 @@
+// lib/dates.js
+// Availability text -> ISO date. Sites say "Available Now", "Available Mar 5th", "3/5/2025",
+// "2025-03-05T00:00:00"; relative and partial dates are resolved against the snapshot date.
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// A yearless date this far behind the snapshot date is read as next year ("Jan 5" seen on Dec 20),
+// this far ahead as last year ("Dec 28" seen on Jan 5 = already available)
+const PAST_GRACE_DAYS = 60;
+const FUTURE_LIMIT_DAYS = 300;
+
+function isoFromParts(y, m, d) {
+  const iso = `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  const dt = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(dt.getTime()) || dt.toISOString().slice(0, 10) !== iso) return null;
+  return iso;
+}
+
+export function addDaysISO(iso, days) {
+  const dt = new Date(`${iso}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return dt.toISOString().slice(0, 10);
+}
+
+export function daysBetweenISO(fromIso, toIso) {
+  return Math.round((Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) / 86400000);
+}
+
+// Month/day with no year: pick the year that puts it closest to "upcoming" relative to the snapshot
+export function resolveYearlessDate(month, day, snapshotDate) {
+  const year = Number(snapshotDate.slice(0, 4));
+
+  const candidates = [year - 1, year, year + 1]
+    .map((y) => isoFromParts(y, month, day))
+    .filter(Boolean)
+    .map((iso) => ({ iso, delta: daysBetweenISO(snapshotDate, iso) }));
+
+  const inWindow = candidates.find((c) => c.delta >= -PAST_GRACE_DAYS && c.delta <= FUTURE_LIMIT_DAYS);
+  if (inWindow) return inWindow.iso;
+
+  // The window is a few days short of a year: a date in that gap goes to the nearer side.
+  // Feb 29 (a leap day in one candidate year at most) with none in the window has no reading.
+  if (candidates.length < 3) return null;
+  const outside = (c) => (c.delta < 0 ? -PAST_GRACE_DAYS - c.delta : c.delta - FUTURE_LIMIT_DAYS);
+  return candidates.reduce((best, c) => (outside(c) < outside(best) ? c : best)).iso;
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  return y.length <= 2 ? 2000 + n : n;
+}
+
+/**
+ * Returns YYYY-MM-DD or null when the text has no usable date ("Waitlist", "Call for details").
+ * snapshotDate (YYYY-MM-DD) anchors "now"/"today"/"tomorrow" and yearless dates.
+ */
+export function parseAvailableOn(text, snapshotDate) {
+  const raw = String(text ?? "").replace(/\u00a0/g, " ").trim();
+  if (!raw) return null;
+
+  const s = raw.toLowerCase().replace(/\s+/g, " ");
+
+  // Absolute forms first — they don't need the snapshot date
+  const iso = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})(?:[t ]|$|\b)/);
+  if (iso) return isoFromParts(iso[1], iso[2], iso[3]);
+
+  const us = s.match(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})\b/);
+  if (us) return isoFromParts(fullYear(us[3]), us[1], us[2]);
+
+  if (!snapshotDate) return null;
+
+  if (/\b(not available|unavailable|waitlist|wait list)\b/.test(s)) return null;
+
+  if (/\b(now|immediate|immediately|today)\b/.test(s)) return snapshotDate;
+  if (/\btomorrow\b/.test(s)) return addDaysISO(snapshotDate, 1);
+
+  // "Mar 5th", "March 5, 2025", "Sept. 12"
+  const monthFirst = s.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s*(\d{4}))?/);
+  if (monthFirst) {
+    const month = MONTHS[monthFirst[1]];
+    const day = Number(monthFirst[2]);
+    return monthFirst[3] ? isoFromParts(monthFirst[3], month, day) : resolveYearlessDate(month, day, snapshotDate);
+  }
+
+  // "5th March", "5 Mar 2025"
+  const dayFirst = s.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?(?:,?\s*(\d{4}))?/);
+  if (dayFirst) {
+    const month = MONTHS[dayFirst[2]];
+    const day = Number(dayFirst[1]);
+    return dayFirst[3] ? isoFromParts(dayFirst[3], month, day) : resolveYearlessDate(month, day, snapshotDate);
+  }
+
+  // "Available 3/5"
+  const usShort = s.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  if (usShort) return resolveYearlessDate(Number(usShort[1]), Number(usShort[2]), snapshotDate);
+
+  // Bare "Available" (SecureCafe rows with no date) means available now
+  if (/^available\.?$/.test(s)) return snapshotDate;
+
+  return null;
+}
@@ -0,0 +1,82 @@
+// lib/env_runner.js
+// Glue for the per-property push_*_snapshot_to_supabase scripts: build a properties-like
+// row from .env.<platform>.<property> vars and run it through the same core as unit_tracker.js.
+import { createAdminClient } from "./supabase_admin.js";
+import { launchBrowser } from "./browser.js";
+import { runPropertySnapshot } from "./run_property.js";
+import { todayYYYYMMDD } from "./util.js";
+import { eventConfirmationFromEnv } from "./units.js";
+import { startScrapeRun, buildRunItem, recordScrapeRunItem, finishScrapeRun } from "./scrape_runs.js";
+
+/**
+ * Returns the process exit code: 0 ok, 1 bad config, 2 zero units (nothing written),
+ * 3 provisional (looked partial, no events written; ALLOW_PARTIAL=1 accepts it).
+ * required: env var names that must be set, checked before anything runs.
+ */
+export async function runFromEnv({ runner, required = [], propertyId, property, defaultSource, headless = true, debug = false }) {
+  const missing = required.filter((k) => !String(process.env[k] || "").trim());
+  if (missing.length) {
+    console.error(`Missing ${missing.join(" or ")} in .env`);
+    return 1;
+  }
+
+  const supabase = createAdminClient();
+  const snapshotDate = process.env.SNAPSHOT_DATE || todayYYYYMMDD();
+  const source = process.env.EVENT_SOURCE || defaultSource;
+
+  console.log(`Fetching ${runner.label} data...`);
+  console.log("Property:", propertyId);
+  console.log("Snapshot date:", snapshotDate);
+
+  const startedAt = Date.now();
+  const runId = await startScrapeRun(supabase, { trigger: "env", snapshotDate, source, args: { property: propertyId } });
+  const requests = [];
+  const ledger = async (status, extra) => {
+    await recordScrapeRunItem(
+      supabase,
+      runId,
+      buildRunItem({ property: { id: propertyId }, platform: runner.platform, status, requests, startedAt, ...extra })
+    );
+    await finishScrapeRun(supabase, runId, { statuses: [status], startedAt });
+  };
+
+  const browser = runner.usesBrowser ? await launchBrowser({ headless }) : null;
+
+  let res;
+  try {
+    res = await runPropertySnapshot({
+      supabase,
+      property: { ...property, id: propertyId },
+      runner,
+      snapshotDate,
+      source,
+      browser,
+      debug,
+      recordRequest: (r) => requests.push(r),
+      allowPartial: process.env.ALLOW_PARTIAL === "1",
+      confirm: eventConfirmationFromEnv(),
+    });
+  } catch (err) {
+    await ledger("failed", { error: err });
+    throw err;
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  await ledger(res.status, { result: res });
+
+  if (res.quarantined.length) console.log(`⚠️ ${res.quarantined.length} row(s) quarantined (see unit_quarantine)`);
+
+  if (res.status === "zero_units") {
+    console.log("⚠️ Extracted 0 units — snapshot NOT written.");
+    return 2;
+  }
+
+  if (res.status === "provisional") {
+    console.log(`⚠️ Provisional snapshot, no events written: ${res.provisionalReasons.join("; ")}`);
+    return 3;
+  }
+
+  console.log(`✅ Snapshot upserted, ${res.events.length} events written (source=${source})`);
+  return 0;
+}
@@ -0,0 +1,118 @@
+// lib/event_backfill.js
+// Rebuild unit_events from stored snapshots over a date range (`unit_tracker.js backfill-events`).
+// Each confirmed snapshot in the range is diffed the way a live scrape diffs it (buildUnitEvents
+// over the same history window, see eventHistorySize), with the current normalization code
+// applied to the stored units_json, so a normalization fix can be replayed over old days.
+// Provisional snapshots stay skipped and their days end up with no events, as in a live run;
+// is_provisional itself is not re-evaluated.
+// Only days whose events differ are rewritten, so a second run changes nothing.
+import { buildUnitEvents, dedupeUnits, EVENT_CONFIRMATION } from "./units.js";
+import { withAvailability } from "./unit_schema.js";
+import { eventHistorySize } from "./run_property.js";
+import { getEventsForProperty, getRecentSnapshots, getSnapshotsForProperty, replaceEventsForDay } from "./snapshots.js";
+
+function snapshotUnits(snap) {
+  return dedupeUnits(snap.units_json).map((u) => withAvailability(u, snap.snapshot_date));
+}
+
+/**
+ * snapshots: confirmed { snapshot_date, units_json }, ascending, including the history window
+ * before fromDate. Returns Map(event_date -> unit_events rows) for every snapshot date in
+ * [fromDate, toDate].
+ */
+export function rebuildEvents({ propertyId, snapshots, fromDate, toDate, source, confirm = EVENT_CONFIRMATION }) {
+  const historySize = eventHistorySize(confirm);
+  const days = (snapshots || []).map((s) => ({ snapshot_date: s.snapshot_date, units: snapshotUnits(s) }));
+  const out = new Map();
+
+  days.forEach((day, i) => {
+    const date = day.snapshot_date;
+    if (date < fromDate || date > toDate) return;
+
+    // A live run never stores an empty snapshot (zero_units); an old one gets no events
+    if (!day.units.length) {
+      out.set(date, []);
+      return;
+    }
+
+    const { events } = buildUnitEvents({
+      propertyId,
+      eventDate: date,
+      source,
+      history: days.slice(Math.max(0, i - historySize), i).reverse(),
+      currUnits: day.units,
+      confirm,
+    });
+    out.set(date, events);
+  });
+
+  return out;
+}
+
+const eventKey = (e) => [e.event_type, e.unit_key, e.unit_number ?? "", e.old_value ?? "", e.new_value ?? ""].join("|");
+
+// Multiset difference a - b by eventKey
+function minus(a, b) {
+  const left = new Map();
+  for (const e of b) left.set(eventKey(e), (left.get(eventKey(e)) || 0) + 1);
+
+  const out = [];
+  for (const e of a) {
+    const n = left.get(eventKey(e)) || 0;
+    if (n > 0) left.set(eventKey(e), n - 1);
+    else out.push(e);
+  }
+  return out;
+}
+
+/**
+ * existing: unit_events rows in the range; rebuilt: Map from rebuildEvents.
+ * Days with stored events but no confirmed snapshot are cleared.
+ * Returns [{ date, events, added, removed }] for the days that differ, ascending.
+ */
+export function diffEventDays(existing, rebuilt) {
+  const stored = new Map();
+  for (const e of existing || []) {
+    const date = String(e.event_date).slice(0, 10);
+    if (!stored.has(date)) stored.set(date, []);
+    stored.get(date).push(e);
+  }
+
+  const dates = [...new Set([...stored.keys(), ...rebuilt.keys()])].sort();
+  const changes = [];
+
+  for (const date of dates) {
+    const before = stored.get(date) || [];
+    const after = rebuilt.get(date) || [];
+    const added = minus(after, before);
+    const removed = minus(before, after);
+    if (added.length || removed.length) changes.push({ date, events: after, added, removed });
+  }
+
+  return changes;
+}
+
+/**
+ * Rebuild one property's unit_events for [fromDate, toDate] (one source). dryRun computes the
+ * diff without writing. Returns { snapshots, days, changes } (snapshots/days in the range).
+ */
+export async function backfillPropertyEvents(
+  supabase,
+  propertyId,
+  { fromDate, toDate, source, confirm = EVENT_CONFIRMATION, dryRun = false }
+) {
+  const before = await getRecentSnapshots(supabase, propertyId, fromDate, eventHistorySize(confirm));
+  const inRange = await getSnapshotsForProperty(supabase, propertyId, { fromDate, toDate });
+
+  const rebuilt = rebuildEvents({ propertyId, snapshots: [...before.reverse(), ...inRange], fromDate, toDate, source, confirm });
+  const existing = await getEventsForProperty(supabase, propertyId, { source, fromDate, toDate });
+  const changes = diffEventDays(existing, rebuilt);
+
+  if (!dryRun) {
+    for (const c of changes) {
+      await replaceEventsForDay(supabase, { propertyId, eventDate: c.date, source, events: c.events });
+    }
+  }
+
+  return { snapshots: inRange.length, days: rebuilt.size, changes };
+}
@@ -0,0 +1,72 @@
+// lib/extractor.js
+// The extractor (platform plugin) contract. Everything else — snapshot upsert,
+// diffing, unit_events — lives in the core (lib/run_property.js), so a new
+// platform is one file in lib/platforms/ plus a line in lib/platforms/index.js.
+
+/**
+ * @typedef {Object} UnitRow
+ * @property {string} unit_number      Unit label as shown on the site ("1204", "B-310"). Required.
+ * @property {string} [unit_key]       "unit:<unit_number>". Filled in by the core when omitted.
+ * @property {string} [unit_id]        Platform id for the unit, if it has one.
+ * @property {string|null} [available_on]  Availability as the site shows it ("2025-03-01", "Available", "3/1/2025").
+ * @property {number|null} [price]     Monthly rent in dollars (low end when the site shows a range).
+ * @property {string|null} [floor_plan_id]
+ * @property {Object} [meta]           Anything platform-specific worth keeping (page_url, raw text, ...).
+ * Optional canonical fields (beds, baths, sqft, price_min, price_max, price_basis, building,
+ * floor_plan_name) may be set directly; see CanonicalUnit in lib/unit_schema.js.
+ * The core canonicalizes + validates every row before it reaches units_json.
+ */
+
+/**
+ * @typedef {Object} ExtractContext
+ * @property {import("playwright").Browser|null} browser  Shared browser; only set when usesBrowser is true.
+ * @property {string} snapshotDate     YYYY-MM-DD the snapshot is being written for.
+ * @property {boolean} debug           Write debug artifacts (payloads, screenshots) to the cwd.
+ * @property {(...args: any[]) => void} log
+ * @property {(req: {url: string, status: number|null, error?: string}) => void} recordRequest
+ *   Report each page load / API call (one per attempt) for the scrape_run_items ledger.
+ *   gotoWithRetries does this when passed { record: recordRequest }.
+ * @property {(url: string) => Promise<void>} throttle
+ *   Await before each plain fetch() so concurrent runs respect the per-host rate limit
+ *   (lib/throttle.js). Browser navigations are throttled by the core already.
+ */
+
+/**
+ * @typedef {Object} Extractor
+ * @property {string} platform         Registry key (lowercase). Matches properties.platform, see PLATFORM_ALIASES.
+ * @property {string} label            Human name for logs.
+ * @property {boolean} usesBrowser     true = the core hands over a Playwright browser (use withPage from lib/browser.js).
+ *                                     false = plain fetch() against an API.
+ * @property {(property: Object, ctx: ExtractContext) => Promise<UnitRow[]>} extractUnits
+ *   Reads whatever it needs from the properties row and returns the units listed
+ *   as available right now. Throw on hard failures (bad config, HTTP errors);
+ *   return [] only when the page genuinely loaded with nothing on it.
+ *   Must not write to Supabase.
+ */
+
+/**
+ * Validates a plugin definition up front so a typo fails at import time,
+ * not halfway through a nightly run.
+ * @param {Extractor} spec
+ * @returns {Extractor}
+ */
+export function defineExtractor(spec) {
+  const problems = [];
+
+  if (!spec || typeof spec !== "object") {
+    throw new Error("defineExtractor: expected an object");
+  }
+
+  if (typeof spec.platform !== "string" || !/^[a-z0-9_]+$/.test(spec.platform)) {
+    problems.push("platform must be a lowercase string");
+  }
+  if (typeof spec.label !== "string" || !spec.label.trim()) problems.push("label is required");
+  if (typeof spec.usesBrowser !== "boolean") problems.push("usesBrowser must be true or false");
+  if (typeof spec.extractUnits !== "function") problems.push("extractUnits must be a function");
+
+  if (problems.length) {
+    throw new Error(`defineExtractor(${spec.platform || "?"}): ${problems.join("; ")}`);
+  }
+
+  return Object.freeze({ ...spec });
+}
@@ -0,0 +1,233 @@
+// lib/geocoders.js
+// Geocoder providers for tools/geocode_properties.js. Each provider is
+//   { name, rateMs, search(property) -> { lat, lng, confidence } | null }
+// and throws on transport/HTTP errors. A --geocoder list is tried in order, first hit wins:
+//   nominatim  public OpenStreetMap Nominatim (needs a contact, <= 1 request/sec)
+//   url        self-hosted geocoder: Nominatim-compatible /search or Photon/Pelias (GeoJSON)
+//   zip        offline zip centroid table (Census ZCTA gazetteer or zip,lat,lng CSV)
+// geocode_confidence values: high | medium | low (found), none (nothing found), error,
+// manual (fixed by an admin in the Geocode Review screen; never re-geocoded).
+import fs from "fs";
+
+export const GEOCODERS = ["nominatim", "url", "zip"];
+
+const NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+
+// address, city, zip; name + city + zip when there's no street (less accurate)
+export function geocodeQuery(p) {
+  const a = String(p.address || "").trim();
+  const c = String(p.city || "").trim();
+  const z = String(p.zip || "").trim();
+
+  const parts = [];
+  if (a) parts.push(a);
+  else if (p.name) parts.push(p.name);
+
+  if (c) parts.push(c);
+  if (z) parts.push(z);
+
+  return parts.filter(Boolean).join(", ");
+}
+
+// Very rough: street + postcode + city => high
+function confidenceFromParts({ road, postcode, city }) {
+  if (road && postcode && city) return "high";
+  if ((road && city) || (city && postcode)) return "medium";
+  return "low";
+}
+
+// Nominatim jsonv2 result (addressdetails=1) -> { lat, lng, confidence }
+export function fromNominatimResult(result) {
+  if (!result?.lat || !result?.lon) return null;
+  const addr = result.address || {};
+  return {
+    lat: Number(result.lat),
+    lng: Number(result.lon),
+    confidence: confidenceFromParts({
+      road: addr.road || addr.pedestrian || addr.path,
+      postcode: addr.postcode,
+      city: addr.city || addr.town || addr.village || addr.suburb,
+    }),
+  };
+}
+
+// Photon / Pelias GeoJSON feature -> { lat, lng, confidence }
+export function fromGeoJsonFeature(feature) {
+  const [lng, lat] = feature?.geometry?.coordinates || [];
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  const props = feature.properties || {};
+  return {
+    lat,
+    lng,
+    confidence: confidenceFromParts({
+      road: props.street || props.name,
+      postcode: props.postcode || props.postalcode,
+      city: props.city || props.locality || props.district,
+    }),
+  };
+}
+
+async function fetchJson(url, { userAgent, timeoutMs = 20000 }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      headers: { "User-Agent": userAgent, "Accept-Language": "en-US,en;q=0.9", Accept: "application/json" },
+      signal: ctrl.signal,
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+    }
+    return await res.json();
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`timeout after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function searchUrl(base, q) {
+  const url = new URL(base);
+  url.searchParams.set("q", q);
+  // Nominatim-style params; Photon/Pelias ignore what they don't know
+  url.searchParams.set("format", "jsonv2");
+  url.searchParams.set("addressdetails", "1");
+  url.searchParams.set("limit", "1");
+  return url.toString();
+}
+
+/**
+ * Nominatim-compatible (or GeoJSON) search endpoint.
+ * The public server's usage policy wants an identifying User-Agent with a real contact.
+ */
+export function createUrlGeocoder({ name = "url", baseUrl, contact = null, rateMs = 0, timeoutMs } = {}) {
+  if (!baseUrl) throw new Error(`${name} geocoder: missing URL (--geocoder-url or GEOCODER_URL)`);
+  const userAgent = `unit-tracker-geocoder/1.0${contact ? ` (contact: ${contact})` : ""}`;
+
+  return {
+    name,
+    rateMs,
+    async search(p) {
+      const json = await fetchJson(searchUrl(baseUrl, geocodeQuery(p)), { userAgent, timeoutMs });
+      if (Array.isArray(json)) return fromNominatimResult(json[0]);
+      if (Array.isArray(json?.features)) return fromGeoJsonFeature(json.features[0]);
+      throw new Error(`${name} geocoder: unexpected response (not a Nominatim array or GeoJSON)`);
+    },
+  };
+}
+
+export function createNominatimGeocoder({ contact, rateMs = 1100, timeoutMs } = {}) {
+  if (!contact) {
+    throw new Error("nominatim geocoder: set GEOCODER_CONTACT (or --contact=) to an email/URL, the public server requires it");
+  }
+  return createUrlGeocoder({ name: "nominatim", baseUrl: NOMINATIM_URL, contact, rateMs: Math.max(rateMs, 1000), timeoutMs });
+}
+
+// ================== ZIP CENTROIDS ==================
+/**
+ * Zip -> [lat, lng] from a Census ZCTA gazetteer file (tab-separated GEOID, INTPTLAT, INTPTLONG)
+ * or any CSV/TSV with zip + lat + lng (or lon/longitude) columns.
+ */
+export function parseZipCentroids(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim());
+  if (!lines.length) return new Map();
+
+  const delim = lines[0].includes("\t") ? "\t" : ",";
+  const split = (l) => l.split(delim).map((s) => s.trim().replace(/^"|"$/g, ""));
+  const headers = split(lines[0]).map((h) => h.toLowerCase());
+  const col = (...names) => headers.findIndex((h) => names.includes(h));
+
+  const zipCol = col("zip", "zipcode", "zcta", "zcta5", "geoid");
+  const latCol = col("lat", "latitude", "intptlat");
+  const lngCol = col("lng", "lon", "long", "longitude", "intptlong");
+  if (zipCol < 0 || latCol < 0 || lngCol < 0) {
+    throw new Error(`zip table: need zip, lat and lng columns (got: ${headers.join(", ")})`);
+  }
+
+  const out = new Map();
+  for (const line of lines.slice(1)) {
+    const cells = split(line);
+    const zip = cells[zipCol]?.padStart(5, "0");
+    const lat = Number(cells[latCol]);
+    const lng = Number(cells[lngCol]);
+    if (/^\d{5}$/.test(zip || "") && Number.isFinite(lat) && Number.isFinite(lng)) out.set(zip, [lat, lng]);
+  }
+  return out;
+}
+
+// Zip centroid: only ever "low" confidence, so those rows land in the review queue
+export function createZipGeocoder({ file = null, table = null } = {}) {
+  if (!table && !file) throw new Error("zip geocoder: missing table (--zip-table=FILE or GEOCODER_ZIP_TABLE)");
+  const centroids = table || parseZipCentroids(fs.readFileSync(file, "utf8"));
+
+  return {
+    name: "zip_centroid",
+    rateMs: 0,
+    async search(p) {
+      const zip = String(p.zip || "").match(/\d{5}/)?.[0] || geocodeQuery(p).match(/\b(\d{5})(?:-\d{4})?\s*$/)?.[1];
+      const hit = zip ? centroids.get(zip) : null;
+      return hit ? { lat: hit[0], lng: hit[1], confidence: "low" } : null;
+    },
+  };
+}
+
+// ================== CHAIN ==================
+/**
+ * "nominatim,zip" -> providers, in order. opts: { contact, url, zipTable, rateMs, timeoutMs }
+ * (rateMs, when set, overrides the network providers' default; nominatim never goes under 1s).
+ */
+export function createGeocoders(spec, opts = {}) {
+  const names = String(spec || "nominatim")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.map((name) => {
+    const rate = opts.rateMs != null ? { rateMs: opts.rateMs } : {};
+    if (name === "nominatim") return createNominatimGeocoder({ contact: opts.contact, timeoutMs: opts.timeoutMs, ...rate });
+    if (name === "url") return createUrlGeocoder({ baseUrl: opts.url, contact: opts.contact, timeoutMs: opts.timeoutMs, ...rate });
+    if (name === "zip") return createZipGeocoder({ file: opts.zipTable });
+    throw new Error(`Unknown geocoder "${name}" (use ${GEOCODERS.join(", ")})`);
+  });
+}
+
+/**
+ * Try each provider in order. Returns { patch, errors }, patch being what to write:
+ *   { lat, lng, geocode_source, geocode_confidence, geocode_query } on a hit,
+ *   { geocode_source, geocode_confidence: "none" | "error", geocode_query } otherwise
+ *   ("error" when any provider failed, so the row gets retried and shows up for review).
+ * geocoded_at is left to the caller. errors = [{ provider, message }].
+ */
+export async function geocodeProperty(geocoders, p, { sleep = null } = {}) {
+  const query = geocodeQuery(p);
+  const errors = [];
+
+  for (const g of geocoders) {
+    try {
+      if (sleep && g.rateMs > 0) await sleep(g.rateMs);
+      const hit = await g.search(p);
+      if (hit && Number.isFinite(hit.lat) && Number.isFinite(hit.lng)) {
+        return {
+          patch: { lat: hit.lat, lng: hit.lng, geocode_source: g.name, geocode_confidence: hit.confidence, geocode_query: query },
+          errors,
+        };
+      }
+    } catch (err) {
+      errors.push({ provider: g.name, message: String(err?.message || err) });
+    }
+  }
+
+  return {
+    patch: {
+      geocode_source: geocoders.map((g) => g.name).join(","),
+      geocode_confidence: errors.length ? "error" : "none",
+      geocode_query: query,
+    },
+    errors,
+  };
+}
@@ -0,0 +1,159 @@
+// lib/har.js
+// HAR record/replay for the browser platforms (unit_tracker.js scrape --record / --replay).
+// An archive is one folder per property:
+//   <dir>/<property_id>/property.json   the properties row + snapshot date it was recorded for
+//   <dir>/<property_id>/context-N.har   every request/response of the N-th browser context the extractor opened
+// Replay serves those responses back and aborts anything that isn't in the archive,
+// so a replayed run never touches the network.
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_HAR_DIR = "har";
+
+// Query params that change on every page load (session ids, cache busters). A replayed
+// request that only differs in these still gets the recorded response.
+const VOLATILE_PARAMS = /^(_|cb|t|ts|v|rnd|rand|random|nocache|timestamp|clientsessionid|sessionid|logsequence)$/i;
+
+// Headers describing the wire encoding of the recorded body, which we hand back decoded
+const DROP_HEADERS = new Set(["content-encoding", "content-length", "transfer-encoding"]);
+
+export function archiveDirFor(dir, propertyId) {
+  return path.join(dir, String(propertyId));
+}
+
+const harFile = (archiveDir, n) => path.join(archiveDir, `context-${n}.har`);
+
+// Start a fresh archive: property.json now, context-N.har files as contexts close
+export function startArchive(archiveDir, { property, platform, snapshotDate }) {
+  fs.mkdirSync(archiveDir, { recursive: true });
+  for (const f of fs.readdirSync(archiveDir)) {
+    if (/^context-\d+\.har$/.test(f)) fs.rmSync(path.join(archiveDir, f));
+  }
+
+  const meta = { property, platform, snapshot_date: snapshotDate, recorded_at: new Date().toISOString() };
+  fs.writeFileSync(path.join(archiveDir, "property.json"), JSON.stringify(meta, null, 2));
+}
+
+// Archives under dir (or dir itself when it is one), as { dir, property, platform, snapshot_date }
+export function listArchives(dir) {
+  const read = (d) => {
+    const file = path.join(d, "property.json");
+    if (!fs.existsSync(file)) return null;
+    return { dir: d, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  };
+
+  if (!fs.existsSync(dir)) return [];
+  const self = read(dir);
+  if (self) return [self];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory())
+    .map((e) => read(path.join(dir, e.name)))
+    .filter(Boolean);
+}
+
+function stableUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const k of [...u.searchParams.keys()]) {
+      if (VOLATILE_PARAMS.test(k)) u.searchParams.delete(k);
+    }
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Route handler serving one recorded HAR. Matches on method + URL, then method + URL
+ * without volatile params. Repeated requests get the recorded responses in order
+ * (the last one repeats once they run out); a response served through either match
+ * is used up for both.
+ */
+function harRouteHandler(file, { log }) {
+  const har = JSON.parse(fs.readFileSync(file, "utf8"));
+  const exact = new Map();
+  const loose = new Map();
+
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+
+  const exactKey = (method, url) => `${method} ${url}`;
+  const looseKey = (method, url) => `${method} ${stableUrl(url)}`;
+
+  for (const e of har?.log?.entries || []) {
+    if (!e?.request?.url || !(e.response?.status > 0)) continue;
+    add(exact, exactKey(e.request.method, e.request.url), e);
+    add(loose, looseKey(e.request.method, e.request.url), e);
+  }
+
+  // Drop a served entry from both of its queues, except where it's the last one left (it repeats)
+  const use = (entry) => {
+    const { method, url } = entry.request;
+    for (const list of [exact.get(exactKey(method, url)), loose.get(looseKey(method, url))]) {
+      const i = list.indexOf(entry);
+      if (i >= 0 && list.length > 1) list.splice(i, 1);
+    }
+    return entry;
+  };
+
+  return async (route) => {
+    const req = route.request();
+    const found = exact.get(exactKey(req.method(), req.url()))?.[0] || loose.get(looseKey(req.method(), req.url()))?.[0];
+    const entry = found ? use(found) : null;
+
+    if (!entry) {
+      log("  (replay) not in archive, aborted:", req.method(), req.url().slice(0, 160));
+      return route.abort("internetdisconnected");
+    }
+
+    const { status, headers = [], content = {} } = entry.response;
+    const body =
+      content.text == null ? "" : content.encoding === "base64" ? Buffer.from(content.text, "base64") : content.text;
+
+    return route.fulfill({
+      status,
+      headers: Object.fromEntries(
+        headers.filter((h) => !DROP_HEADERS.has(h.name.toLowerCase())).map((h) => [h.name, h.value])
+      ),
+      body,
+    });
+  };
+}
+
+/**
+ * Wraps a Playwright browser so every newContext() records to / replays from archiveDir.
+ * Extractors don't know about it: withPage/createContext go through browser.newContext as usual.
+ * mode: "record" | "replay"
+ */
+export function harBrowser(browser, { mode, archiveDir, log = console.log }) {
+  let contexts = 0;
+
+  const newContext = async (opts = {}) => {
+    contexts += 1;
+    const file = harFile(archiveDir, contexts);
+
+    if (mode === "record") {
+      return browser.newContext({ ...opts, recordHar: { path: file, content: "embed", mode: "full" } });
+    }
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`Archive has no ${path.basename(file)} (the recorded run opened fewer browser contexts)`);
+    }
+    const context = await browser.newContext({ ...opts, serviceWorkers: "block" });
+    await context.route("**/*", harRouteHandler(file, { log }));
+    return context;
+  };
+
+  return new Proxy(browser, {
+    get(target, prop) {
+      if (prop === "newContext") return newContext;
+      const v = Reflect.get(target, prop);
+      return typeof v === "function" ? v.bind(target) : v;
+    },
+  });
+}
@@ -0,0 +1,81 @@
+// lib/partial_guard.js
+// Does today's extraction look like the whole property, or like a page that timed out?
+// Compared against the last few confirmed snapshots; a suspicious result is written as a
+// provisional snapshot with no unit_events (see run_property.js). A drop that sticks (the
+// runs since the last confirmed snapshot all agree with today) is a real one and is accepted.
+import { normalizeSnapshotUnits } from "./units.js";
+
+export const PARTIAL_GUARD = {
+  historySnapshots: 7, // confirmed snapshots to compare against
+  maxDropRatio: 0.5, // today below (1 - this) x usual count...
+  minDropUnits: 5, // ...and at least this many units fewer
+  pageMinShare: 0.5, // a page counts as "usually has units" in this share of history
+  acceptAfterRuns: 3, // accept after this many provisional runs in a row (today included)...
+  agreeRatio: 0.1, // ...whose unit counts are all within this share of today's
+};
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function pageUrlOf(u) {
+  return u?.meta?.page_url || null;
+}
+
+function countByPage(units) {
+  const counts = new Map();
+  for (const u of units) {
+    const page = pageUrlOf(u);
+    if (page) counts.set(page, (counts.get(page) || 0) + 1);
+  }
+  return counts;
+}
+
+// The provisional runs before today (newest first) agree with today's count: the drop is real
+function dropConfirmed(count, provisionalRuns, limits) {
+  const prior = (provisionalRuns || []).slice(0, limits.acceptAfterRuns - 1);
+  if (!limits.acceptAfterRuns || prior.length < limits.acceptAfterRuns - 1) return false;
+
+  const tolerance = Math.ceil(count * limits.agreeRatio);
+  return prior.every((s) => Math.abs(normalizeSnapshotUnits(s.units_json).length - count) <= tolerance);
+}
+
+/**
+ * units: today's canonical units; history: confirmed snapshots, newest first ({ snapshot_date, units_json });
+ * provisionalRuns: provisional snapshots since history[0] and before today, newest first.
+ * Returns { provisional, accepted, reasons: string[] }. No history = nothing to compare, never provisional.
+ * accepted: today would be provisional (reasons say why) but the last acceptAfterRuns - 1
+ * provisional runs agree with its count, so it's taken as the new normal.
+ */
+export function checkPartialScrape({ units, history, provisionalRuns = [], limits = PARTIAL_GUARD }) {
+  const reasons = [];
+  const past = (history || []).slice(0, limits.historySnapshots).map((s) => normalizeSnapshotUnits(s.units_json));
+  if (!past.length) return { provisional: false, accepted: false, reasons };
+
+  // Unit count vs the usual count, or the last confirmed one when lower: once a drop has been
+  // accepted it's the new normal, even while older snapshots still pull the median up
+  const usual = Math.min(median(past.map((p) => p.length)), past[0].length);
+  const drop = usual - units.length;
+  if (drop >= limits.minDropUnits && units.length < usual * (1 - limits.maxDropRatio)) {
+    reasons.push(`unit count ${units.length} vs usual ${usual} (-${Math.round((drop / usual) * 100)}%)`);
+  }
+
+  // Page coverage: pages that had units yesterday and usually do, but gave nothing today
+  const today = countByPage(units);
+  const latest = countByPage(past[0]);
+  const pastPages = past.map((p) => countByPage(p));
+
+  for (const [page, lastCount] of latest) {
+    if (today.has(page)) continue;
+    const share = pastPages.filter((m) => m.has(page)).length / past.length;
+    if (share >= limits.pageMinShare) reasons.push(`no units from ${page} (had ${lastCount} on ${history[0].snapshot_date})`);
+  }
+
+  if (reasons.length && dropConfirmed(units.length, provisionalRuns, limits)) {
+    return { provisional: false, accepted: true, reasons };
+  }
+
+  return { provisional: reasons.length > 0, accepted: false, reasons };
+}
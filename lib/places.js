@@ -0,0 +1,91 @@
+// lib/places.js
+// Google Places (New Places API) website lookup by address, moved out of
+// tools/detect_platform_batch.js so `unit_tracker.js import --lookup-websites` can use it too.
+// Needs GOOGLE_MAPS_API_KEY (or GOOGLE_API_KEY); everything that calls it works without one.
+
+export function placesApiKey(env = process.env) {
+  return env.GOOGLE_MAPS_API_KEY || env.GOOGLE_API_KEY || null;
+}
+
+async function fetchWithTimeout(url, opts = {}, timeoutMs = 20000) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...opts, signal: ctrl.signal });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function placesSearchText(apiKey, textQuery) {
+  const res = await fetchWithTimeout("https://places.googleapis.com/v1/places:searchText", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Goog-Api-Key": apiKey,
+      "X-Goog-FieldMask": "places.id,places.displayName,places.formattedAddress",
+    },
+    body: JSON.stringify({ textQuery }),
+  });
+
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Places searchText failed: HTTP ${res.status} | ${t}`);
+  }
+
+  const data = await res.json();
+  return data.places || [];
+}
+
+async function placesGetDetails(apiKey, placeId) {
+  const res = await fetchWithTimeout(`https://places.googleapis.com/v1/places/${placeId}`, {
+    headers: {
+      "X-Goog-Api-Key": apiKey,
+      "X-Goog-FieldMask": "id,displayName,formattedAddress,websiteUri,googleMapsUri",
+    },
+  });
+
+  if (!res.ok) {
+    const t = await res.text();
+    throw new Error(`Place details failed: HTTP ${res.status} | ${t}`);
+  }
+
+  return await res.json();
+}
+
+/**
+ * First Places result with a website for the address (tries a few apartment-ish queries).
+ * Returns { website, name, formattedAddress, maps, queryUsed } or null.
+ * The first Places API failure (403, quota, ...) is thrown as is.
+ */
+export async function findWebsiteForAddress(apiKey, address) {
+  const queries = [
+    address,
+    `${address} apartments`,
+    `${address} apartment homes`,
+    `${address} leasing office`,
+    `${address} floor plans`,
+    `${address} securecafe`,
+    `${address} rentcafe`,
+    `${address} realpage`,
+  ];
+
+  for (const q of queries) {
+    const places = await placesSearchText(apiKey, q);
+
+    for (const p of places.slice(0, 6)) {
+      const details = await placesGetDetails(apiKey, p.id);
+      if (details.websiteUri) {
+        return {
+          website: details.websiteUri,
+          name: details.displayName?.text || "",
+          formattedAddress: details.formattedAddress || "",
+          maps: details.googleMapsUri || "",
+          queryUsed: q,
+        };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,243 @@
+// lib/platform_detect.js
+// Guess a property's leasing platform from its website, as one of the canonical
+// properties.platform values, with a confidence score and the evidence behind it.
+// Used by `unit_tracker.js detect-platform`, which stores the result as a suggestion an
+// admin accepts or rejects in the Properties tab (never writes properties.platform itself),
+// and by tools/detect_platform_batch.js. The signals live in platform_fingerprints.json
+// (or any file passed as --fingerprints=FILE), not in code.
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { USER_AGENT } from "./browser.js";
+import { candidateSubpages } from "./sightmap_discovery.js";
+import { CANONICAL_PLATFORMS, canonicalPlatform } from "./platform_values.js";
+
+export { CANONICAL_PLATFORMS, canonicalPlatform };
+
+// ================== FINGERPRINTS ==================
+export const DEFAULT_FINGERPRINTS_FILE = fileURLToPath(new URL("./platform_fingerprints.json", import.meta.url));
+
+const SIGNAL_TYPES = ["url_host", "script_src", "iframe_src", "link_href", "meta", "cookie", "api_path", "html"];
+
+/**
+ * Read + validate a fingerprint file (format: see its "description"). Throws on anything that
+ * would silently never match: unknown platform or signal type, weight outside (0, 1].
+ * Returns [{ platform, fallback, signals: [{ type, match, name?, weight, label }] }].
+ */
+export function loadFingerprints(file = DEFAULT_FINGERPRINTS_FILE) {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  const problems = [];
+
+  const rules = Object.entries(json?.platforms || {}).map(([platform, def]) => {
+    if (!CANONICAL_PLATFORMS.includes(platform)) problems.push(`${platform}: not a PLATFORM_OPTIONS value`);
+
+    const signals = (def?.signals || []).map((sig, i) => {
+      const where = `${platform}.signals[${i}]`;
+      if (!SIGNAL_TYPES.includes(sig?.type)) problems.push(`${where}: type must be one of ${SIGNAL_TYPES.join(", ")}`);
+      if (!String(sig?.match || "").trim()) problems.push(`${where}: match is required`);
+      if (sig?.type === "meta" && !sig.name) problems.push(`${where}: meta needs a name`);
+      if (!(sig?.weight > 0 && sig.weight <= 1)) problems.push(`${where}: weight must be in (0, 1]`);
+
+      const match = String(sig?.match || "").toLowerCase();
+      return {
+        type: sig?.type,
+        match,
+        name: sig?.name ? String(sig.name).toLowerCase() : null,
+        weight: Number(sig?.weight),
+        label: sig?.label || (sig?.type === "meta" ? `meta ${sig.name}=${match}` : `${sig?.type} ${match}`),
+      };
+    });
+
+    return { platform, fallback: def?.fallback === true, signals };
+  });
+
+  if (!rules.length) problems.push("no platforms");
+  if (problems.length) throw new Error(`${file}: ${problems.join("; ")}`);
+  return rules;
+}
+
+let defaultFingerprints = null;
+function fingerprintsOrDefault(fingerprints) {
+  return fingerprints || (defaultFingerprints ??= loadFingerprints());
+}
+
+// ================== PAGE FEATURES ==================
+function attrValues(html, tag, attr) {
+  const re = new RegExp(`<${tag}\\b[^>]*?\\s${attr}\\s*=\\s*["']([^"']+)["']`, "gi");
+  return [...html.matchAll(re)].map((m) => m[1].replace(/&amp;/g, "&"));
+}
+
+function absolute(url, base) {
+  try {
+    return new URL(url.startsWith("//") ? `https:${url}` : url, base);
+  } catch {
+    return null;
+  }
+}
+
+// Cloudflare "Just a moment..." / "Attention Required" interstitial instead of the site
+export function isChallengePage(html) {
+  return /attention required|cf-challenge|just a moment\.\.\./i.test(String(html || ""));
+}
+
+/**
+ * What the fingerprints match against, from one fetched page ({ url, finalUrl, html, cookies }).
+ * Exported for tests.
+ */
+export function pageFeatures(page) {
+  const html = String(page.html || "");
+  const base = page.finalUrl || page.url;
+  const urls = (list) => list.map((u) => absolute(u, base)).filter(Boolean);
+
+  const metas = [...html.matchAll(/<meta\b[^>]*>/gi)].map((m) => {
+    const tag = m[0];
+    const name = tag.match(/\s(?:name|property)\s*=\s*["']([^"']+)["']/i)?.[1] || "";
+    const content = tag.match(/\scontent\s*=\s*["']([^"']*)["']/i)?.[1] || "";
+    return { name: name.toLowerCase(), content: content.toLowerCase() };
+  });
+
+  // Every URL-looking string in the page (attributes, inline scripts, escaped JSON)
+  const inline = html.replace(/\\\//g, "/").match(/(?:https?:)?\/\/[^\s"'<>)]+|["'](\/[A-Za-z0-9_.-]+\/[^\s"'<>]*)["']/g) || [];
+
+  return {
+    pageUrls: urls([page.url, page.finalUrl].filter(Boolean)),
+    script_src: urls(attrValues(html, "script", "src")),
+    iframe_src: urls(attrValues(html, "iframe", "src")),
+    link_href: urls([...attrValues(html, "a", "href"), ...attrValues(html, "link", "href"), ...attrValues(html, "form", "action")]),
+    metas,
+    cookies: (page.cookies || []).map((c) => String(c).split("=")[0].trim().toLowerCase()),
+    allUrls: inline.map((s) => s.replace(/^["']|["']$/g, "").toLowerCase()),
+    html: html.toLowerCase(),
+  };
+}
+
+const hostMatches = (url, match) =>
+  match.includes("/")
+    ? url.href.toLowerCase().includes(match)
+    : url.hostname.toLowerCase() === match || url.hostname.toLowerCase().endsWith(`.${match}`);
+
+function signalHits(sig, f) {
+  switch (sig.type) {
+    case "url_host":
+      return f.pageUrls.some((u) => hostMatches(u, sig.match));
+    case "script_src":
+    case "iframe_src":
+    case "link_href":
+      return f[sig.type].some((u) => hostMatches(u, sig.match));
+    case "meta":
+      return f.metas.some((m) => m.name === sig.name && m.content.includes(sig.match));
+    case "cookie":
+      return sig.match.endsWith("*")
+        ? f.cookies.some((c) => c.startsWith(sig.match.slice(0, -1)))
+        : f.cookies.includes(sig.match);
+    case "api_path":
+      return f.allUrls.some((u) => u.includes(sig.match)) || f.link_href.some((u) => u.href.toLowerCase().includes(sig.match));
+    case "html":
+      return f.html.includes(sig.match);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Rank platforms for the fetched pages ([{ url, finalUrl, html, cookies }]).
+ * Each signal counts once however many pages it shows up on; per platform,
+ * confidence = 1 - Π(1 - weight) over its hits. Fallback platforms (site builders) rank
+ * after every other platform with a hit.
+ * Returns [{ platform, confidence, evidence: [{ signal, type, page }] }], best first.
+ */
+export function scoreSignals(pages, fingerprints = null) {
+  const rules = fingerprintsOrDefault(fingerprints);
+  const features = pages.map((p) => ({ page: p.finalUrl || p.url, f: pageFeatures(p) }));
+  const out = [];
+
+  for (const rule of rules) {
+    const found = [];
+    for (const sig of rule.signals) {
+      const hit = features.find(({ f }) => signalHits(sig, f));
+      if (hit) found.push({ signal: sig.label, type: sig.type, weight: sig.weight, page: hit.page });
+    }
+    if (!found.length) continue;
+
+    const miss = found.reduce((p, h) => p * (1 - h.weight), 1);
+    out.push({
+      platform: rule.platform,
+      fallback: rule.fallback,
+      confidence: Math.round((1 - miss) * 100) / 100,
+      evidence: found.map(({ signal, type, page }) => ({ signal, type, page })),
+    });
+  }
+
+  return out
+    .sort((a, b) => a.fallback - b.fallback || b.confidence - a.confidence)
+    .map((c) => ({ platform: c.platform, confidence: c.confidence, evidence: c.evidence }));
+}
+
+async function fetchPage(url, { record, throttle, timeoutMs }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  let status = null;
+
+  try {
+    await throttle(url);
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "text/html,*/*" },
+      redirect: "follow",
+      signal: ctrl.signal,
+    });
+    status = res.status;
+    const ctype = (res.headers.get("content-type") || "").toLowerCase();
+    const html = !ctype || ctype.includes("html") ? await res.text() : "";
+    record({ url, status, ...(res.ok ? {} : { error: `HTTP ${res.status}` }) });
+    return { url, finalUrl: res.url || url, status, html, cookies: res.headers.getSetCookie?.() ?? [] };
+  } catch (err) {
+    record({ url, status, error: String(err?.message || err) });
+    return { url, finalUrl: url, status, html: "", error: err?.name === "AbortError" ? "timeout" : String(err?.message || err) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Below this the home page alone isn't convincing: also look at floor plan / availability pages
+const FOLLOW_LINKS_BELOW = 0.8;
+
+/**
+ * Detect the platform behind a property website. Never throws for network errors:
+ * a site that can't be loaded comes back as platform null with the error in notes.
+ * Returns { platform, confidence, candidates, evidence } where evidence is what gets stored
+ * in properties.platform_suggestion_evidence.
+ */
+export async function detectPlatform(
+  websiteUrl,
+  { record = () => {}, throttle = async () => {}, timeoutMs = 20000, fingerprints = null } = {}
+) {
+  const home = await fetchPage(websiteUrl, { record, throttle, timeoutMs });
+  const pages = [home];
+  const notes = [];
+
+  if (home.error) notes.push(`Fetch failed: ${home.error}`);
+  else if (home.status >= 400) notes.push(`HTTP ${home.status}`);
+  if (isChallengePage(home.html)) notes.push("Cloudflare challenge page");
+
+  let candidates = scoreSignals(pages, fingerprints);
+  if (home.html && (candidates[0]?.confidence ?? 0) < FOLLOW_LINKS_BELOW) {
+    for (const url of candidateSubpages(home.html, home.finalUrl)) {
+      pages.push(await fetchPage(url, { record, throttle, timeoutMs }));
+    }
+    candidates = scoreSignals(pages, fingerprints);
+  }
+
+  const top = candidates[0] || null;
+  return {
+    platform: top?.platform ?? null,
+    confidence: top?.confidence ?? 0,
+    candidates,
+    evidence: {
+      signals: top?.evidence ?? [],
+      runners_up: candidates.slice(1, 4).map((c) => ({ platform: c.platform, confidence: c.confidence })),
+      http_status: home.status,
+      final_url: home.finalUrl,
+      pages: pages.map((p) => p.finalUrl),
+      notes,
+    },
+  };
+}
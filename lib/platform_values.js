@@ -0,0 +1,47 @@
+// lib/platform_values.js
+// The canonical properties.platform values. No Node imports: the dashboard bundles this too.
+
+// Must match the PLATFORM_OPTIONS values in src/AppDashboard.jsx
+export const CANONICAL_PLATFORMS = [
+  "RentCafe",
+  "yardi",
+  "realpage",
+  "sightmap",
+  "entrata",
+  "appfolio",
+  "rentmanager",
+  "buildium",
+  "resman",
+  "knock",
+  "leasehawk",
+  "wordpress",
+  "webflow",
+  "squarespace",
+  "html",
+  "unknown",
+];
+
+// Labels tools/detect_platform_batch.js (and older imports) produced -> canonical value
+const LOOSE_LABELS = {
+  "rentcafe/securecafe": "RentCafe",
+  "yardi/rentcafe": "RentCafe",
+  securecafe: "RentCafe",
+  "realpage/onesite": "realpage",
+  onesite: "realpage",
+  "entrata/prospectportal": "entrata",
+  prospectportal: "entrata",
+  "rent manager": "rentmanager",
+  "knock crm": "knock",
+  "custom html": "html",
+};
+
+/**
+ * Canonical properties.platform value for a loose label ("RentCafe/SecureCafe" -> "RentCafe"),
+ * or null when it doesn't correspond to any PLATFORM_OPTIONS entry.
+ */
+export function canonicalPlatform(label) {
+  const lower = String(label || "").trim().toLowerCase();
+  if (!lower) return null;
+  if (LOOSE_LABELS[lower]) return LOOSE_LABELS[lower];
+  return CANONICAL_PLATFORMS.find((p) => p.toLowerCase() === lower) || null;
+}
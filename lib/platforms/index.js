@@ -0,0 +1,39 @@
+// lib/platforms/index.js
+// properties.platform -> extractor plugin (contract: lib/extractor.js).
+// New platform = new file here + one entry in PLATFORM_RUNNERS.
+import rentcafe from "./rentcafe.js";
+import sightmap from "./sightmap.js";
+import realpage from "./realpage.js";
+import prospectportal from "./prospectportal.js";
+import sofi from "./sofi.js";
+
+export const PLATFORM_RUNNERS = {
+  rentcafe,
+  sightmap,
+  realpage,
+  prospectportal,
+  sofi,
+};
+
+for (const [key, runner] of Object.entries(PLATFORM_RUNNERS)) {
+  if (runner.platform !== key) throw new Error(`PLATFORM_RUNNERS.${key} is registered as "${runner.platform}"`);
+}
+
+// properties.platform values (see PLATFORM_OPTIONS in AppDashboard) that share a runner
+const PLATFORM_ALIASES = {
+  entrata: "prospectportal",
+};
+
+export function platformKey(value) {
+  const lower = String(value || "").trim().toLowerCase();
+  return PLATFORM_ALIASES[lower] || lower;
+}
+
+export function runnerForPlatform(value) {
+  return PLATFORM_RUNNERS[platformKey(value)] || null;
+}
+
+// Every properties.platform value (lowercased) that has a runner
+export function scrapeablePlatformValues() {
+  return [...Object.keys(PLATFORM_RUNNERS), ...Object.keys(PLATFORM_ALIASES)];
+}
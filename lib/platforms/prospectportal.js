@@ -0,0 +1,398 @@
+// lib/platforms/prospectportal.js
+// ProspectPortal (Entrata) extraction, ported from push_prospectportal_snapshot_to_supabase_v3.js.
+// Units come from the availability JSON the pages load when we can read it, DOM table otherwise.
+import { withPage } from "../browser.js";
+import { defineExtractor } from "../extractor.js";
+import { safeWriteFile, splitCommaList, toNumberMaybe, uniq } from "../util.js";
+import { parseMoneyRange, priceBasisFromText } from "../prices.js";
+import { normalizeUnitNumber, normalizeUnitKeyFromNumber } from "../units.js";
+
+export function looksLikeFloorplanUrl(url) {
+  const u = String(url || "").toLowerCase();
+  return (
+    u.includes("prospectportal.com") &&
+    u.includes("/floorplans/") &&
+    u.includes("/occupancy_type/conventional/")
+  );
+}
+
+// ================== COOKIE CONSENT ==================
+export async function acceptCookiesIfPresent(page, log = console.log) {
+  const selectors = [
+    "button:has-text('I Accept All Cookies')",
+    "button:has-text('Accept All Cookies')",
+    "button:has-text('I Accept Cookies')",
+    "button:has-text('Accept Cookies')",
+  ];
+
+  for (const sel of selectors) {
+    try {
+      const btn = page.locator(sel).first();
+      if (await btn.isVisible({ timeout: 1500 })) {
+        await btn.click({ timeout: 2000 });
+        await page.waitForTimeout(800);
+        log("🍪 Accepted cookies");
+        return true;
+      }
+    } catch {
+      // try the next label
+    }
+  }
+  return false;
+}
+
+// ================== DISCOVERY ==================
+export async function discoverFloorplanUrls(page, listingUrl) {
+  const links = await page.evaluate(() => {
+    const anchors = Array.from(document.querySelectorAll("a[href]"));
+    return anchors.map((a) => a.getAttribute("href") || "").filter(Boolean);
+  });
+
+  const base = new URL(listingUrl);
+  const out = [];
+
+  for (const h of links) {
+    try {
+      const abs = new URL(h, base).toString();
+      if (looksLikeFloorplanUrl(abs)) out.push(abs);
+    } catch {
+      // skip malformed hrefs
+    }
+  }
+
+  return uniq(out);
+}
+
+// ================== AVAILABILITY JSON ==================
+// Field names we accept per value, compared lowercased with "_" / "-" removed. ProspectPortal
+// widgets use snake_case, the Entrata API camel/PascalCase (XML turned JSON, values under "@attributes").
+const JSON_FIELDS = {
+  unit_number: ["unitnumber", "unitnumbercache", "marketingunitnumber", "unitspacename", "unitname", "unit"],
+  rent_min: ["minrent", "rentmin", "marketrent", "effectiverent", "rentamount", "rent", "price"],
+  rent_max: ["maxrent", "rentmax"],
+  sqft: ["squarefeet", "sqft", "unitsqft", "unitsquarefeet", "area"],
+  beds: ["bedrooms", "numberofbedrooms", "unitbedrooms", "bedroomcount", "beds"],
+  baths: ["bathrooms", "numberofbathrooms", "unitbathrooms", "bathroomcount", "baths"],
+  available: ["availableon", "availabledate", "availabilitydate", "availablefrom", "moveindate", "makereadydate"],
+  floor_plan_id: ["floorplanid", "propertyfloorplanid"],
+  floor_plan_name: ["floorplanname", "propertyfloorplanname"],
+  building: ["buildingname", "building"],
+};
+
+// Hosts whose JSON is never inventory (cookie banners, analytics, Beans.ai maps)
+const NOISE_HOSTS = ["beans.ai", "cookielaw", "googletagmanager", "google-analytics", "doubleclick", "hotjar", "facebook", "sentry", "datadog"];
+
+const fieldKey = (k) => String(k).toLowerCase().replace(/[_-]/g, "");
+
+// One level of nesting is flattened ({"@attributes": {...}}, {"Rent": {"@attributes": {"MinRent": ..}}},
+// {"rent": {"min": ..}} -> "rentmin"); the row's own scalar fields win over nested ones
+function flattenJsonRow(item) {
+  const out = {};
+  const put = (k, v) => {
+    if (v == null || typeof v === "object") return;
+    const key = fieldKey(k);
+    if (!(key in out)) out[key] = v;
+  };
+
+  const entries = Object.entries(item);
+  for (const [k, v] of entries) put(k, v);
+  for (const [k, v] of entries) {
+    if (!v || typeof v !== "object" || Array.isArray(v)) continue;
+    for (const [k2, v2] of Object.entries(v["@attributes"] || v)) {
+      put(k2, v2);
+      if (k !== "@attributes") put(`${k}${k2}`, v2);
+    }
+  }
+  return out;
+}
+
+function pickField(row, name) {
+  for (const k of JSON_FIELDS[name]) {
+    const v = row[k];
+    if (v != null && String(v).trim() !== "") return v;
+  }
+  return null;
+}
+
+function objectArrays(json) {
+  const out = [];
+  const stack = [json];
+  const seen = new Set();
+
+  while (stack.length) {
+    const val = stack.pop();
+    if (!val || typeof val !== "object" || seen.has(val)) continue;
+    seen.add(val);
+
+    if (Array.isArray(val)) {
+      if (val.some((x) => x && typeof x === "object" && !Array.isArray(x))) out.push(val);
+      stack.push(...val);
+    } else {
+      stack.push(...Object.values(val));
+    }
+  }
+  return out;
+}
+
+/**
+ * Units from an availability response. An array counts when most of its rows have a unit
+ * number plus rent, sqft or an availability date; anything else in the payload is ignored.
+ * Rent 0 is "call for pricing" on Entrata, so it comes out as no price.
+ */
+export function parseAvailabilityJson(json, pageUrl, { jsonUrl = null } = {}) {
+  const units = [];
+  const seen = new Set();
+
+  for (const arr of objectArrays(json)) {
+    const rows = arr.filter((x) => x && typeof x === "object" && !Array.isArray(x)).map(flattenJsonRow);
+    const unitRows = rows.filter(
+      (r) =>
+        pickField(r, "unit_number") != null &&
+        (parseMoneyRange(pickField(r, "rent_min"))?.min > 0 || toNumberMaybe(pickField(r, "sqft")) > 0 || pickField(r, "available") != null)
+    );
+    if (!unitRows.length || unitRows.length < rows.length / 2) continue;
+
+    for (const r of unitRows) {
+      const unit_number = normalizeUnitNumber(pickField(r, "unit_number"));
+      const unit_key = normalizeUnitKeyFromNumber(unit_number);
+      if (!unit_key || seen.has(unit_key)) continue;
+      seen.add(unit_key);
+
+      const lo = parseMoneyRange(pickField(r, "rent_min"));
+      const hi = parseMoneyRange(pickField(r, "rent_max"));
+      const min = lo?.min > 0 ? lo.min : null;
+      const max = hi?.max > 0 ? hi.max : lo?.max > 0 ? lo.max : min;
+      const available = pickField(r, "available");
+
+      units.push({
+        unit_key,
+        unit_id: unit_key,
+        unit_number,
+        available_on: available != null ? String(available).trim() : null,
+        price: min,
+        price_min: min,
+        price_max: max,
+        price_basis: null,
+        sqft: toNumberMaybe(pickField(r, "sqft")),
+        beds: toNumberMaybe(pickField(r, "beds")),
+        baths: toNumberMaybe(pickField(r, "baths")),
+        floor_plan_id: pickField(r, "floor_plan_id") != null ? String(pickField(r, "floor_plan_id")) : null,
+        floor_plan_name: pickField(r, "floor_plan_name"),
+        building: pickField(r, "building"),
+        meta: {
+          source: "ProspectPortal",
+          kind: "availability_json",
+          page_url: pageUrl,
+          json_url: jsonUrl,
+          raw: r,
+        },
+      });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Collects units from every JSON response the page loads (listing, floorplan pages,
+ * lazy-loaded cards) into byKey: unit_key -> unit row. debug saves the ones that had units.
+ */
+export function attachAvailabilitySniffer(page, byKey, { pageUrl = () => page.url(), log = console.log, debug = false } = {}) {
+  let saved = 0;
+
+  page.on("response", async (res) => {
+    try {
+      const ct = (res.headers()["content-type"] || "").toLowerCase();
+      if (!ct.includes("json")) return;
+
+      const url = res.url();
+      const host = new URL(url).host.toLowerCase();
+      if (NOISE_HOSTS.some((h) => host.includes(h))) return;
+
+      const body = await res.text();
+      if (!body || body.length < 200) return;
+
+      const units = parseAvailabilityJson(JSON.parse(body), pageUrl(), { jsonUrl: url });
+      if (!units.length) return;
+
+      for (const u of units) if (!byKey.has(u.unit_key)) byKey.set(u.unit_key, u);
+      log(`Availability JSON: ${units.length} unit(s) from ${url.slice(0, 120)}`);
+
+      if (debug && ++saved <= 25) {
+        const file = `prospectportal_json_${String(saved).padStart(2, "0")}_${host.replaceAll(".", "_")}.txt`;
+        safeWriteFile(file, `URL: ${url}\n\n${body}`);
+      }
+    } catch {
+      // not JSON after all, or the body went away with a navigation
+    }
+  });
+}
+
+// ================== DOM EXTRACTION ==================
+// Table-first extraction (Unit / Building / Rent / Sq.Ft. / Deposit / Available)
+export async function extractUnitsFromFloorplanPage(page, pageUrl, { debug = false } = {}) {
+  await page.waitForTimeout(800);
+
+  // Scroll down to where the Available Units table is
+  for (let i = 0; i < 4; i++) {
+    await page.mouse.wheel(0, 1400).catch(() => {});
+    await page.waitForTimeout(500);
+  }
+
+  await page.waitForSelector("text=/Available Units/i", { timeout: 15000 }).catch(() => null);
+  await page.waitForSelector("table tr", { timeout: 15000 }).catch(() => null);
+  await page.waitForTimeout(800);
+
+  if (debug) {
+    await page.screenshot({ path: "pp_debug_floorplan.png", fullPage: true }).catch(() => {});
+    const safe = pageUrl.replace(/[^a-z0-9]+/gi, "_").slice(0, 90);
+    const html = await page.content().catch(() => "");
+    if (html) safeWriteFile(`pp_floorplan_${safe}.html`, html);
+  }
+
+  const rows = await page.evaluate((pageUrl) => {
+    const norm = (s) => String(s || "").replace(/\u00a0/g, " ").replace(/\s+/g, " ").trim();
+
+    // Find heading node that contains "Available Units"
+    const heading = Array.from(document.querySelectorAll("h1,h2,h3,h4,h5,div,span,p")).find((el) =>
+      /available units/i.test(norm(el.innerText))
+    );
+
+    const scope = heading ? heading.closest("section,div") || document.body : document.body;
+    const table = scope.querySelector("table") || document.querySelector("table");
+    if (!table) return [];
+
+    const trs = Array.from(table.querySelectorAll("tr"));
+    const out = [];
+
+    for (const tr of trs) {
+      const t = norm(tr.innerText);
+      if (!t) continue;
+
+      // Skip header row
+      if (/^unit\b/i.test(t) && /\brent\b/i.test(t) && /\bavailable\b/i.test(t)) continue;
+
+      const tds = Array.from(tr.querySelectorAll("td")).map((td) => norm(td.innerText));
+      if (tds.length < 2) continue;
+
+      // 0 Unit, 1 Building, 2 Rent, 3 SqFt, 4 Deposit, 5 Available
+      const unit = tds[0] || null;
+      if (!unit || !/^[A-Za-z0-9-]{1,15}$/.test(unit)) continue;
+
+      out.push({
+        unit_number: unit,
+        building: tds[1] || null,
+        rent_text: tds[2] || null,
+        sqft_text: tds[3] || null,
+        deposit_text: tds[4] || null,
+        available_text: tds[5] || null,
+        raw: t,
+        page_url: pageUrl,
+      });
+    }
+
+    return out.slice(0, 500);
+  }, pageUrl);
+
+  const results = [];
+  const seenKeys = new Set();
+
+  for (const r of rows) {
+    const unit_number = normalizeUnitNumber(r.unit_number);
+    const unit_key = normalizeUnitKeyFromNumber(unit_number);
+    if (!unit_key) continue;
+
+    if (seenKeys.has(unit_key)) continue;
+    seenKeys.add(unit_key);
+
+    // Rent like "From $2,215/month" or "$2,215 - $2,400"
+    const range = parseMoneyRange(r.rent_text);
+
+    results.push({
+      unit_key,
+      unit_id: unit_key,
+      unit_number,
+      available_on: r.available_text || null,
+      price: range?.min ?? null,
+      price_min: range?.min ?? null,
+      price_max: range?.max ?? null,
+      price_basis: priceBasisFromText(r.rent_text),
+      floor_plan_id: null,
+      meta: {
+        source: "ProspectPortal",
+        page_url: r.page_url,
+        building: r.building || null,
+        rent_text: r.rent_text || null,
+        sqft_text: r.sqft_text || null,
+        deposit_text: r.deposit_text || null,
+        available_text: r.available_text || null,
+        raw: r.raw || null,
+      },
+    });
+  }
+
+  return results;
+}
+
+// ================== RUNNER ==================
+export default defineExtractor({
+  platform: "prospectportal",
+  label: "ProspectPortal (Entrata)",
+  usesBrowser: true,
+
+  async extractUnits(property, { browser, log = console.log, debug = false, recordRequest = () => {} }) {
+    // properties.prospectportal_urls = explicit floorplan URLs; otherwise discover from the listing page
+    let floorplanUrls = splitCommaList(property?.prospectportal_urls);
+    const listingUrl = String(property?.prospectportal_url || property?.url || "").trim();
+
+    if (!floorplanUrls.length && !listingUrl) {
+      throw new Error("No ProspectPortal URL (set properties.prospectportal_urls or properties.url)");
+    }
+
+    return withPage(browser, async (page) => {
+      const jsonUnits = new Map();
+      attachAvailabilitySniffer(page, jsonUnits, { log, debug });
+
+      if (!floorplanUrls.length) {
+        log("Opening listing:", listingUrl);
+        const resp = await page.goto(listingUrl, { waitUntil: "networkidle", timeout: 60000 }).catch((err) => {
+          recordRequest({ url: listingUrl, status: null, error: String(err?.message || err) });
+          throw err;
+        });
+        log("HTTP status:", resp ? resp.status() : null);
+        recordRequest({ url: listingUrl, status: resp ? resp.status() : null });
+
+        await acceptCookiesIfPresent(page, log);
+        await page.waitForTimeout(1000);
+
+        floorplanUrls = await discoverFloorplanUrls(page, listingUrl);
+        log("Discovered floorplan URLs:", floorplanUrls.length);
+      }
+
+      const domUnits = [];
+      for (const fpUrl of floorplanUrls) {
+        try {
+          log("Opening floorplan:", fpUrl);
+          const fpResp = await page.goto(fpUrl, { waitUntil: "networkidle", timeout: 60000 });
+          recordRequest({ url: fpUrl, status: fpResp ? fpResp.status() : null });
+
+          // cookie banner blocks table rendering in headless
+          await acceptCookiesIfPresent(page, log);
+
+          const fpUnits = await extractUnitsFromFloorplanPage(page, fpUrl, { debug });
+          log("Units found on floorplan (DOM):", fpUnits.length);
+          domUnits.push(...fpUnits);
+        } catch (err) {
+          log("Skipping floorplan due to error:", fpUrl, err?.message || err);
+          recordRequest({ url: fpUrl, status: null, error: String(err?.message || err) });
+        }
+      }
+
+      // JSON rows are typed (sqft, beds/baths, dates), so they win; the DOM fills in whatever
+      // the JSON didn't cover (sites without an availability call, cards that never loaded)
+      const fromDom = domUnits.filter((u) => !jsonUnits.has(u.unit_key));
+      log(`Units: ${jsonUnits.size} from availability JSON, ${fromDom.length} from the DOM only`);
+      return [...jsonUnits.values(), ...fromDom];
+    });
+  },
+});
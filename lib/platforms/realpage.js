@@ -0,0 +1,433 @@
+// lib/platforms/realpage.js
+// RealPage Online Leasing extraction, ported from push_realpage_snapshot_to_supabase_v1.js.
+// Sniffed OLL API payloads are parsed by shape (parseRealPagePayloads); the old key-scoring
+// heuristic (extractUnitsFromUnknownJson) only runs when no known unit payload showed up.
+import { withPage } from "../browser.js";
+import { defineExtractor } from "../extractor.js";
+import { safeWriteFile, toNumberMaybe } from "../util.js";
+import { parseMoneyRange } from "../prices.js";
+import { normalizeUnitNumber, normalizeUnitKeyFromNumber } from "../units.js";
+
+function looksLikeMoney(x) {
+  const s = String(x ?? "");
+  return /\$?\s*\d{3,7}(?:[,.]\d{2})?/.test(s);
+}
+
+export function isLikelyUnitsPayload(obj) {
+  // Heuristics: RealPage payloads vary by site; we accept if it contains
+  // an array of objects where many have unit-ish fields.
+  try {
+    const s = JSON.stringify(obj);
+    if (s.length < 500) return false;
+
+    // common words seen in inventory payloads
+    const keywords = ["unit", "available", "rent", "price", "floorplan", "move", "sqft"];
+    const hit = keywords.filter((k) => s.toLowerCase().includes(k)).length;
+    return hit >= 3;
+  } catch {
+    return false;
+  }
+}
+
+function findAnyArray(obj) {
+  // Walk object and return arrays that look like "unit rows"
+  const results = [];
+
+  const seen = new Set();
+  const stack = [{ path: "$", val: obj }];
+  while (stack.length) {
+    const { path, val } = stack.pop();
+
+    if (val && typeof val === "object") {
+      if (seen.has(val)) continue;
+      seen.add(val);
+
+      if (Array.isArray(val)) {
+        if (val.length && typeof val[0] === "object") results.push({ path, arr: val });
+      } else {
+        for (const [k, v] of Object.entries(val)) {
+          stack.push({ path: `${path}.${k}`, val: v });
+        }
+      }
+    }
+  }
+  return results;
+}
+
+export function extractUnitsFromUnknownJson(json, pageUrl) {
+  // We don't assume exact schema. We:
+  // 1) find object arrays
+  // 2) look for fields that resemble unit number, rent, available date
+  // 3) normalize to our unit schema
+  const arrays = findAnyArray(json);
+
+  const units = [];
+  const seen = new Set();
+
+  for (const { path, arr } of arrays) {
+    // score each array by how many items look like unit rows
+    let score = 0;
+    for (const item of arr.slice(0, 30)) {
+      const keys = Object.keys(item || {}).map((k) => k.toLowerCase());
+      const hasUnitKey = keys.some((k) => k.includes("unit"));
+      const hasRent = keys.some((k) => k.includes("rent") || k.includes("price"));
+      const hasAvail = keys.some((k) => k.includes("avail") || k.includes("move"));
+      if (hasUnitKey) score += 2;
+      if (hasRent) score += 1;
+      if (hasAvail) score += 1;
+    }
+    if (score < 25) continue; // filter out irrelevant arrays
+
+    for (const item of arr) {
+      if (!item || typeof item !== "object") continue;
+
+      const entries = Object.entries(item);
+
+      const unitField =
+        entries.find(([k]) => /unit(number|no|_no|_number)?/i.test(k)) ||
+        entries.find(([k]) => /unit/i.test(k)) ||
+        entries.find(([k]) => /apartment/i.test(k)) ||
+        null;
+
+      const rentField = entries.find(([k]) => /(rent|marketRent|price|amount)/i.test(k)) || null;
+
+      const availField =
+        entries.find(([k]) => /(available|availableon|moveindate|availableDate|availDate)/i.test(k)) ||
+        null;
+
+      const unit_number = normalizeUnitNumber(unitField ? unitField[1] : null);
+      if (!unit_number) continue;
+
+      const unit_key = normalizeUnitKeyFromNumber(unit_number);
+      if (!unit_key || seen.has(unit_key)) continue;
+      seen.add(unit_key);
+
+      const priceRaw = rentField ? rentField[1] : null;
+      const range = typeof priceRaw === "number" || looksLikeMoney(priceRaw) ? parseMoneyRange(priceRaw) : null;
+
+      const available_on = availField ? String(availField[1] ?? "").trim() : null;
+
+      units.push({
+        unit_key,
+        unit_id: unit_key,
+        unit_number,
+        available_on: available_on || null,
+        price: range?.min ?? null,
+        price_min: range?.min ?? null,
+        price_max: range?.max ?? null,
+        floor_plan_id: null,
+        meta: {
+          source: "RealPage",
+          page_url: pageUrl,
+          json_path: path,
+          raw: item,
+        },
+      });
+    }
+
+    // If we got a good set, don't keep merging from weaker arrays (reduces duplicates/noise)
+    if (units.length >= 5) break;
+  }
+
+  return units;
+}
+
+// ================== OLL PAYLOADS ==================
+// RP.Leasing.AppService.WebHost/<endpoint>/v1/... responses that never list units (app config,
+// workflow, text blurbs). The heuristic must not go looking for prices in them.
+const NON_UNIT_ENDPOINTS = new Set(["initialappsettings", "workflowstartup", "blurb", "unitaccessibilitydetails"]);
+
+// OLL field names (PascalCase), matched case-insensitively
+const F = {
+  unitNumber: ["UnitNumber", "UnitName", "UnitDisplayName"],
+  unitId: ["UnitId"],
+  floorplanId: ["FloorplanId"],
+  floorplanName: ["FloorplanName", "FloorplanDisplayName"],
+  sqft: ["RentableSqft", "SquareFeet", "UnitSqft", "Sqft"],
+  beds: ["Bedrooms", "NumberOfBedrooms", "Beds"],
+  baths: ["Bathrooms", "NumberOfBathrooms", "Baths"],
+  moveIn: ["AvailableDate", "AvailableFromDate", "MoveInDate", "AvailableOn", "MakeReadyDate"],
+  rent: ["BestPrice", "Rent", "MarketRent", "EffectiveRent", "MinRent", "StartingRent"],
+  maxRent: ["MaxRent"],
+  terms: ["LeaseTerms", "LeaseTermPricing", "RentMatrix", "Prices"],
+  termMonths: ["Term", "LeaseTerm", "LeaseTermMonths", "TermMonths", "Months"],
+  termRent: ["Rent", "Amount", "Price", "EffectiveRent", "MarketRent"],
+  building: ["BuildingName", "BuildingNumber"],
+};
+
+const UNIT_ARRAYS = ["Units", "AvailableUnits", "UnitList", "UnitDetails"];
+const FLOORPLAN_ARRAYS = ["Floorplans", "FloorplanList", "AvailableFloorplans"];
+
+function field(obj, names) {
+  if (!obj || typeof obj !== "object") return null;
+  for (const n of names) {
+    if (obj[n] != null && obj[n] !== "") return obj[n];
+  }
+  const lower = new Map(Object.keys(obj).map((k) => [k.toLowerCase(), k]));
+  for (const n of names) {
+    const k = lower.get(n.toLowerCase());
+    if (k && obj[k] != null && obj[k] !== "") return obj[k];
+  }
+  return null;
+}
+
+// "RP.Leasing.AppService.WebHost/UnitAccessibilityDetails/v1/..." -> "unitaccessibilitydetails"
+export function realpageEndpoint(url) {
+  try {
+    const parts = new URL(url).pathname.split("/").filter(Boolean);
+    const i = parts.findIndex((p) => /webhost$/i.test(p));
+    return (i >= 0 ? parts[i + 1] : parts[0])?.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+// "/Date(1772431200000-0600)/" (WCF JSON, offset = site time zone) -> "2026-03-02"; DateTime.MinValue -> null
+export function parseDotNetDate(value) {
+  const m = String(value ?? "").match(/\/Date\((-?\d+)([+-]\d{4})?\)\//);
+  if (!m) return null;
+
+  const ms = Number(m[1]);
+  if (!(ms > 0)) return null;
+
+  const off = m[2] ? (m[2][0] === "-" ? -1 : 1) * (Number(m[2].slice(1, 3)) * 60 + Number(m[2].slice(3))) : 0;
+  return new Date(ms + off * 60000).toISOString().slice(0, 10);
+}
+
+function moveInDate(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  if (s.startsWith("/Date(")) return parseDotNetDate(s);
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : s || null;
+}
+
+const positive = (v) => {
+  const n = typeof v === "number" ? v : toNumberMaybe(v);
+  return n > 0 ? n : null;
+};
+
+// Arrays stored under one of `names` (any depth)
+function namedArrays(json, names) {
+  const out = [];
+  const stack = [json];
+  const seen = new Set();
+  const wanted = new Set(names.map((n) => n.toLowerCase()));
+
+  while (stack.length) {
+    const val = stack.pop();
+    if (!val || typeof val !== "object" || seen.has(val)) continue;
+    seen.add(val);
+
+    for (const [k, v] of Object.entries(val)) {
+      if (Array.isArray(v) && wanted.has(k.toLowerCase())) out.push(v);
+      else if (v && typeof v === "object") stack.push(v);
+    }
+  }
+  return out;
+}
+
+// [{ months, rent }] sorted by months, rent > 0 only
+function leaseTerms(unit) {
+  const terms = field(unit, F.terms);
+  if (!Array.isArray(terms)) return [];
+  return terms
+    .map((t) => ({ months: positive(field(t, F.termMonths)), rent: positive(field(t, F.termRent)) }))
+    .filter((t) => t.rent != null)
+    .sort((a, b) => (a.months ?? 0) - (b.months ?? 0));
+}
+
+/**
+ * What the non-unit OLL responses contribute: floorplans (FloorplanId -> floorplan row),
+ * unitNumbers (UnitId -> UnitNumber, from UnitAccessibilityDetails) and lookupOnly,
+ * the captures that held a floorplan list.
+ */
+export function realpageLookups(captured) {
+  const floorplans = new Map();
+  const unitNumbers = new Map();
+  const lookupOnly = new Set();
+
+  for (const c of captured) {
+    const { json } = c;
+    for (const arr of namedArrays(json, FLOORPLAN_ARRAYS)) {
+      lookupOnly.add(c);
+      for (const fp of arr) {
+        const id = field(fp, F.floorplanId);
+        if (id != null) floorplans.set(String(id), fp);
+      }
+    }
+    for (const arr of namedArrays(json, ["AccessibilityDetails"])) {
+      for (const u of arr) {
+        const id = field(u, F.unitId);
+        const num = field(u, F.unitNumber);
+        if (id != null && num != null) unitNumbers.set(String(id), String(num));
+      }
+    }
+  }
+
+  return { floorplans, unitNumbers, lookupOnly };
+}
+
+// Floorplan row -> the fields units pick up from it
+export function floorplanSummary(fp) {
+  return {
+    name: field(fp, F.floorplanName),
+    beds: toNumberMaybe(field(fp, F.beds)),
+    baths: toNumberMaybe(field(fp, F.baths)),
+  };
+}
+
+/**
+ * Units from the captured OLL responses of one site ([{ url, json }], in capture order).
+ * Floorplan lists fill in plan name/beds/baths, UnitAccessibilityDetails maps UnitId -> UnitNumber;
+ * the unit lists give sqft, move-in date and lease-term pricing (price_min/max over the terms).
+ * Returns { units, fallback }: fallback = true when no unit list was recognized and the
+ * generic heuristic ran on the payloads that aren't known non-unit endpoints.
+ */
+export function parseRealPagePayloads(captured, pageUrl) {
+  const { floorplans, unitNumbers, lookupOnly } = realpageLookups(captured);
+
+  const units = [];
+  const seen = new Set();
+
+  for (const { url, json } of captured) {
+    for (const arr of namedArrays(json, UNIT_ARRAYS)) {
+      for (const u of arr) {
+        const id = field(u, F.unitId);
+        const unit_number = normalizeUnitNumber(field(u, F.unitNumber) ?? (id != null ? unitNumbers.get(String(id)) : null));
+        const unit_key = normalizeUnitKeyFromNumber(unit_number);
+        if (!unit_key || seen.has(unit_key)) continue;
+
+        const fpId = field(u, F.floorplanId);
+        const fp = fpId != null ? floorplans.get(String(fpId)) : null;
+        const terms = leaseTerms(u);
+        const rents = terms.length ? terms.map((t) => t.rent) : [positive(field(u, F.rent)), positive(field(u, F.maxRent))].filter(Boolean);
+        if (!rents.length && !field(u, F.moveIn)) continue; // not an availability row
+        seen.add(unit_key);
+
+        const price_min = rents.length ? Math.min(...rents) : null;
+        const price_max = rents.length ? Math.max(...rents) : null;
+
+        units.push({
+          unit_key,
+          unit_id: id != null ? String(id) : unit_key,
+          unit_number,
+          available_on: moveInDate(field(u, F.moveIn)),
+          price: price_min,
+          price_min,
+          price_max,
+          price_basis: terms.length > 1 && price_max > price_min ? "lease_term" : price_min != null ? "base_rent" : null,
+          sqft: positive(field(u, F.sqft)),
+          beds: toNumberMaybe(field(u, F.beds) ?? field(fp, F.beds)),
+          baths: toNumberMaybe(field(u, F.baths) ?? field(fp, F.baths)),
+          floor_plan_id: fpId != null ? String(fpId) : null,
+          floor_plan_name: field(u, F.floorplanName) ?? field(fp, F.floorplanName),
+          building: field(u, F.building),
+          meta: {
+            source: "RealPage",
+            kind: "oll_units",
+            page_url: pageUrl,
+            json_url: url,
+            endpoint: realpageEndpoint(url),
+            lease_terms: terms.length ? terms : null,
+          },
+        });
+      }
+    }
+  }
+
+  if (units.length) return { units, fallback: false };
+
+  const unknown = captured.filter((c) => !lookupOnly.has(c) && !NON_UNIT_ENDPOINTS.has(realpageEndpoint(c.url)));
+  return { units: unknown.flatMap((c) => extractUnitsFromUnknownJson(c.json, pageUrl)), fallback: true };
+}
+
+export function urlForProperty(property) {
+  return String(property?.realpage_url || property?.url || "").trim() || null;
+}
+
+export default defineExtractor({
+  platform: "realpage",
+  label: "RealPage",
+  usesBrowser: true,
+
+  async extractUnits(property, { browser, log = console.log, debug = false, recordRequest = () => {} }) {
+    const url = urlForProperty(property);
+    if (!url) throw new Error("No RealPage URL (set properties.realpage_url or properties.url)");
+
+    return withPage(browser, async (page) => {
+      const captured = [];
+      let saved = 0;
+
+      page.on("response", async (res) => {
+        try {
+          const ct = (res.headers()["content-type"] || "").toLowerCase();
+          if (!ct.includes("application/json") && !ct.includes("text/json")) return;
+
+          const resUrl = res.url();
+          const body = await res.text();
+          if (!body || body.length < 300) return;
+
+          let json = null;
+          try {
+            json = JSON.parse(body);
+          } catch {
+            return;
+          }
+
+          if (!isLikelyUnitsPayload(json)) return;
+
+          captured.push({ url: resUrl, json });
+
+          if (debug) {
+            saved += 1;
+            if (saved <= 12) {
+              const safe = resUrl.replace(/[^a-z0-9]+/gi, "_").slice(0, 140);
+              const file = `realpage_json_${String(saved).padStart(2, "0")}_${safe}.txt`;
+              safeWriteFile(file, `URL: ${resUrl}\n\n${body}`);
+              log("Saved JSON:", file);
+            }
+          }
+        } catch {
+          // ignore bodies we can't read (redirects, aborted requests)
+        }
+      });
+
+      log("Opening:", url);
+      const resp = await page.goto(url, { waitUntil: "networkidle", timeout: 60000 }).catch((err) => {
+        recordRequest({ url, status: null, error: String(err?.message || err) });
+        throw err;
+      });
+      log("HTTP status:", resp ? resp.status() : null);
+      recordRequest({ url, status: resp ? resp.status() : null });
+
+      // Let app hydrate + fire inventory calls
+      await page.waitForTimeout(4500);
+
+      // Nudge SPA routes / lazy loads
+      for (let i = 0; i < 3; i++) {
+        await page.mouse.wheel(0, 1400).catch(() => {});
+        await page.waitForTimeout(800);
+      }
+
+      // Try clicking common UI labels if present
+      const clickTargets = ["Floor Plans", "Availability", "Available", "Units", "View All"];
+      for (const t of clickTargets) {
+        await page.getByRole("link", { name: t }).first().click({ timeout: 1200 }).catch(() => {});
+        await page.getByRole("button", { name: t }).first().click({ timeout: 1200 }).catch(() => {});
+        await page.waitForTimeout(600);
+      }
+
+      await page.waitForTimeout(2500);
+
+      if (debug) {
+        await page.screenshot({ path: "realpage_debug.png", fullPage: true }).catch(() => {});
+      }
+
+      log("Captured JSON payloads:", captured.length);
+
+      const { units, fallback } = parseRealPagePayloads(captured, url);
+      if (fallback) log("⚠️ No known OLL unit list in the payloads — used the generic key heuristic");
+      return units;
+    });
+  },
+});
@@ -0,0 +1,321 @@
+// lib/platforms/rentcafe.js
+// RentCafe / SecureCafe (Yardi) extraction, ported from push_rentcafe_snapshot_to_supabase_v7.js
+import { withPage, gotoWithRetries } from "../browser.js";
+import { defineExtractor } from "../extractor.js";
+import { firstMatch, safeWriteFile, splitCommaList, stripTags } from "../util.js";
+import { parseMoneyRange, priceBasisFromText } from "../prices.js";
+import { normalizeUnitNumber, normalizeUnitKeyFromNumber } from "../units.js";
+
+// Navigation knobs (same env names as the v7 runner)
+const GOTO_TIMEOUT_MS = Number(process.env.RENTCAFE_GOTO_TIMEOUT_MS || 60000);
+const NAV_RETRIES = Number(process.env.RENTCAFE_NAV_RETRIES || 0);
+const WAIT_UNTIL = String(process.env.RENTCAFE_WAIT_UNTIL || "domcontentloaded");
+const SETTLE_MS = Number(process.env.RENTCAFE_SETTLE_MS || 2500);
+
+// Debug/diagnostic toggles, also from the v5-v7 runners' .env.rentcafe.* files
+const envFlag = (name, fallback) => {
+  const v = String(process.env[name] ?? "").trim().toLowerCase();
+  return v ? v === "true" : fallback;
+};
+// Save inventory-looking JSON responses to the cwd (same as --debug)
+const SNIFF_JSON = envFlag("RENTCAFE_SNIFF_JSON", false);
+// When no unit-level rows come back, log the floor plans the page does list
+const FLOORPLAN_FALLBACK = envFlag("RENTCAFE_FLOORPLAN_FALLBACK", false);
+// Resource types aborted while loading; each RENTCAFE_BLOCK_*=false lets that type through
+export function blockedResources() {
+  return [
+    ["image", "RENTCAFE_BLOCK_IMAGES"],
+    ["media", "RENTCAFE_BLOCK_MEDIA"],
+    ["font", "RENTCAFE_BLOCK_FONTS"],
+  ]
+    .filter(([, name]) => envFlag(name, true))
+    .map(([type]) => type);
+}
+
+export function isSecureCafeUrl(url) {
+  const u = String(url || "").toLowerCase();
+  return u.includes("securecafe.com/onlineleasing") || u.includes("availableunits.aspx");
+}
+
+// properties.rentcafe_urls (comma-separated) wins over properties.url
+export function urlsForProperty(property) {
+  const fromColumn = splitCommaList(property?.rentcafe_urls);
+  if (fromColumn.length) return fromColumn;
+  return splitCommaList(property?.url);
+}
+
+// ================== SECURECAFE EXTRACTOR ==================
+export async function extractAvailableUnitsFromSecureCafe(page, pageUrl) {
+  await page.waitForTimeout(1500);
+
+  const rows = await page.evaluate(() => {
+    const raw = (document.body?.innerText || "").replace(/\u00a0/g, " ").replace(/\r/g, "");
+
+    const lines = raw
+      .split("\n")
+      .map((l) => l.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+
+    const out = [];
+    const unitLineRegex =
+      /^#\s*([A-Za-z0-9-]{1,20})\s+(\d{3,5})\s*\$([0-9,]+)(?:\s*-\s*\$?([0-9,]+))?/;
+
+    const dateRegex = /\b(\d{1,2}\/\d{1,2}\/\d{4})\b/;
+    const hasAvailable = /\bAvailable\b/i;
+
+    for (const line of lines) {
+      const m = line.match(unitLineRegex);
+      if (!m) continue;
+
+      const unit = m[1];
+      const sqft = Number(String(m[2]).replace(/,/g, "")) || null;
+
+      const lo = m[3] ? `$${m[3]}` : null;
+      const hi = m[4] ? `$${m[4]}` : null;
+      const priceText = lo && hi ? `${lo}-${hi}` : lo;
+
+      const d = line.match(dateRegex);
+      const available_on = d ? d[1] : hasAvailable.test(line) ? "Available" : null;
+
+      out.push({ unit_number: unit, sqft, price_text: priceText, available_on, raw: line });
+    }
+
+    return out.slice(0, 5000);
+  });
+
+  const results = [];
+  const seenUnitKeys = new Set();
+
+  for (const r of rows) {
+    const unit_number = normalizeUnitNumber(r.unit_number);
+    const unit_key = unit_number ? normalizeUnitKeyFromNumber(unit_number) : null;
+    if (!unit_key) continue;
+
+    if (seenUnitKeys.has(unit_key)) continue;
+    seenUnitKeys.add(unit_key);
+
+    // SecureCafe shows a range when rent depends on lease term
+    const range = parseMoneyRange(r.price_text);
+
+    results.push({
+      unit_key,
+      unit_id: unit_key,
+      unit_number,
+      available_on: r.available_on || null,
+      price: range?.min ?? null,
+      price_min: range?.min ?? null,
+      price_max: range?.max ?? null,
+      price_basis: range ? (range.max > range.min ? "lease_term" : "base_rent") : null,
+      sqft: r.sqft ?? null,
+      floor_plan_id: null,
+      meta: {
+        source: "RentCafe",
+        kind: "securecafe_units_global",
+        page_url: pageUrl,
+        price_text: r.price_text || null,
+        sqft: r.sqft ?? null,
+        raw: r.raw,
+      },
+    });
+  }
+
+  return results;
+}
+
+// ================== DOM-FIRST EXTRACTION (MARKETING SITE) ==================
+export async function extractAvailableUnitsFromDom(page, pageUrl) {
+  await page.waitForTimeout(1000);
+
+  await page.waitForSelector("#availApts", { timeout: 5000 }).catch(() => null);
+
+  const rawBlocks = await page.evaluate(() => {
+    const root = document.querySelector("#availApts") || document.body;
+
+    const candidates = Array.from(
+      root.querySelectorAll(
+        "li, .row, .card, .available, [class*='avail'], [class*='unit'], [id*='avail'], table, tr"
+      )
+    );
+
+    const blocks = candidates
+      .map((el) => el.innerText || "")
+      .map((t) => t.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .filter((t) => t.length >= 12)
+      .filter((t) => /\$[0-9,]+/.test(t) || /\bAvailable\b/i.test(t) || /\bApartment\b/i.test(t));
+
+    const seen = new Set();
+    const out = [];
+    for (const b of blocks) {
+      const key = b.slice(0, 220);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(b);
+      if (out.length >= 400) break;
+    }
+    return out;
+  });
+
+  const results = [];
+  const seen = new Set();
+
+  for (const b of rawBlocks) {
+    const unitNum =
+      firstMatch(b, /Apartment\s*:\s*#?\s*([A-Za-z0-9-]+)/i) ||
+      firstMatch(b, /\bApartment\b.*?#\s*([A-Za-z0-9-]{1,20})\b/i) ||
+      firstMatch(b, /\bUnit\s*#?\s*([A-Za-z0-9-]+)/i) ||
+      firstMatch(b, /\b#\s*([A-Za-z0-9-]{1,20})\b/i);
+
+    const normalizedUnitNumber = normalizeUnitNumber(unitNum);
+
+    const startingAt = firstMatch(b, /Starting\s+at\s*:\s*(\$[0-9,]+)/i);
+    const priceText =
+      startingAt ||
+      firstMatch(b, /(\$[0-9,]+\s*(?:-|–|to)\s*\$[0-9,]+)/i) ||
+      firstMatch(b, /(\$[0-9,]+)/);
+
+    const availableText =
+      firstMatch(b, /(Available\s+(?:Now|[A-Za-z]{3,9}\s+[0-9]{1,2}(?:st|nd|rd|th)?))/i) ||
+      (/\bAvailable\b/i.test(b) ? "Available" : null);
+
+    const unit_key = normalizeUnitKeyFromNumber(normalizedUnitNumber);
+
+    if (!unit_key) continue;
+    if (!priceText && !availableText) continue;
+
+    const key = `${unit_key}|${priceText || ""}|${availableText || ""}`;
+    const range = parseMoneyRange(priceText);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    results.push({
+      unit_key,
+      unit_id: unit_key,
+      unit_number: normalizedUnitNumber,
+      available_on: availableText || null,
+      price: range?.min ?? null,
+      price_min: range?.min ?? null,
+      price_max: range?.max ?? null,
+      price_basis: startingAt ? "starting_at" : priceBasisFromText(b),
+      floor_plan_id: null,
+      meta: {
+        source: "RentCafe",
+        kind: "marketing_dom_units",
+        page_url: pageUrl,
+        price_text: priceText || null,
+        raw: b,
+      },
+    });
+  }
+
+  return results;
+}
+
+// ================== FLOORPLAN FALLBACK ==================
+// Floor plan names from a page with no unit-level rows (diagnostic only: no unit numbers, nothing to snapshot)
+export function floorPlanNamesFromHtml(html) {
+  const markers = ["fp-card", "floorplan-card", "floorplan-item", "fpWrapper", "js-floorplan"];
+
+  let blocks = [];
+  for (const mk of markers) {
+    const parts = String(html || "").split(mk);
+    if (parts.length >= 3) {
+      blocks = parts.slice(1).map((p) => mk + p).slice(0, 250);
+      break;
+    }
+  }
+
+  const names = [];
+  for (const b of blocks) {
+    // Drop the rest of the marker's tag so the "<name> $<price>" form can match at the start
+    const text = stripTags(b.slice(b.indexOf(">") + 1));
+    const name =
+      firstMatch(text, /Floor\s*Plan\s*[:-]\s*([A-Za-z0-9][A-Za-z0-9 \-_]+)/i) ||
+      firstMatch(text, /^([A-Za-z0-9][A-Za-z0-9 \-_]{1,40})\s+\$/);
+    if (name && !names.includes(name.trim())) names.push(name.trim());
+  }
+  return names;
+}
+
+// ================== JSON SNIFFER ==================
+const NOISE_HOSTS = ["cookielaw", "googletagmanager", "google-analytics", "doubleclick", "facebook", "hotjar", "meetelise"];
+const INVENTORY_HINTS = ["rentcafe", "securecafe", "onlineleasing", "availab", "floorplan", "unit", "inventory", "property"];
+
+// Saves up to 25 inventory-looking JSON responses as rentcafe_json_NN_<host>.txt
+function attachJsonSniffer(page, { log = console.log } = {}) {
+  let saved = 0;
+
+  page.on("response", async (res) => {
+    try {
+      const ct = (res.headers()["content-type"] || "").toLowerCase();
+      if (!ct.includes("application/json") && !ct.includes("text/json")) return;
+
+      const url = res.url();
+      const host = new URL(url).host.toLowerCase();
+      if (NOISE_HOSTS.some((h) => host.includes(h))) return;
+      if (!INVENTORY_HINTS.some((h) => url.toLowerCase().includes(h))) return;
+
+      const body = await res.text();
+      if (!body || body.length < 300) return;
+
+      if (++saved <= 25) {
+        const file = `rentcafe_json_${String(saved).padStart(2, "0")}_${host.replaceAll(".", "_")}.txt`;
+        if (safeWriteFile(file, `URL: ${url}\n\n${body}`)) log("Saved JSON:", file);
+      }
+    } catch {
+      // body went away with a navigation
+    }
+  });
+}
+
+// ================== RUNNER ==================
+export default defineExtractor({
+  platform: "rentcafe",
+  label: "RentCafe",
+  usesBrowser: true,
+
+  async extractUnits(property, { browser, log = console.log, debug = false, recordRequest }) {
+    const urls = urlsForProperty(property);
+    if (!urls.length) throw new Error("No RentCafe URLs (set properties.rentcafe_urls or properties.url)");
+
+    const units = [];
+    const byPage = {};
+    const floorPlans = {};
+
+    await withPage(
+      browser,
+      async (page) => {
+        if (debug || SNIFF_JSON) attachJsonSniffer(page, { log });
+
+        for (const url of urls) {
+          await gotoWithRetries(page, url, {
+            retries: NAV_RETRIES,
+            timeoutMs: GOTO_TIMEOUT_MS,
+            waitUntil: WAIT_UNTIL,
+            settleMs: SETTLE_MS,
+            log,
+            record: recordRequest,
+          });
+
+          const domUnits = isSecureCafeUrl(url)
+            ? await extractAvailableUnitsFromSecureCafe(page, url)
+            : await extractAvailableUnitsFromDom(page, url);
+
+          byPage[url] = domUnits.length;
+          units.push(...domUnits);
+
+          if (FLOORPLAN_FALLBACK) floorPlans[url] = floorPlanNamesFromHtml(await page.content());
+        }
+      },
+      { blockResources: blockedResources() }
+    );
+
+    log("Units by page_url:", byPage);
+    if (FLOORPLAN_FALLBACK && !units.length) {
+      for (const [url, names] of Object.entries(floorPlans)) {
+        log(`(Fallback) ${names.length} floor plan(s) on ${url}${names.length ? `: ${names.join(", ")}` : ""}`);
+      }
+    }
+    return units;
+  },
+});
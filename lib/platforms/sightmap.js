@@ -0,0 +1,76 @@
+// lib/platforms/sightmap.js
+// SightMap landing-page API extraction, ported from push_sightmap_snapshot_to_supabase_v2.js
+import { sleep } from "../util.js";
+import { defineExtractor } from "../extractor.js";
+import { normalizeUnitNumber, normalizeUnitKeyFromNumber } from "../units.js";
+
+export async function fetchSightmapLandingPage(assetCode, landingPageId, { record = () => {}, throttle = async () => {} } = {}) {
+  const url = `https://sightmap.com/app/api/v1/${assetCode}/landing-pages/${landingPageId}`;
+
+  const attempts = 3;
+  let lastErr;
+
+  for (let i = 1; i <= attempts; i++) {
+    let status = null;
+    try {
+      await throttle(url);
+      const res = await fetch(url, { headers: { Accept: "application/json" } });
+      status = res.status;
+      if (!res.ok) throw new Error(`Sightmap HTTP ${res.status} ${res.statusText}`);
+      const json = await res.json();
+      record({ url, status });
+      return json;
+    } catch (err) {
+      record({ url, status, error: String(err?.message || err) });
+      lastErr = err;
+      await sleep(600 * i);
+    }
+  }
+
+  throw lastErr;
+}
+
+export function extractUnits(payload) {
+  const units = payload?.data?.units;
+  if (!Array.isArray(units)) return [];
+
+  return units
+    .map((u) => {
+      const unitNumber = normalizeUnitNumber(u.unit_number);
+
+      return {
+        unit_id: String(u.id),
+        unit_number: unitNumber,
+        unit_key: normalizeUnitKeyFromNumber(unitNumber),
+        available_on: u.available_on ?? null, // "YYYY-MM-DD"
+        price: typeof u.price === "number" ? u.price : null,
+        floor_plan_id: u.floor_plan_id ? String(u.floor_plan_id) : null,
+
+        // Optional extras
+        building: u.building ?? null,
+        area: typeof u.area === "number" ? u.area : null,
+      };
+    })
+    // Keep only units that have a unit_number (SightMap always should)
+    .filter((u) => u.unit_number);
+}
+
+export default defineExtractor({
+  platform: "sightmap",
+  label: "SightMap",
+  usesBrowser: false,
+
+  async extractUnits(property, { recordRequest, throttle } = {}) {
+    const asset = String(property?.sightmap_asset || "").trim();
+    const landingPageId = String(property?.sightmap_landing_page_id || "").trim();
+
+    if (!asset || !landingPageId) {
+      throw new Error(
+        "Missing properties.sightmap_asset or properties.sightmap_landing_page_id (set properties.url and run discover-sightmap)"
+      );
+    }
+
+    const payload = await fetchSightmapLandingPage(asset, landingPageId, { record: recordRequest, throttle });
+    return extractUnits(payload);
+  },
+});
@@ -0,0 +1,23 @@
+// lib/platforms/sofi.js
+// SoFi (Hollywood Park) is a SightMap landing page with a fixed asset/landing page,
+// ported from push_sofi_snapshot_to_supabase.js / snapshot_sofi.js
+import { defineExtractor } from "../extractor.js";
+import { fetchSightmapLandingPage, extractUnits } from "./sightmap.js";
+
+export const SOFI_SIGHTMAP_ASSET = "rkwnoxlevd2";
+export const SOFI_SIGHTMAP_LANDING_PAGE_ID = "26161";
+
+export default defineExtractor({
+  platform: "sofi",
+  label: "SoFi (SightMap)",
+  usesBrowser: false,
+
+  async extractUnits(property, { recordRequest, throttle } = {}) {
+    // properties.sightmap_* still wins, in case the landing page ever moves
+    const asset = String(property?.sightmap_asset || SOFI_SIGHTMAP_ASSET).trim();
+    const landingPageId = String(property?.sightmap_landing_page_id || SOFI_SIGHTMAP_LANDING_PAGE_ID).trim();
+
+    const payload = await fetchSightmapLandingPage(asset, landingPageId, { record: recordRequest, throttle });
+    return extractUnits(payload);
+  },
+});
@@ -0,0 +1,77 @@
+// lib/prices.js
+// Rent text -> { min, max } + what the number means (price_basis).
+// "$2,100 - $2,450" must stay a range, never collapse into 21002450.
+
+// Monthly rent sanity bounds; outside = parse bug, not a unit
+export const PRICE_LIMITS = [100, 50000];
+
+// base_rent:   the unit's listed rent
+// starting_at: "Starting at" / "From" — lowest of several options
+// lease_term:  depends on lease length (SecureCafe ranges, "12 mo lease")
+export const PRICE_BASES = ["base_rent", "starting_at", "lease_term"];
+
+const AMOUNT = String.raw`((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{1,2})?)`;
+const RANGE_RE = new RegExp(String.raw`\$\s*${AMOUNT}\s*(?:-|–|—|to)\s*\$?\s*${AMOUNT}`, "i");
+// No leading "$": only when the text is nothing but the range (+ "/mo"), so "850 - 1,000 sq ft"
+// and phone numbers stay out; see looksLikeRent for "555-1234"
+const BARE_RANGE_RE = new RegExp(
+  String.raw`^\s*(?:(?:starting at|starts at|from|as low as|rent)\s*:?\s*)?${AMOUNT}\s*(?:-|–|—|to)\s*\$?\s*${AMOUNT}\s*(?:(?:\/|per|a)\s*(?:mo|mos|month)\.?)?\s*$`,
+  "i"
+);
+const DOLLAR_RE = new RegExp(String.raw`\$\s*${AMOUNT}`);
+const BARE_RE = new RegExp(String.raw`^\s*${AMOUNT}\s*$`);
+
+const toAmount = (s) => Number(String(s).replace(/,/g, ""));
+
+// A bare range is written low to high and the high end is at most twice the low one
+// (rent ranges are; "555-1234" isn't)
+const looksLikeRent = (a, b) => a <= b && b <= a * 2;
+
+export function isSanePrice(n) {
+  return typeof n === "number" && Number.isFinite(n) && n >= PRICE_LIMITS[0] && n <= PRICE_LIMITS[1];
+}
+
+/**
+ * "$2,100 - $2,450" -> { min: 2100, max: 2450 }
+ * "2,100 - 2,450" / "2100–2450/mo" -> { min: 2100, max: 2450 }
+ * "From $2,215/month" -> { min: 2215, max: 2215 }
+ * 2215 / "2,215" -> { min: 2215, max: 2215 }
+ * anything without an amount -> null
+ */
+export function parseMoneyRange(value) {
+  if (value == null || value === "") return null;
+
+  if (typeof value === "number") return Number.isFinite(value) ? { min: value, max: value } : null;
+
+  const text = String(value);
+
+  const range = text.match(RANGE_RE);
+  if (range) {
+    const a = toAmount(range[1]);
+    const b = toAmount(range[2]);
+    return { min: Math.min(a, b), max: Math.max(a, b) };
+  }
+
+  const bare = text.match(BARE_RANGE_RE);
+  if (bare && looksLikeRent(toAmount(bare[1]), toAmount(bare[2]))) {
+    return { min: toAmount(bare[1]), max: toAmount(bare[2]) };
+  }
+
+  const single = text.match(DOLLAR_RE) || text.match(BARE_RE);
+  if (!single) return null;
+
+  const n = toAmount(single[1]);
+  return Number.isFinite(n) ? { min: n, max: n } : null;
+}
+
+// What the site says about the number, or null when it doesn't say
+export function priceBasisFromText(text) {
+  const s = String(text || "").toLowerCase();
+  if (!s) return null;
+
+  if (/\b(starting at|starts at|from|as low as)\b/.test(s)) return "starting_at";
+  if (/\b\d{1,2}\s*-?\s*(mo|mos|month|months)\b|\blease term\b|\bterm\b/.test(s)) return "lease_term";
+  if (/\bbase rent\b/.test(s)) return "base_rent";
+
+  return null;
+}
@@ -0,0 +1,275 @@
+// lib/property_import.js
+// Association CSVs (input.csv: zip,assoc_code,address; output.csv from detect_platform_batch
+// adds url/platform) -> properties rows. Shared by `unit_tracker.js import` and the Import tab,
+// so no Node imports here.
+//
+// Rows are matched to existing properties by normalized street address + zip, then sorted into
+//   new        no existing row: inserted
+//   matched    existing row agrees; blank fields on it (assoc_code, url, ...) get filled in
+//   conflict   existing row has a different non-blank value: that field is left alone and shown
+//              for review; blank fields still get filled as for matched
+//   duplicate  same address earlier in the CSV
+//   invalid    no usable address
+import { canonicalPlatform } from "./platform_values.js";
+
+// ================== CSV ==================
+/**
+ * RFC 4180-ish: quoted fields, "" escapes, commas/newlines inside quotes, BOM, CRLF.
+ * Returns { headers, rows } with headers lowercased and trimmed; rows carry their 1-based
+ * line number as _line (header = line 1).
+ */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let cur = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        cur += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      record.push(cur);
+      cur = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(cur);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      cur = "";
+      line++;
+      recordLine = line;
+    } else cur += ch;
+  }
+  if (cur || record.length) {
+    record.push(cur);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  const nonEmpty = records.filter((r) => r.fields.some((f) => f.trim()));
+  if (!nonEmpty.length) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].fields.map((h) => h.trim().toLowerCase());
+  const rows = nonEmpty.slice(1).map((r) => {
+    const row = { _line: r.line };
+    headers.forEach((h, j) => (row[h] = (r.fields[j] ?? "").trim()));
+    return row;
+  });
+  return { headers, rows };
+}
+
+// ================== ADDRESSES ==================
+const STREET_WORDS = {
+  AVENUE: "AVE",
+  AV: "AVE",
+  STREET: "ST",
+  BOULEVARD: "BLVD",
+  DRIVE: "DR",
+  ROAD: "RD",
+  PLACE: "PL",
+  LANE: "LN",
+  COURT: "CT",
+  CIRCLE: "CIR",
+  PARKWAY: "PKWY",
+  HIGHWAY: "HWY",
+  TERRACE: "TER",
+  WAY: "WAY",
+  NORTH: "N",
+  SOUTH: "S",
+  EAST: "E",
+  WEST: "W",
+};
+
+/**
+ * "6644 GLADE AVE, Canoga Park, CA 91303" -> { street, city, state, zip }.
+ * A bare street ("123 Main St") comes back with city/state/zip null.
+ */
+export function splitUsAddress(full) {
+  const parts = String(full || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const out = { street: parts[0] || "", city: null, state: null, zip: null };
+
+  const last = parts[parts.length - 1] || "";
+  const stateZip = last.match(/^([A-Za-z]{2})?\s*(\d{5})(?:-\d{4})?$/);
+  if (parts.length >= 2 && stateZip) {
+    out.state = stateZip[1]?.toUpperCase() || null;
+    out.zip = stateZip[2];
+    if (parts.length >= 3) out.city = parts[parts.length - 2];
+  } else if (parts.length >= 2) {
+    out.city = parts[1];
+  }
+  return out;
+}
+
+// Street line -> comparison key: "6644 Glade Avenue #2" and "6644 GLADE AVE." both -> "6644 GLADE AVE"
+export function normalizeStreet(street) {
+  return String(street || "")
+    .toUpperCase()
+    .replace(/\s+(?:APT|UNIT|STE|SUITE|#)\s*[\w-]+$/, "")
+    .replace(/[.,#]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => STREET_WORDS[w] || w)
+    .join(" ");
+}
+
+const zip5 = (z) => String(z || "").match(/\d{5}/)?.[0] || null;
+
+function titleCase(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (c) => c.toUpperCase());
+}
+
+// Same site? Ignores scheme, www., trailing slash and tracking params (?utm_..., ?rcstdid=...)
+export function sameWebsite(a, b) {
+  const key = (u) =>
+    String(u || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "")
+      .replace(/^www\./, "")
+      .replace(/[?#].*$/, "")
+      .replace(/\/+$/, "");
+  return key(a) === key(b);
+}
+
+// ================== ROWS ==================
+/**
+ * One CSV row -> the properties fields it carries (null = not in the CSV).
+ * Accepts input.csv / output.csv columns plus name, city, website and platform_guess.
+ */
+export function csvRowToProperty(row) {
+  const parsed = splitUsAddress(row.address);
+  const street = parsed.street;
+  const platform = canonicalPlatform(row.platform) || canonicalPlatform(row.platform_guess);
+
+  return {
+    name: row.name || (street ? titleCase(street) : null),
+    address: street ? titleCase(street) : null,
+    city: row.city || (parsed.city ? titleCase(parsed.city) : null),
+    zip: zip5(row.zip) || parsed.zip,
+    assoc_code: row.assoc_code || null,
+    url: row.url || row.website || null,
+    platform: platform || null,
+  };
+}
+
+// Fields compared between a CSV row and the row it matched (name/address are how it matched)
+const COMPARED = ["assoc_code", "url", "city", "zip", "platform"];
+
+function existingValue(p, field) {
+  if (field === "zip") return zip5(p.zip) || splitUsAddress(p.address).zip;
+  if (field === "city") return p.city || splitUsAddress(p.address).city;
+  if (field === "platform") {
+    const v = String(p.platform || "").trim();
+    return v && v.toLowerCase() !== "unknown" ? v : null;
+  }
+  return p[field] == null || String(p[field]).trim() === "" ? null : String(p[field]).trim();
+}
+
+function sameValue(field, a, b) {
+  if (field === "url") return sameWebsite(a, b);
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Preview of importing csvRows (from parseCsv) against the existing properties rows.
+ * Returns { items, counts } where each item is
+ *   { line, status, incoming, existing, fill, conflicts: [{ field, existing, incoming }], reason }
+ * fill = fields that would be written on the matched row (blank there, set in the CSV).
+ */
+export function planImport(csvRows, existingProps) {
+  const byStreet = new Map();
+  for (const p of existingProps || []) {
+    const key = normalizeStreet(splitUsAddress(p.address).street);
+    if (!key) continue;
+    if (!byStreet.has(key)) byStreet.set(key, []);
+    byStreet.get(key).push(p);
+  }
+
+  const seen = new Map(); // street|zip -> first CSV line
+  const items = [];
+
+  for (const row of csvRows) {
+    const incoming = csvRowToProperty(row);
+    const street = normalizeStreet(incoming.address);
+    const base = { line: row._line ?? null, incoming, existing: null, fill: {}, conflicts: [], reason: null };
+
+    if (!street || !/\d/.test(street)) {
+      items.push({ ...base, status: "invalid", reason: "no street address" });
+      continue;
+    }
+
+    const csvKey = `${street}|${incoming.zip || ""}`;
+    if (seen.has(csvKey)) {
+      items.push({ ...base, status: "duplicate", reason: `same address as line ${seen.get(csvKey)}` });
+      continue;
+    }
+    seen.set(csvKey, base.line);
+
+    // Same street; a zip on both sides has to agree
+    const existing =
+      (byStreet.get(street) || []).find((p) => {
+        const z = existingValue(p, "zip");
+        return !z || !incoming.zip || z === incoming.zip;
+      }) || null;
+
+    if (!existing) {
+      items.push({ ...base, status: "new" });
+      continue;
+    }
+
+    const fill = {};
+    const conflicts = [];
+    for (const field of COMPARED) {
+      const inc = incoming[field];
+      if (inc == null || inc === "") continue;
+
+      const cur = existingValue(existing, field);
+      if (cur == null) fill[field] = inc;
+      else if (!sameValue(field, cur, inc)) conflicts.push({ field, existing: cur, incoming: inc });
+    }
+
+    items.push({ ...base, existing, fill, conflicts, status: conflicts.length ? "conflict" : "matched" });
+  }
+
+  const counts = { new: 0, matched: 0, conflict: 0, duplicate: 0, invalid: 0 };
+  for (const it of items) counts[it.status] += 1;
+  return { items, counts };
+}
+
+/**
+ * What committing a plan writes: inserts for new rows, blank-field fills for matched and
+ * conflict rows. A conflicting field is never in fill, so the value on file stays;
+ * duplicates and invalid rows are never written.
+ */
+export function importChanges(plan, { importedAt = new Date().toISOString() } = {}) {
+  const inserts = plan.items
+    .filter((it) => it.status === "new")
+    .map(({ incoming }) => ({ ...incoming, platform: incoming.platform || "unknown", imported_at: importedAt }));
+
+  const updates = plan.items
+    .filter((it) => (it.status === "matched" || it.status === "conflict") && Object.keys(it.fill).length)
+    .map((it) => ({ id: it.existing.id, patch: it.fill }));
+
+  return { inserts, updates };
+}
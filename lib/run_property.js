@@ -0,0 +1,196 @@
+// lib/run_property.js
+// One property: extract -> canonicalize/validate -> snapshot upsert -> diff vs previous snapshot -> unit_events
+import { dedupeUnits, normalizeSnapshotUnits, buildUnitEvents, EVENT_CONFIRMATION } from "./units.js";
+import { canonicalizeUnits, withAvailability } from "./unit_schema.js";
+import {
+  getLatestSnapshot,
+  getRecentSnapshots,
+  getProvisionalSnapshots,
+  upsertSnapshot,
+  replaceEventsForDay,
+  replaceQuarantineForDay,
+} from "./snapshots.js";
+import { PARTIAL_GUARD, checkPartialScrape } from "./partial_guard.js";
+
+// Extract -> canonicalize/validate -> dedupe, no Supabase. Returns { units, quarantined }.
+// Also what scrape --replay runs against a recorded archive.
+export async function extractPropertyUnits({
+  property,
+  runner,
+  snapshotDate,
+  browser = null,
+  debug = false,
+  log = console.log,
+  recordRequest = () => {},
+  throttle = async () => {},
+}) {
+  const extracted = await runner.extractUnits(property, { browser, snapshotDate, debug, log, recordRequest, throttle });
+  if (!Array.isArray(extracted)) {
+    throw new Error(`${runner.platform}.extractUnits must return an array of unit rows`);
+  }
+
+  const { units: valid, quarantined } = canonicalizeUnits(extracted, { platform: runner.platform, snapshotDate });
+  const units = dedupeUnits(valid);
+
+  log(`Units extracted: ${units.length}`);
+  if (quarantined.length) {
+    log(`⚠️ Quarantined ${quarantined.length} row(s) failing the unit schema:`);
+    for (const q of quarantined.slice(0, 10)) log(`   ${q.unit.unit_number || "(no unit)"}: ${q.errors.join("; ")}`);
+  }
+
+  return { units, quarantined };
+}
+
+// How many confirmed snapshots before a day feed its diff: the debounce windows + the partial-scrape
+// guard. One snapshot per day, so newAfterDays snapshots always cover newAfterDays days.
+// Shared with the unit_events backfill (lib/event_backfill.js) so both see the same history.
+export function eventHistorySize(confirm = EVENT_CONFIRMATION) {
+  return Math.max(PARTIAL_GUARD.historySnapshots, confirm.goneAfterSnapshots, confirm.newAfterDays);
+}
+
+/**
+ * Returns { status, units, quarantined, appeared, disappeared, reappeared, changed, events, provisionalReasons }.
+ * confirm: appear/disappear debounce, see EVENT_CONFIRMATION in lib/units.js.
+ * status:
+ *   "ok"          snapshot + unit_events written
+ *   "zero_units"  no valid units, nothing written to unit_snapshots: an empty scrape is almost
+ *                 always a broken page, and writing it would mark every unit as disappeared
+ *   "provisional" looks incomplete next to recent snapshots (lib/partial_guard.js): snapshot is
+ *                 written with is_provisional + the reasons, no unit_events; the next confirmed
+ *                 run diffs against the last confirmed snapshot instead. allowPartial skips the check.
+ *                 After PARTIAL_GUARD.acceptAfterRuns agreeing provisional runs in a row the new
+ *                 count is accepted and the run is "ok": those runs were real after all, so they are
+ *                 confirmed and get the unit_events they held back (the drop's disappeared events
+ *                 land on the day they'd have been confirmed live), then today diffs against them.
+ * Quarantined rows are recorded either way.
+ */
+export async function runPropertySnapshot({
+  supabase,
+  property,
+  runner,
+  snapshotDate,
+  source,
+  browser = null,
+  debug = false,
+  log = console.log,
+  recordRequest = () => {},
+  throttle = async () => {},
+  allowPartial = false,
+  confirm = EVENT_CONFIRMATION,
+}) {
+  const { units: unitsToday, quarantined } = await extractPropertyUnits({
+    property,
+    runner,
+    snapshotDate,
+    browser,
+    debug,
+    log,
+    recordRequest,
+    throttle,
+  });
+
+  await replaceQuarantineForDay(supabase, {
+    propertyId: property.id,
+    snapshotDate,
+    platform: runner.platform,
+    quarantined,
+  });
+
+  if (!unitsToday.length) {
+    return {
+      status: "zero_units",
+      units: [],
+      quarantined,
+      appeared: [],
+      disappeared: [],
+      reappeared: [],
+      changed: [],
+      events: [],
+      provisionalReasons: [],
+    };
+  }
+
+  const history = await getRecentSnapshots(supabase, property.id, snapshotDate, eventHistorySize(confirm));
+
+  const provisionalRuns =
+    allowPartial || !history.length
+      ? []
+      : await getProvisionalSnapshots(supabase, property.id, history[0].snapshot_date, snapshotDate, PARTIAL_GUARD.acceptAfterRuns - 1);
+  const guard = allowPartial
+    ? { provisional: false, accepted: false, reasons: [] }
+    : checkPartialScrape({ units: unitsToday, history, provisionalRuns });
+
+  if (guard.accepted) {
+    log(`✅ ${PARTIAL_GUARD.acceptAfterRuns} runs in a row agree on ~${unitsToday.length} units — accepting the new count:`);
+    for (const r of guard.reasons) log(`   ${r}`);
+  }
+
+  const asEventSnapshot = (h) => ({
+    snapshot_date: h.snapshot_date,
+    units: normalizeSnapshotUnits(h.units_json).map((u) => withAvailability(u, h.snapshot_date)),
+  });
+
+  let past = history;
+  if (guard.accepted) {
+    for (const prov of [...provisionalRuns].reverse()) {
+      const day = asEventSnapshot(prov);
+      const { events: held } = buildUnitEvents({
+        propertyId: property.id,
+        eventDate: prov.snapshot_date,
+        source,
+        history: past.map(asEventSnapshot),
+        currUnits: day.units,
+        confirm,
+      });
+      await upsertSnapshot(supabase, { propertyId: property.id, snapshotDate: prov.snapshot_date, units: prov.units_json });
+      await replaceEventsForDay(supabase, { propertyId: property.id, eventDate: prov.snapshot_date, source, events: held });
+      log(`   ${prov.snapshot_date} confirmed: ${held.length} held-back event(s) written`);
+      past = [prov, ...past].slice(0, eventHistorySize(confirm));
+    }
+  }
+
+  const { appeared, disappeared, reappeared, changed, events } = buildUnitEvents({
+    propertyId: property.id,
+    eventDate: snapshotDate,
+    source,
+    history: past.map(asEventSnapshot),
+    currUnits: unitsToday,
+    confirm,
+  });
+
+  log(
+    `Diff results for ${snapshotDate}: +${appeared.length} appeared, -${disappeared.length} disappeared, ` +
+      `${reappeared.length} reappeared (flicker), ~${changed.length} price/availability changes`
+  );
+
+  if (guard.provisional) {
+    log("⚠️ Looks like a partial scrape — holding back events:");
+    for (const r of guard.reasons) log(`   ${r}`);
+
+    // A confirmed snapshot already written today (earlier run) beats a partial re-run
+    const today = await getLatestSnapshot(supabase, property.id, snapshotDate);
+    if (today?.snapshot_date === snapshotDate) {
+      log("Keeping the confirmed snapshot already written for today.");
+    } else {
+      await upsertSnapshot(supabase, { propertyId: property.id, snapshotDate, units: unitsToday, provisionalReasons: guard.reasons });
+      await replaceEventsForDay(supabase, { propertyId: property.id, eventDate: snapshotDate, source, events: [] });
+    }
+
+    return {
+      status: "provisional",
+      units: unitsToday,
+      quarantined,
+      appeared,
+      disappeared,
+      reappeared,
+      changed,
+      events: [],
+      provisionalReasons: guard.reasons,
+    };
+  }
+
+  await upsertSnapshot(supabase, { propertyId: property.id, snapshotDate, units: unitsToday });
+  await replaceEventsForDay(supabase, { propertyId: property.id, eventDate: snapshotDate, source, events });
+
+  return { status: "ok", units: unitsToday, quarantined, appeared, disappeared, reappeared, changed, events, provisionalReasons: [] };
+}
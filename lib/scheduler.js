@@ -0,0 +1,273 @@
+// lib/scheduler.js
+// Long-running scheduler behind `unit_tracker.js schedule` (replaces start_all.ps1 / run_all.ps1).
+// Each job is a cron expression + unit_tracker.js arguments, run as a child process so a
+// crashed browser or a leak in one scrape can't take the scheduler down.
+//   - one job at a time per lock group, guarded by that group's lockfile (a second scheduler, or
+//     a stale one, can't overlap); jobs in different groups run side by side, so the hourly
+//     SightMap scrapes keep going while a long nightly browser scrape runs
+//   - missed slots (machine off, scheduler down) are caught up once on the next tick
+//   - SIGINT/SIGTERM: stop scheduling, let the running job finish; a second signal stops it too
+// On the Linux box run it as a systemd service: WorkingDirectory=<repo>,
+// ExecStart=/usr/bin/node unit_tracker.js schedule, Restart=on-failure, KillMode=mixed (SIGTERM to
+// the scheduler only) and TimeoutStopSec long enough for a running scrape to finish.
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { parseCron, nextRun, previousRun } from "./cron.js";
+import { sleep } from "./util.js";
+
+const CLI = fileURLToPath(new URL("../unit_tracker.js", import.meta.url));
+
+export const DEFAULT_STATE_DIR = ".unit_tracker";
+
+// Overridable with --config=FILE: { "jobs": [{ "name", "cron", "args", "group", "timeoutMinutes" }] }
+// group: jobs sharing one run one at a time (default: the job's own name)
+export const DEFAULT_JOBS = [
+  // Both call the SightMap API
+  { name: "sightmap", cron: "0 * * * *", args: ["scrape", "--platform", "sightmap"], group: "sightmap" },
+  { name: "sofi", cron: "5 * * * *", args: ["scrape", "--platform", "sofi"], group: "sightmap" },
+  // Chromium-heavy: one at a time
+  {
+    name: "rentcafe",
+    cron: "0 2 * * *",
+    args: ["scrape", "--platform", "rentcafe", "--concurrency", "4"],
+    group: "nightly",
+    timeoutMinutes: 240,
+  },
+  { name: "realpage", cron: "0 4 * * *", args: ["scrape", "--platform", "realpage", "--concurrency", "2"], group: "nightly" },
+  { name: "prospectportal", cron: "30 4 * * *", args: ["scrape", "--platform", "entrata", "--concurrency", "2"], group: "nightly" },
+  // Last, same group: when the nightly scrapes overrun it waits for them
+  { name: "spells", cron: "0 6 * * *", args: ["spells"], group: "nightly" },
+];
+
+const DEFAULT_TIMEOUT_MINUTES = 120;
+const TICK_MS = 30000;
+
+export function loadJobs(configFile) {
+  const jobs = configFile ? JSON.parse(fs.readFileSync(configFile, "utf8")).jobs : DEFAULT_JOBS;
+  if (!Array.isArray(jobs) || !jobs.length) throw new Error(`${configFile}: expected { "jobs": [...] }`);
+
+  const names = new Set();
+  return jobs.map((j) => {
+    if (!j?.name || names.has(j.name)) throw new Error(`Job names must be set and unique ("${j?.name ?? ""}")`);
+    if (!Array.isArray(j.args) || !j.args.length) throw new Error(`Job ${j.name}: args must be a non-empty array`);
+    names.add(j.name);
+    return {
+      ...j,
+      group: String(j.group ?? j.name),
+      schedule: parseCron(j.cron),
+      timeoutMinutes: Number(j.timeoutMinutes) || DEFAULT_TIMEOUT_MINUTES,
+    };
+  });
+}
+
+// ================== LOCKFILE ==================
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// Returns true when we hold the lock. A lock left by a dead process is taken over.
+export function acquireLock(file, info) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, ...info }), { flag: "wx" });
+      return true;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      let holder = null;
+      try {
+        holder = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch {
+        // half-written lock: treat as stale
+      }
+      // The child holds it too: a scrape still running after the scheduler died keeps the lock
+      if ([holder?.pid, holder?.child_pid].some((pid) => pid && pidAlive(pid))) return false;
+      fs.rmSync(file, { force: true });
+    }
+  }
+  return false;
+}
+
+export function releaseLock(file) {
+  fs.rmSync(file, { force: true });
+}
+
+// One lockfile per group: <stateDir>/<group>.lock
+export function lockFileFor(stateDir, group) {
+  return path.join(stateDir, `${String(group).replace(/[^A-Za-z0-9_-]+/g, "_")}.lock`);
+}
+
+// ================== STATE ==================
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return { jobs: {} };
+  }
+}
+
+function writeState(file, state) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Slot a job is due for at `now`, or null. However many slots were missed, only the latest
+// one is returned, so a scheduler that was down for a day catches up with a single run.
+export function dueSlot(job, lastSlot, now = new Date()) {
+  const slot = previousRun(job.schedule, now);
+  if (!slot || (lastSlot && new Date(lastSlot) >= slot)) return null;
+  return slot;
+}
+
+// ================== RUNNER ==================
+function runJob(job, { log, onChild }) {
+  return new Promise((resolve) => {
+    // Own process group on Linux so Ctrl-C reaches the scheduler only and the scrape can finish
+    const child = spawn(process.execPath, [CLI, ...job.args], {
+      stdio: "inherit",
+      detached: process.platform !== "win32",
+    });
+    onChild(child);
+
+    const timer = setTimeout(() => {
+      log(`⚠️ ${job.name}: still running after ${job.timeoutMinutes} min, stopping it`);
+      child.kill("SIGTERM");
+    }, job.timeoutMinutes * 60000);
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      log(`❌ ${job.name}: could not start:`, err?.message || err);
+      resolve(1);
+    });
+    child.on("exit", (code, signal) => {
+      clearTimeout(timer);
+      resolve(code ?? (signal ? 1 : 0));
+    });
+  });
+}
+
+/**
+ * Runs until SIGINT/SIGTERM. jobs: from loadJobs(). Resolves with the exit code.
+ */
+export async function runScheduler({ jobs, stateDir = DEFAULT_STATE_DIR, log = console.log }) {
+  fs.mkdirSync(stateDir, { recursive: true });
+  const stateFile = path.join(stateDir, "scheduler_state.json");
+
+  let stopping = false;
+  let wake = null;
+  const running = new Map(); // group -> { job, child }
+
+  const onSignal = (sig) => {
+    if (!stopping) {
+      stopping = true;
+      log(`\n${sig}: no new jobs will start${running.size ? "; waiting for the running jobs (signal again to stop them)" : ""}`);
+    } else {
+      for (const { job, child } of running.values()) {
+        if (!child) continue;
+        log(`${sig}: stopping ${job.name}`);
+        child.kill("SIGTERM");
+      }
+    }
+    wake?.();
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  log("Unit Tracker scheduler");
+  log("State:", path.resolve(stateDir));
+  for (const j of jobs) {
+    log(
+      `  ${j.name.padEnd(16)} ${j.cron.padEnd(14)} [${j.group}] next ${nextRun(j.schedule)?.toLocaleString() ?? "never"}  ->  ${j.args.join(" ")}`
+    );
+  }
+
+  // First start: nothing to catch up, just remember where each job stands
+  const initial = readState(stateFile);
+  for (const j of jobs) {
+    if (!initial.jobs[j.name]?.last_slot) {
+      initial.jobs[j.name] = { ...initial.jobs[j.name], last_slot: previousRun(j.schedule)?.toISOString() ?? null };
+    }
+  }
+  writeState(stateFile, initial);
+
+  // Runs j (its group's lock already held) and records the slot
+  async function runLocked(j, slot, lockFile) {
+    const late = Date.now() - slot.getTime() > 2 * 60000;
+    log(`\n▶ ${new Date().toLocaleString()} ${j.name}${late ? ` (catching up ${slot.toLocaleString()})` : ""}: ${j.args.join(" ")}`);
+    const startedAt = new Date();
+
+    const lockInfo = { pid: process.pid, job: j.name, started_at: startedAt.toISOString() };
+    const code = await runJob(j, {
+      log,
+      onChild: (c) => {
+        running.get(j.group).child = c;
+        fs.writeFileSync(lockFile, JSON.stringify({ ...lockInfo, child_pid: c.pid }));
+      },
+    });
+
+    const state = readState(stateFile);
+    state.jobs[j.name] = {
+      last_slot: slot.toISOString(),
+      last_started_at: startedAt.toISOString(),
+      last_finished_at: new Date().toISOString(),
+      last_exit_code: code,
+    };
+    writeState(stateFile, state);
+
+    const mins = Math.round((Date.now() - startedAt.getTime()) / 60000);
+    log(`${code === 0 ? "✅" : "⚠️"} ${j.name} exited ${code} after ${mins} min; next ${nextRun(j.schedule)?.toLocaleString() ?? "never"}`);
+  }
+
+  const heldElsewhere = new Set(); // groups already reported as locked by another run
+
+  while (!stopping) {
+    for (const j of jobs) {
+      if (stopping) break;
+      if (running.has(j.group)) continue; // the rest of its group waits its turn
+
+      const slot = dueSlot(j, readState(stateFile).jobs[j.name]?.last_slot);
+      if (!slot) continue;
+
+      const lockFile = lockFileFor(stateDir, j.group);
+      if (!acquireLock(lockFile, { job: j.name, started_at: new Date().toISOString() })) {
+        if (!heldElsewhere.has(j.group)) log(`⏳ ${j.name} is due but ${lockFile} is held by another run; will retry`);
+        heldElsewhere.add(j.group);
+        continue;
+      }
+      heldElsewhere.delete(j.group);
+
+      // Re-check under the lock: another scheduler may have just run it
+      if (!dueSlot(j, readState(stateFile).jobs[j.name]?.last_slot, slot)) {
+        releaseLock(lockFile);
+        continue;
+      }
+
+      running.set(j.group, { job: j, child: null });
+      runLocked(j, slot, lockFile)
+        .catch((err) => log(`❌ ${j.name}:`, err?.message || err))
+        .finally(() => {
+          running.delete(j.group);
+          releaseLock(lockFile);
+          wake?.(); // the next job in its group may be waiting
+        });
+    }
+
+    if (stopping) break;
+    await Promise.race([sleep(TICK_MS), new Promise((r) => (wake = r))]);
+    wake = null;
+  }
+
+  while (running.size) await new Promise((r) => (wake = r));
+
+  process.off("SIGINT", onSignal);
+  process.off("SIGTERM", onSignal);
+  log("Scheduler stopped.");
+  return 0;
+}
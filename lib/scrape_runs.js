@@ -0,0 +1,79 @@
+// lib/scrape_runs.js
+// scrape_runs / scrape_run_items ledger. A failed ledger write is logged and
+// swallowed — it must never be the reason a snapshot doesn't get written.
+import os from "os";
+
+function warn(what, err) {
+  console.log(`⚠️ scrape ledger: ${what} failed:`, err?.message || err);
+}
+
+// Returns the run id, or null when the ledger couldn't be written (items are then skipped)
+export async function startScrapeRun(supabase, { trigger, snapshotDate, source, args = null }) {
+  const { data, error } = await supabase
+    .from("scrape_runs")
+    .insert({ trigger, snapshot_date: snapshotDate, source, args: { ...args, host: os.hostname() } })
+    .select("id")
+    .single();
+
+  if (error) {
+    warn("start run", error);
+    return null;
+  }
+  return data.id;
+}
+
+/**
+ * One property's outcome. result is what runPropertySnapshot returned (omit on failure),
+ * requests what the extractor reported through ctx.recordRequest.
+ */
+export function buildRunItem({ property, platform, status, result = null, error = null, requests = [], startedAt }) {
+  return {
+    property_id: property?.id ?? null,
+    platform: platform ?? null,
+    status,
+    urls_tried: [...new Set(requests.map((r) => r.url).filter(Boolean))],
+    http_statuses: requests.map((r) => ({ url: r.url, status: r.status ?? null, error: r.error ?? null })),
+    units_extracted: result ? result.units.length : null,
+    quarantined: result ? result.quarantined.length : null,
+    appeared: result ? result.appeared.length : null,
+    disappeared: result ? result.disappeared.length : null,
+    reappeared: result ? result.reappeared.length : null,
+    changed: result ? result.changed.length : null,
+    provisional_reasons: result?.provisionalReasons?.length ? result.provisionalReasons : null,
+    error: error ? String(error?.message || error).slice(0, 2000) : null,
+    started_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt,
+  };
+}
+
+export async function recordScrapeRunItem(supabase, runId, item) {
+  if (!runId) return;
+  const { error } = await supabase.from("scrape_run_items").insert({ run_id: runId, ...item });
+  if (error) warn("record item", error);
+}
+
+// statuses: the item statuses of the run
+export async function finishScrapeRun(supabase, runId, { statuses, startedAt }) {
+  if (!runId) return;
+
+  const count = (s) => statuses.filter((x) => x === s).length;
+  const tried = statuses.length - count("skipped");
+  const bad = count("failed") + count("zero_units") + count("provisional");
+
+  const { error } = await supabase
+    .from("scrape_runs")
+    .update({
+      status: !tried || !bad ? "ok" : bad === tried ? "failed" : "partial",
+      properties_total: statuses.length,
+      ok_count: count("ok"),
+      zero_units_count: count("zero_units"),
+      provisional_count: count("provisional"),
+      failed_count: count("failed"),
+      skipped_count: count("skipped"),
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+    })
+    .eq("id", runId);
+
+  if (error) warn("finish run", error);
+}
@@ -0,0 +1,190 @@
+// lib/sightmap_discovery.js
+// Finds the SightMap app embedded on a property's website and resolves what the sightmap
+// runner needs: properties.sightmap_asset + sightmap_landing_page_id. Plain fetch, no browser:
+//   1. the website (properties.url), then a few same-site floor plan / availability pages
+//   2. SightMap references in the HTML: API URLs, embed iframes, share links
+//   3. embed/share pages are fetched and searched for the asset code + landing page id
+//   4. the landing page API is called once to confirm it lists units
+import { USER_AGENT } from "./browser.js";
+import { fetchSightmapLandingPage } from "./platforms/sightmap.js";
+
+// Same-site pages worth a look when the home page doesn't embed the map
+const SUBPAGE_HINT = /floor|avail|apartment|units|residences|interactive|site-?map|map/i;
+const MAX_SUBPAGES = 4;
+
+const API_RE = /sightmap\.com\/app\/api\/v1\/([a-z0-9]+)\/landing-pages\/(\d+)/gi;
+const EMBED_RE = /https?:\/\/(?:www\.)?sightmap\.com\/(embed|share|app)\/([a-z0-9]+)[^"'<>\s]*/gi;
+
+// Escaped JSON (\/), HTML entities and protocol-relative URLs all show up in page source
+function unescapeSource(html) {
+  return String(html || "")
+    .replace(/\\\//g, "/")
+    .replace(/&amp;/g, "&")
+    .replace(/&#x2F;|&#47;/gi, "/")
+    .replace(/(["'\s=(])\/\/(?:www\.)?sightmap\.com/gi, "$1https://sightmap.com");
+}
+
+/**
+ * SightMap references in a page's HTML.
+ * Returns { direct: [{ asset, landingPageId }], embeds: [url] } (deduped, in page order).
+ */
+export function findSightmapRefs(html) {
+  const src = unescapeSource(html);
+  const direct = [];
+  const embeds = [];
+
+  for (const m of src.matchAll(API_RE)) {
+    if (!direct.some((d) => d.asset === m[1] && d.landingPageId === m[2])) direct.push({ asset: m[1], landingPageId: m[2] });
+  }
+  for (const m of src.matchAll(EMBED_RE)) {
+    if (m[1] === "app" && m[2] === "api") continue;
+    if (!embeds.includes(m[0])) embeds.push(m[0]);
+  }
+
+  return { direct, embeds };
+}
+
+/**
+ * Asset code + landing page ids from a SightMap embed/share page (HTML plus the URL it
+ * ended up on after redirects). The embed key doubles as the asset code when the page
+ * doesn't spell one out. Returns [{ asset, landingPageId }].
+ */
+export function resolveEmbedPage(html, finalUrl) {
+  const src = `${finalUrl || ""}\n${unescapeSource(html)}`;
+  const { direct } = findSightmapRefs(src);
+  if (direct.length) return direct;
+
+  const asset =
+    src.match(/api\/v1\/([a-z0-9]+)\//i)?.[1] ||
+    src.match(/["']?asset_?code["']?\s*[:=]\s*["']([a-z0-9]+)["']/i)?.[1] ||
+    src.match(/sightmap\.com\/(?:embed|share)\/([a-z0-9]+)/i)?.[1] ||
+    null;
+  if (!asset) return [];
+
+  const ids = new Set();
+  for (const m of src.matchAll(/landing[-_]?pages?(?:[-_]?id)?["']?\s*[:=/]\s*["']?(\d+)/gi)) ids.add(m[1]);
+  return [...ids].map((landingPageId) => ({ asset, landingPageId }));
+}
+
+// Same-origin links whose URL or text suggests floor plans / availability
+export function candidateSubpages(html, baseUrl) {
+  const base = new URL(baseUrl);
+  const out = [];
+
+  for (const m of String(html || "").matchAll(/<a\b[^>]*href\s*=\s*["']([^"'#]+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    let url;
+    try {
+      url = new URL(m[1].replace(/&amp;/g, "&"), base);
+    } catch {
+      continue;
+    }
+    if (url.origin !== base.origin || url.href === base.href) continue;
+
+    const text = m[2].replace(/<[^>]+>/g, " ");
+    if (!SUBPAGE_HINT.test(url.pathname) && !SUBPAGE_HINT.test(text)) continue;
+    if (!out.includes(url.href)) out.push(url.href);
+  }
+
+  return out.slice(0, MAX_SUBPAGES);
+}
+
+async function fetchText(url, { record, throttle }) {
+  let status = null;
+  try {
+    await throttle(url);
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT, Accept: "text/html,*/*" }, redirect: "follow" });
+    status = res.status;
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    const text = await res.text();
+    record({ url, status });
+    return { url: res.url || url, text };
+  } catch (err) {
+    record({ url, status, error: String(err?.message || err) });
+    throw err;
+  }
+}
+
+/**
+ * Discover the SightMap landing page behind a property website.
+ * Resolves { asset, landingPageId, embedUrl, foundOn, units } (units = count on the
+ * landing page when verified) or null when no working SightMap embed was found.
+ * Throws only when the website itself can't be loaded.
+ */
+export async function discoverSightmap(websiteUrl, { log = () => {}, record = () => {}, throttle = async () => {} } = {}) {
+  const home = await fetchText(websiteUrl, { record, throttle });
+  const pages = [home];
+  const tried = new Set();
+
+  const verify = async (c, embedUrl, foundOn) => {
+    const key = `${c.asset}/${c.landingPageId}`;
+    if (tried.has(key)) return null;
+    tried.add(key);
+
+    try {
+      const payload = await fetchSightmapLandingPage(c.asset, c.landingPageId, { record, throttle });
+      const units = payload?.data?.units;
+      if (!Array.isArray(units)) {
+        log(`⚠️ ${key}: landing page has no units list`);
+        return null;
+      }
+      return { asset: c.asset, landingPageId: c.landingPageId, embedUrl, foundOn, units: units.length };
+    } catch (err) {
+      log(`⚠️ ${key}: ${err?.message || err}`);
+      return null;
+    }
+  };
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const { direct, embeds } = findSightmapRefs(page.text);
+    if (direct.length || embeds.length) log(`SightMap reference(s) on ${page.url}`);
+
+    for (const c of direct) {
+      const found = await verify(c, null, page.url);
+      if (found) return found;
+    }
+
+    for (const embedUrl of embeds) {
+      let embed;
+      try {
+        embed = await fetchText(embedUrl, { record, throttle });
+      } catch (err) {
+        log(`⚠️ ${embedUrl}: ${err?.message || err}`);
+        continue;
+      }
+      for (const c of resolveEmbedPage(embed.text, embed.url)) {
+        const found = await verify(c, embedUrl, page.url);
+        if (found) return found;
+      }
+    }
+
+    // Only the home page's links are followed
+    if (i === 0) {
+      for (const url of candidateSubpages(home.text, home.url)) {
+        try {
+          pages.push(await fetchText(url, { record, throttle }));
+        } catch (err) {
+          log(`⚠️ ${url}: ${err?.message || err}`);
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store a discoverSightmap() result on the properties row. Returns the updated fields.
+ */
+export async function saveSightmapDiscovery(supabase, propertyId, found) {
+  const patch = {
+    sightmap_asset: found.asset,
+    sightmap_landing_page_id: found.landingPageId,
+    sightmap_embed_url: found.embedUrl,
+    sightmap_discovered_at: new Date().toISOString(),
+  };
+
+  const { error } = await supabase.from("properties").update(patch).eq("id", propertyId);
+  if (error) throw error;
+  return patch;
+}
@@ -0,0 +1,165 @@
+// lib/snapshots.js
+// unit_snapshots / unit_events reads + writes.
+// Reads used for diffing skip provisional snapshots (is_provisional, see lib/partial_guard.js).
+
+export async function getLatestSnapshot(supabase, propertyId, upToDateISO) {
+  const { data, error } = await supabase
+    .from("unit_snapshots")
+    .select("snapshot_date, units_json")
+    .eq("property_id", propertyId)
+    .eq("is_provisional", false)
+    .lte("snapshot_date", upToDateISO)
+    .order("snapshot_date", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Last `limit` confirmed snapshots strictly before a date, newest first: [0] is what today
+// diffs against (re-running a day never diffs against itself), the rest feed the partial-scrape guard
+export async function getRecentSnapshots(supabase, propertyId, beforeDateISO, limit) {
+  const { data, error } = await supabase
+    .from("unit_snapshots")
+    .select("snapshot_date, units_json")
+    .eq("property_id", propertyId)
+    .eq("is_provisional", false)
+    .lt("snapshot_date", beforeDateISO)
+    .order("snapshot_date", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Provisional snapshots after the last confirmed one (afterDateISO) and before a date, newest first
+export async function getProvisionalSnapshots(supabase, propertyId, afterDateISO, beforeDateISO, limit) {
+  const { data, error } = await supabase
+    .from("unit_snapshots")
+    .select("snapshot_date, units_json")
+    .eq("property_id", propertyId)
+    .eq("is_provisional", true)
+    .gt("snapshot_date", afterDateISO)
+    .lt("snapshot_date", beforeDateISO)
+    .order("snapshot_date", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function upsertSnapshot(supabase, { propertyId, snapshotDate, units, provisionalReasons = null }) {
+  const { data, error } = await supabase
+    .from("unit_snapshots")
+    .upsert(
+      {
+        property_id: propertyId,
+        snapshot_date: snapshotDate,
+        units_json: units,
+        is_provisional: Boolean(provisionalReasons?.length),
+        provisional_reasons: provisionalReasons?.length ? provisionalReasons : null,
+      },
+      { onConflict: "property_id,snapshot_date" }
+    )
+    .select("id, property_id, snapshot_date, created_at")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Delete + insert so re-running the same day is idempotent
+export async function replaceEventsForDay(supabase, { propertyId, eventDate, source, events }) {
+  const { error: delErr } = await supabase
+    .from("unit_events")
+    .delete()
+    .eq("property_id", propertyId)
+    .eq("event_date", eventDate)
+    .eq("source", source);
+
+  if (delErr) throw delErr;
+
+  if (!events.length) return;
+
+  const { error: insErr } = await supabase.from("unit_events").insert(events);
+  if (insErr) throw insErr;
+}
+
+// Rows that failed unit schema validation; same delete + insert per property/day as unit_events
+export async function replaceQuarantineForDay(supabase, { propertyId, snapshotDate, platform, quarantined }) {
+  const { error: delErr } = await supabase
+    .from("unit_quarantine")
+    .delete()
+    .eq("property_id", propertyId)
+    .eq("snapshot_date", snapshotDate);
+
+  if (delErr) throw delErr;
+
+  if (!quarantined.length) return;
+
+  const rows = quarantined.map((q) => ({
+    property_id: propertyId,
+    snapshot_date: snapshotDate,
+    platform,
+    unit_number: q.unit.unit_number,
+    unit_json: q.unit,
+    errors: q.errors,
+  }));
+
+  const { error: insErr } = await supabase.from("unit_quarantine").insert(rows);
+  if (insErr) throw insErr;
+}
+
+// All snapshots for a property, ascending (paged: PostgREST caps a response at 1000 rows)
+export async function getSnapshotsForProperty(supabase, propertyId, { fromDate = null, toDate = null } = {}) {
+  const pageSize = 1000;
+  const out = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    let q = supabase
+      .from("unit_snapshots")
+      .select("snapshot_date, units_json")
+      .eq("property_id", propertyId)
+      .eq("is_provisional", false)
+      .order("snapshot_date", { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (fromDate) q = q.gte("snapshot_date", fromDate);
+    if (toDate) q = q.lte("snapshot_date", toDate);
+
+    const { data, error } = await q;
+    if (error) throw error;
+
+    out.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return out;
+}
+
+// unit_events for a property/source in a date range, ordered by date (paged like the snapshots)
+export async function getEventsForProperty(supabase, propertyId, { source, fromDate, toDate }) {
+  const pageSize = 1000;
+  const out = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from("unit_events")
+      .select("event_date, unit_key, unit_number, event_type, old_value, new_value")
+      .eq("property_id", propertyId)
+      .eq("source", source)
+      .gte("event_date", fromDate)
+      .lte("event_date", toDate)
+      .order("event_date", { ascending: true })
+      .order("unit_key", { ascending: true })
+      .order("event_type", { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    out.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return out;
+}
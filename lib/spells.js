@@ -0,0 +1,104 @@
+// lib/spells.js
+// Listing "spells": one row per unit_key per stretch on market, from the first snapshot
+// it appears in to the first snapshot it's missing from. Days on market comes from these.
+// A unit that comes back counts as the same spell under the rule the events use for
+// "reappeared" (isFlickerReturn in lib/units.js): never confirmed gone, or back within
+// newAfterDays. So a missed scrape or a short flicker doesn't reset days on market.
+import { EVENT_CONFIRMATION, isFlickerReturn, normalizeSnapshotUnits } from "./units.js";
+import { daysBetweenISO } from "./dates.js";
+import { getSnapshotsForProperty } from "./snapshots.js";
+
+/**
+ * snapshots: [{ snapshot_date, units_json }] ascending.
+ * Returns [{ unit_key, unit_number, start_date, end_date, last_seen_date, days_on_market, is_open }].
+ * A spell closes once the unit has been missing confirm.goneAfterSnapshots consecutive
+ * snapshots; a shorter gap is bridged, and so is a longer one when the unit is back within
+ * confirm.newAfterDays of last_seen_date (the spell is reopened).
+ * Closed spell: days = start -> end_date (first snapshot of the gap that closed it).
+ * Open spell:   days = start -> latest snapshot date (still listed, or gone but not confirmed yet).
+ */
+export function buildSpells(snapshots, { confirm = EVENT_CONFIRMATION } = {}) {
+  const spells = [];
+  const latest = new Map(); // unit_key -> its latest spell, open or closed
+  const gaps = new Map(); // unit_key -> snapshot dates missed since last seen
+  let lastDate = null;
+
+  for (const snap of snapshots || []) {
+    const date = snap.snapshot_date;
+    const present = new Map(normalizeSnapshotUnits(snap.units_json).map((u) => [u.unit_key, u]));
+
+    for (const [key, spell] of latest) {
+      if (present.has(key)) continue;
+
+      const gap = [...(gaps.get(key) || []), date];
+      gaps.set(key, gap);
+      if (spell.is_open && gap.length >= confirm.goneAfterSnapshots) {
+        spell.end_date = gap[0];
+        spell.days_on_market = daysBetweenISO(spell.start_date, gap[0]);
+        spell.is_open = false;
+      }
+    }
+
+    for (const [key, u] of present) {
+      const spell = latest.get(key);
+      const missed = gaps.get(key)?.length || 0;
+      gaps.delete(key);
+
+      if (spell && isFlickerReturn({ missed, lastSeen: spell.last_seen_date, date }, confirm)) {
+        spell.last_seen_date = date;
+        spell.end_date = null;
+        spell.is_open = true;
+        continue;
+      }
+
+      const fresh = {
+        unit_key: key,
+        unit_number: u.unit_number ?? null,
+        start_date: date,
+        end_date: null,
+        last_seen_date: date,
+        days_on_market: 0,
+        is_open: true,
+      };
+      latest.set(key, fresh);
+      spells.push(fresh);
+    }
+
+    lastDate = date;
+  }
+
+  for (const spell of spells) {
+    if (spell.is_open) spell.days_on_market = daysBetweenISO(spell.start_date, lastDate);
+  }
+
+  return spells;
+}
+
+// { count, median, average } over a list of day counts (null stats when empty)
+export function summarizeDays(days) {
+  const xs = (days || []).filter((d) => Number.isFinite(d)).sort((a, b) => a - b);
+  if (!xs.length) return { count: 0, median: null, average: null };
+
+  const mid = Math.floor(xs.length / 2);
+  const median = xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+  const average = xs.reduce((sum, d) => sum + d, 0) / xs.length;
+
+  return { count: xs.length, median, average: Math.round(average * 10) / 10 };
+}
+
+// Rebuild unit_spells for one property from all its snapshots (delete + insert, safe to re-run)
+export async function rebuildSpellsForProperty(supabase, propertyId, { confirm = EVENT_CONFIRMATION } = {}) {
+  const snapshots = await getSnapshotsForProperty(supabase, propertyId);
+  const spells = buildSpells(snapshots, { confirm });
+
+  const { error: delErr } = await supabase.from("unit_spells").delete().eq("property_id", propertyId);
+  if (delErr) throw delErr;
+
+  const rows = spells.map((s) => ({ property_id: propertyId, ...s }));
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await supabase.from("unit_spells").insert(rows.slice(i, i + 500));
+    if (error) throw error;
+  }
+
+  return { snapshots: snapshots.length, spells };
+}
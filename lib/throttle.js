@@ -0,0 +1,54 @@
+// lib/throttle.js
+// Per-host rate limit for concurrent scrapes (unit_tracker.js scrape --concurrency).
+// Several properties often live on the same host (securecafe.com, sightmap.com,
+// *.prospectportal.com), so a pool of N contexts must not hit one host N times at once.
+import { sleep } from "./util.js";
+
+/**
+ * Returns throttle(url): resolves once a request to url's host may start, keeping starts
+ * to the same host at least minIntervalMs apart. Slots are reserved synchronously,
+ * so concurrent callers queue up instead of racing. minIntervalMs <= 0 disables it.
+ */
+export function createHostThrottle({ minIntervalMs = 0 } = {}) {
+  const nextStart = new Map(); // host -> earliest start for the next request
+
+  return async function throttle(url) {
+    if (!(minIntervalMs > 0)) return;
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      return;
+    }
+
+    const now = Date.now();
+    const at = Math.max(now, nextStart.get(host) ?? 0);
+    nextStart.set(host, at + minIntervalMs);
+    if (at > now) await sleep(at - now);
+  };
+}
+
+/**
+ * Wraps a Playwright browser so every context it opens waits on throttle() before each
+ * page navigation (document requests; subresources are left alone). Extractors keep using
+ * withPage/createContext unchanged.
+ */
+export function throttledBrowser(browser, throttle) {
+  const newContext = async (opts) => {
+    const context = await browser.newContext(opts);
+    await context.route("**/*", async (route) => {
+      if (route.request().resourceType() === "document") await throttle(route.request().url());
+      return route.fallback();
+    });
+    return context;
+  };
+
+  return new Proxy(browser, {
+    get(target, prop) {
+      if (prop === "newContext") return newContext;
+      const v = Reflect.get(target, prop);
+      return typeof v === "function" ? v.bind(target) : v;
+    },
+  });
+}
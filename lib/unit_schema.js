@@ -0,0 +1,178 @@
+// lib/unit_schema.js
+// Canonical units_json row (versioned) + validation. Every extractor's output goes
+// through canonicalizeUnits() before upsertSnapshot, so units_json has one shape
+// regardless of platform. Rows that fail validation are quarantined, not written.
+import { normalizeUnitNumber, normalizeUnitKeyFromNumber } from "./units.js";
+import { toNumberMaybe } from "./util.js";
+import { parseAvailableOn } from "./dates.js";
+import { PRICE_LIMITS, PRICE_BASES, parseMoneyRange, priceBasisFromText } from "./prices.js";
+
+// v2: available_on_date resolved against the snapshot date ("Available Mar 5th"), + available_now
+// v3: price_min/price_max from ranges (never one mangled number) + price_basis
+export const UNIT_SCHEMA_VERSION = 3;
+
+/**
+ * @typedef {Object} CanonicalUnit
+ * @property {number} schema_version
+ * @property {string} unit_key            "unit:<unit_number>"
+ * @property {string} unit_number
+ * @property {string|null} unit_id        Platform id if it has one, else unit_key
+ * @property {number|null} beds
+ * @property {number|null} baths
+ * @property {number|null} sqft
+ * @property {number|null} price          Same as price_min; kept for older dashboard code
+ * @property {number|null} price_min
+ * @property {number|null} price_max      Same as price_min unless the site shows a range
+ * @property {string|null} price_basis    base_rent | starting_at | lease_term (see lib/prices.js), null = unknown
+ * @property {string|null} available_on      Availability exactly as the site showed it
+ * @property {string|null} available_on_date YYYY-MM-DD, relative/partial text resolved against the snapshot date
+ * @property {boolean} available_now      available_on_date is on/before the snapshot date
+ * @property {string|null} floor_plan_id
+ * @property {string|null} floor_plan_name
+ * @property {string|null} building
+ * @property {string} platform            Extractor that produced the row
+ * @property {Object|null} meta           Raw source (page_url, raw text/JSON, platform extras)
+ */
+
+// Sanity bounds: anything outside is a parse bug (e.g. "$2,100 - $2,450" -> 21002450), not a unit
+const LIMITS = {
+  price: PRICE_LIMITS,
+  sqft: [100, 20000],
+  beds: [0, 10],
+  baths: [0, 10],
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function strOrNull(x) {
+  if (x == null) return null;
+  const s = String(x).trim();
+  return s ? s : null;
+}
+
+function numOrNull(x) {
+  if (x == null || x === "") return null;
+  if (typeof x === "number") return Number.isFinite(x) ? x : null;
+  return toNumberMaybe(x);
+}
+
+export function isValidISODate(s) {
+  if (!ISO_DATE.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// Fill available_on_date/available_now from the text. Also used on pre-v2 snapshot rows
+// (with that snapshot's date) so diffs compare like with like.
+export function withAvailability(u, snapshotDate) {
+  const available_on_date = strOrNull(u?.available_on_date) || parseAvailableOn(u?.available_on, snapshotDate);
+  const available_now = Boolean(available_on_date && snapshotDate && available_on_date <= snapshotDate);
+  return { ...u, available_on_date, available_now };
+}
+
+/**
+ * Map an extractor row onto the canonical shape. Extractors may leave extras
+ * in meta (sqft, building, *_text); those are picked up here.
+ * @returns {CanonicalUnit}
+ */
+export function toCanonicalUnit(row, { platform, snapshotDate = null }) {
+  const meta = row?.meta && typeof row.meta === "object" ? row.meta : null;
+
+  const unit_number = normalizeUnitNumber(row?.unit_number);
+  const unit_key = normalizeUnitKeyFromNumber(unit_number);
+
+  // Prices may arrive as numbers or text ("$2,100 - $2,450"); text goes through the range parser
+  const range = parseMoneyRange(row?.price);
+  const price_min = parseMoneyRange(row?.price_min)?.min ?? range?.min ?? null;
+  const price_max = parseMoneyRange(row?.price_max)?.max ?? range?.max ?? price_min;
+  const price_basis =
+    row?.price_basis !== undefined ? row.price_basis : priceBasisFromText(meta?.price_text ?? meta?.rent_text);
+
+  const { available_on_date, available_now } = withAvailability(
+    { available_on: strOrNull(row?.available_on), available_on_date: row?.available_on_date },
+    snapshotDate
+  );
+
+  return {
+    schema_version: UNIT_SCHEMA_VERSION,
+    unit_key,
+    unit_number,
+    unit_id: strOrNull(row?.unit_id) || unit_key,
+    beds: numOrNull(row?.beds ?? meta?.beds),
+    baths: numOrNull(row?.baths ?? meta?.baths),
+    sqft: numOrNull(row?.sqft ?? row?.area ?? meta?.sqft ?? meta?.sqft_text),
+    price: price_min,
+    price_min,
+    price_max,
+    price_basis: price_basis ?? null,
+    available_on: strOrNull(row?.available_on),
+    available_on_date,
+    available_now,
+    floor_plan_id: strOrNull(row?.floor_plan_id),
+    floor_plan_name: strOrNull(row?.floor_plan_name ?? meta?.floor_plan_name),
+    building: strOrNull(row?.building ?? meta?.building),
+    platform,
+    meta,
+  };
+}
+
+// Returns a list of problems; empty = valid
+export function validateCanonicalUnit(u) {
+  const errors = [];
+
+  if (u.schema_version !== UNIT_SCHEMA_VERSION) {
+    errors.push(`schema_version ${u.schema_version} is not ${UNIT_SCHEMA_VERSION}`);
+  }
+
+  if (!u.unit_number) errors.push("unit_number missing");
+  else if (u.unit_number.length > 24 || /[$\n]/.test(u.unit_number)) errors.push(`unit_number looks wrong: "${u.unit_number}"`);
+
+  if (!u.unit_key) errors.push("unit_key missing");
+  else if (u.unit_key !== normalizeUnitKeyFromNumber(u.unit_number)) errors.push("unit_key does not match unit_number");
+
+  const inRange = (field, [lo, hi]) => {
+    const v = u[field];
+    if (v == null) return;
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${field} is not a number`);
+    else if (v < lo || v > hi) errors.push(`${field} ${v} outside ${lo}..${hi}`);
+  };
+
+  inRange("price_min", LIMITS.price);
+  inRange("price_max", LIMITS.price);
+  inRange("sqft", LIMITS.sqft);
+  inRange("beds", LIMITS.beds);
+  inRange("baths", LIMITS.baths);
+
+  if (u.price_min != null && u.price_max != null && u.price_min > u.price_max) {
+    errors.push(`price_min ${u.price_min} > price_max ${u.price_max}`);
+  }
+
+  if (u.price_basis != null && !PRICE_BASES.includes(u.price_basis)) {
+    errors.push(`price_basis "${u.price_basis}" not one of ${PRICE_BASES.join(", ")}`);
+  }
+
+  if (u.available_on_date != null && !isValidISODate(u.available_on_date)) {
+    errors.push(`available_on_date not YYYY-MM-DD: "${u.available_on_date}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Canonicalize + validate one extractor run.
+ * Returns { units, quarantined: [{ unit, errors }] }.
+ */
+export function canonicalizeUnits(rows, { platform, snapshotDate = null }) {
+  const units = [];
+  const quarantined = [];
+
+  for (const row of rows || []) {
+    const unit = toCanonicalUnit(row, { platform, snapshotDate });
+    const errors = validateCanonicalUnit(unit);
+
+    if (errors.length) quarantined.push({ unit, errors });
+    else units.push(unit);
+  }
+
+  return { units, quarantined };
+}
@@ -0,0 +1,215 @@
+// lib/units.js
+// Unit key normalization + snapshot diffing (same rules every runner already uses)
+import { parseAvailableOn, daysBetweenISO } from "./dates.js";
+import { isSanePrice } from "./prices.js";
+
+export function normalizeUnitNumber(x) {
+  const n = String(x ?? "").trim();
+  return n ? n : null;
+}
+
+export function normalizeUnitKeyFromNumber(unitNumber) {
+  const n = normalizeUnitNumber(unitNumber);
+  if (!n) return null;
+  return n.startsWith("unit:") ? n : `unit:${n}`;
+}
+
+export function unitNumberFromUnitKey(unitKey) {
+  if (!unitKey) return null;
+  const s = String(unitKey);
+  if (s.startsWith("unit:")) return s.slice(5) || null;
+  return s || null;
+}
+
+/**
+ * Older snapshots don't always carry unit_key (SightMap v1, run_rentcafe_all).
+ * Rebuild unit_key/unit_number the same way for every row so diffs line up.
+ */
+export function normalizeSnapshotUnits(unitsJson) {
+  return (unitsJson || [])
+    .map((u) => {
+      const unitId = u?.unit_id != null ? String(u.unit_id) : "";
+
+      const unit_key =
+        u?.unit_key ||
+        normalizeUnitKeyFromNumber(u?.unit_number) ||
+        (unitId.startsWith("unit:") ? unitId : null);
+
+      const unit_number =
+        normalizeUnitNumber(u?.unit_number) ||
+        unitNumberFromUnitKey(unit_key) ||
+        (unitId.startsWith("unit:") ? unitId.slice(5) : null);
+
+      return { ...u, unit_key, unit_number };
+    })
+    .filter((u) => u.unit_key);
+}
+
+// Dedup by unit_key (first one wins) and make sure unit_key/unit_number agree
+export function dedupeUnits(units) {
+  const out = [];
+  const seen = new Set();
+
+  for (const u of normalizeSnapshotUnits(units)) {
+    if (seen.has(u.unit_key)) continue;
+    seen.add(u.unit_key);
+    out.push(u);
+  }
+
+  return out;
+}
+
+export function diffKeys(prevUnits, currUnits) {
+  const prevSet = new Set((prevUnits || []).map((u) => u.unit_key).filter(Boolean));
+  const currSet = new Set((currUnits || []).map((u) => u.unit_key).filter(Boolean));
+
+  const appeared = [...currSet].filter((k) => !prevSet.has(k));
+  const disappeared = [...prevSet].filter((k) => !currSet.has(k));
+
+  return { appeared, disappeared };
+}
+
+// Price used for change events: canonical price_min, else the legacy single price.
+// Pre-v3 snapshots can hold mangled ranges (21002450); those compare as "no price".
+export function unitPrice(u) {
+  const v = u?.price_min ?? u?.price;
+  return isSanePrice(v) ? v : null;
+}
+
+// Availability used for change events: "now" for anything already available (so
+// "Available Now" two days running isn't a change), else the typed date, else the site's text.
+// asOfDate: a date on or before it also counts as "now", so yesterday's "Mar 5" and today's
+// "now" (Mar 5 has arrived) compare equal. Both sides of a diff use the same asOfDate.
+export function unitAvailability(u, asOfDate = null) {
+  if (u?.available_now) return "now";
+  const text = String(u?.available_on ?? "").trim();
+  const value = u?.available_on_date || parseAvailableOn(text) || text || null;
+  if (asOfDate && /^\d{4}-\d{2}-\d{2}$/.test(value || "") && value <= asOfDate) return "now";
+  return value;
+}
+
+/**
+ * Debounce for appear/disappear events (override with UNIT_GONE_SNAPSHOTS / UNIT_NEW_AFTER_DAYS
+ * or unit_tracker.js --gone-after / --new-after-days):
+ *   goneAfterSnapshots  a unit is "disappeared" only once it has been missing this many
+ *                       consecutive snapshots (1 = the old one-snapshot diff)
+ *   newAfterDays        a unit that shows up again is "appeared" only if it wasn't listed in
+ *                       this many days; otherwise it's a "reappeared" flicker (no call-queue lead)
+ */
+export const EVENT_CONFIRMATION = {
+  goneAfterSnapshots: 2,
+  newAfterDays: 7,
+};
+
+export function eventConfirmationFromEnv(env = process.env) {
+  const int = (v, def, min) => {
+    const n = Number.parseInt(String(v ?? ""), 10);
+    return Number.isFinite(n) && n >= min ? n : def;
+  };
+  return {
+    goneAfterSnapshots: int(env.UNIT_GONE_SNAPSHOTS, EVENT_CONFIRMATION.goneAfterSnapshots, 1),
+    newAfterDays: int(env.UNIT_NEW_AFTER_DAYS, EVENT_CONFIRMATION.newAfterDays, 0),
+  };
+}
+
+/**
+ * A unit listed again after missing `missed` snapshots (last listed on lastSeen) is the same
+ * listing flickering, not a new one: it was never confirmed gone (missed < goneAfterSnapshots)
+ * or it's back within newAfterDays. Shared by the events ("reappeared") and lib/spells.js
+ * (the spell carries on), so days on market agrees with the event log.
+ */
+export function isFlickerReturn({ missed, lastSeen, date }, confirm = EVENT_CONFIRMATION) {
+  if (lastSeen == null) return false;
+  return missed < confirm.goneAfterSnapshots || daysBetweenISO(lastSeen, date) <= confirm.newAfterDays;
+}
+
+/**
+ * Build unit_events rows for one property/day.
+ * history: confirmed snapshots before eventDate, newest first ({ snapshot_date, units }),
+ * at least goneAfterSnapshots of them and enough to cover newAfterDays.
+ *   disappeared  missing today and in the previous goneAfterSnapshots - 1 snapshots,
+ *                present in the one before that
+ *   appeared     present today, not in the previous snapshot, and not seen within
+ *                newAfterDays (nor still inside the not-yet-confirmed gone window)
+ *   reappeared   the rest of the units that are back; old_value = date last seen
+ * unit_number comes from today's units for appeared keys and from the snapshot it was
+ * last seen in for disappeared keys, falling back to parsing the key.
+ * Units present on both today and the previous snapshot also get price_increased /
+ * price_decreased / available_on_changed events carrying old_value and new_value (as text).
+ * A change is only emitted when both days have a value, so a page that
+ * briefly drops the price column doesn't look like a re-listing.
+ */
+export function buildUnitEvents({ propertyId, eventDate, source, history, currUnits, confirm = EVENT_CONFIRMATION }) {
+  const past = history || [];
+  const prevUnits = past[0]?.units || [];
+  const presence = past.map((h) => new Set(h.units.map((u) => u.unit_key).filter(Boolean)));
+  const currSet = new Set((currUnits || []).map((u) => u.unit_key).filter(Boolean));
+
+  const { appeared: backOrNew } = diffKeys(prevUnits, currUnits);
+
+  const K = confirm.goneAfterSnapshots;
+  const disappeared =
+    past.length >= K
+      ? [...presence[K - 1]].filter((k) => !currSet.has(k) && presence.slice(0, K - 1).every((set) => !set.has(k)))
+      : [];
+
+  const appeared = [];
+  const reappeared = []; // [{ unit_key, last_seen }]
+  for (const k of backOrNew) {
+    const i = presence.findIndex((set) => set.has(k));
+    const lastSeen = i >= 0 ? past[i].snapshot_date : null;
+
+    if (isFlickerReturn({ missed: i, lastSeen, date: eventDate }, confirm)) reappeared.push({ unit_key: k, last_seen: lastSeen });
+    else appeared.push(k);
+  }
+
+  const keyToNumber = new Map();
+  for (const u of [...past.flatMap((h) => h.units).reverse(), ...(currUnits || [])]) {
+    if (u.unit_key && u.unit_number) keyToNumber.set(u.unit_key, String(u.unit_number));
+  }
+
+  const toEvent = (event_type, unit_key, old_value = null, new_value = null) => ({
+    property_id: propertyId,
+    event_date: eventDate,
+    unit_key,
+    unit_number: keyToNumber.get(unit_key) || unitNumberFromUnitKey(unit_key),
+    event_type,
+    source,
+    old_value,
+    new_value,
+  });
+
+  const prevByKey = new Map(prevUnits.filter((u) => u.unit_key).map((u) => [u.unit_key, u]));
+
+  const changed = [];
+  for (const curr of currUnits || []) {
+    const prev = prevByKey.get(curr.unit_key);
+    if (!prev) continue;
+
+    const oldPrice = unitPrice(prev);
+    const newPrice = unitPrice(curr);
+    if (oldPrice != null && newPrice != null && oldPrice !== newPrice) {
+      const type = newPrice > oldPrice ? "price_increased" : "price_decreased";
+      changed.push(toEvent(type, curr.unit_key, String(oldPrice), String(newPrice)));
+    }
+
+    const oldAvail = unitAvailability(prev, eventDate);
+    const newAvail = unitAvailability(curr, eventDate);
+    if (oldAvail != null && newAvail != null && oldAvail !== newAvail) {
+      changed.push(toEvent("available_on_changed", curr.unit_key, oldAvail, newAvail));
+    }
+  }
+
+  return {
+    appeared,
+    disappeared,
+    reappeared,
+    changed,
+    events: [
+      ...appeared.map((k) => toEvent("appeared", k)),
+      ...disappeared.map((k) => toEvent("disappeared", k)),
+      ...reappeared.map((r) => toEvent("reappeared", r.unit_key, r.last_seen)),
+      ...changed,
+    ],
+  };
+}
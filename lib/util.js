@@ -0,0 +1,66 @@
+// lib/util.js
+// Small helpers shared by the platform runners and the unit-tracker CLI
+import fs from "fs";
+import { parseMoneyRange } from "./prices.js";
+
+export function todayYYYYMMDD() {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function uniq(arr) {
+  return [...new Set(arr)];
+}
+
+export function safeWriteFile(name, content) {
+  try {
+    fs.writeFileSync(name, content, "utf8");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function stripTags(html) {
+  return html
+    .replace(/<script[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function firstMatch(text, regex) {
+  const m = text.match(regex);
+  return m ? m[1] : null;
+}
+
+export function toNumberMaybe(s) {
+  if (s == null) return null;
+  const cleaned = String(s).replace(/[^\d.]/g, "");
+  if (!cleaned) return null;
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function parseMoneyToNumber(s) {
+  // "$2,215" -> 2215; for a range this is the low end — use parseMoneyRange to keep both
+  return parseMoneyRange(s)?.min ?? null;
+}
+
+// "a, b,,c" -> ["a", "b", "c"]
+export function splitCommaList(raw) {
+  return uniq(
+    String(raw || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+}
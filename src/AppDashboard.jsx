@@ -1,5 +1,10 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { MapContainer, TileLayer, CircleMarker, Marker, Tooltip, useMapEvents } from "react-leaflet";
+import { divIcon } from "leaflet";
+import "leaflet/dist/leaflet.css";
 import { supabase } from "./supabase";
+import { parseCsv, planImport, importChanges } from "../lib/property_import.js";
+import { buildSpells, summarizeDays } from "../lib/spells.js";
 
 /**
  * Canonical platform list used by BOTH Add + Edit.
@@ -30,6 +35,28 @@ const PLATFORM_OPTIONS = [
 
 const LEAD_STATUS_OPTIONS = ["new","called","reached","follow_up","closed","lost"];
 
+/**
+ * Roles come from user_roles (supabase/migrations/005_user_roles.sql), one row per auth user.
+ * No row = shown as read_only, but RLS returns no properties/leads until an admin assigns one.
+ */
+const ROLE_OPTIONS = [
+  { value: "admin", label: "Admin" },
+  { value: "manager", label: "Manager" },
+  { value: "rep", label: "Rep" },
+  { value: "read_only", label: "Read-only" },
+];
+
+const ROLE_CAPS = {
+  admin: { viewAllReps: true, manageProperties: true, manageReps: true, editLeads: true },
+  manager: { viewAllReps: true, manageProperties: true, manageReps: false, editLeads: true },
+  rep: { viewAllReps: false, manageProperties: false, manageReps: false, editLeads: true },
+  read_only: { viewAllReps: false, manageProperties: false, manageReps: false, editLeads: false },
+};
+
+function roleLabel(role) {
+  return ROLE_OPTIONS.find((o) => o.value === role)?.label || "Read-only";
+}
+
 function normalizePlatformValue(v) {
   if (!v) return "unknown";
   const s = String(v).trim();
@@ -61,6 +88,15 @@ function platformLabel(value) {
   return found ? found.label : String(value || "unknown");
 }
 
+// platform_suggestion_evidence (lib/platform_detect.js) -> short lines for the Properties tab
+function platformSuggestionEvidence(p) {
+  const ev = p?.platform_suggestion_evidence || {};
+  const lines = (ev.signals || []).map((s) => s.signal);
+  for (const r of ev.runners_up || []) lines.push(`also: ${platformLabel(r.platform)} ${Math.round(r.confidence * 100)}%`);
+  for (const n of ev.notes || []) lines.push(n);
+  return lines;
+}
+
 function isoDateLocal(d = new Date()) {
   const yyyy = d.getFullYear();
   const mm = String(d.getMonth() + 1).padStart(2, "0");
@@ -107,7 +143,10 @@ function safeStr(v) {
   return String(v);
 }
 
+// Canonical rows (schema_version set, see lib/unit_schema.js) always carry unit_number/unit_key;
+// the fallbacks below are only for snapshots written before the unit schema existed.
 function extractUnitNumber(u) {
+  if (u?.schema_version) return u.unit_number;
   return (
     u?.unit_number ??
     u?.unitNumber ??
@@ -120,6 +159,7 @@ function extractUnitNumber(u) {
 }
 
 function extractUnitKey(u) {
+  if (u?.schema_version) return u.unit_key;
   return u?.unit_key ?? u?.unitKey ?? u?.unit_id ?? u?.unitId ?? "";
 }
 
@@ -142,6 +182,60 @@ function uniqSorted(arr) {
   );
 }
 
+// unit_events types written by the scraper pipeline (lib/units.js buildUnitEvents)
+const EVENT_TYPE_OPTIONS = [
+  { value: "appeared", label: "appeared (new)" },
+  { value: "disappeared", label: "disappeared (off market)" },
+  { value: "reappeared", label: "reappeared (flicker, not a lead)" },
+  { value: "price_increased", label: "price increased" },
+  { value: "price_decreased", label: "price decreased (concession)" },
+  { value: "available_on_changed", label: "available date changed" },
+];
+
+// available_on_date (see lib/dates.js) when the snapshot has it, else the site's own text
+function formatAvailability(u, snapshotDate) {
+  const d = u?.available_on_date;
+  if (!d) return safeStr(u?.available_on);
+  return snapshotDate && d <= snapshotDate ? "Now" : d;
+}
+
+function formatMoney(v) {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isFinite(n)) return safeStr(v);
+  return `$${n.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+}
+
+const PRICE_BASIS_LABELS = {
+  base_rent: "",
+  starting_at: "starting at",
+  lease_term: "by lease term",
+};
+
+// price_min/price_max/price_basis from the unit schema (lib/prices.js); ranges stay ranges
+function formatPriceRange(u) {
+  const lo = u?.price_min;
+  const hi = u?.price_max;
+  if (lo == null && hi == null) return "";
+
+  const amount = hi != null && lo != null && hi !== lo ? `${formatMoney(lo)} – ${formatMoney(hi)}` : formatMoney(lo ?? hi);
+  const basis = PRICE_BASIS_LABELS[u?.price_basis] || "";
+  return basis ? `${amount} (${basis})` : amount;
+}
+
+// "old → new" for change events; blank for appeared/disappeared
+function formatEventChange(r) {
+  if (r?.old_value == null && r?.new_value == null) return "";
+  if (r.event_type === "reappeared") return `last seen ${safeStr(r.old_value)}`;
+  const isPrice = r.event_type === "price_increased" || r.event_type === "price_decreased";
+  const fmt = isPrice ? formatMoney : safeStr;
+  const base = `${fmt(r.old_value)} → ${fmt(r.new_value)}`;
+  if (!isPrice) return base;
+
+  const delta = Number(r.new_value) - Number(r.old_value);
+  if (!Number.isFinite(delta)) return base;
+  return `${base} (${delta > 0 ? "+" : "−"}${formatMoney(Math.abs(delta))})`;
+}
+
 function chunkArray(arr, size) {
   const chunks = [];
   for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
@@ -149,7 +243,8 @@ function chunkArray(arr, size) {
 }
 
 /**
- * Fetch latest snapshot <= selectedDate for a set of property_ids
+ * Fetch latest confirmed snapshot <= selectedDate for a set of property_ids
+ * (provisional = looked like a partial scrape, see lib/partial_guard.js)
  * Returns Map(property_id -> snapshotRow)
  */
 async function fetchLatestSnapshotsByProperty({ propertyIds, dateISO }) {
@@ -164,6 +259,7 @@ async function fetchLatestSnapshotsByProperty({ propertyIds, dateISO }) {
       .from("unit_snapshots")
       .select("property_id, snapshot_date, created_at, units_json")
       .in("property_id", chunk)
+      .eq("is_provisional", false)
       .lte("snapshot_date", dateISO)
       .order("snapshot_date", { ascending: false })
       .order("created_at", { ascending: false });
@@ -179,6 +275,122 @@ async function fetchLatestSnapshotsByProperty({ propertyIds, dateISO }) {
   return latest;
 }
 
+// Scraper Health: scrape_run_items statuses that mean "look at this property"
+const SCRAPE_BAD_STATUSES = ["failed", "zero_units", "provisional"];
+
+function formatDurationMs(ms) {
+  if (ms == null) return "—";
+  const sec = Math.round(ms / 1000);
+  return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${sec % 60}s`;
+}
+
+// Import preview rows (lib/property_import.js planImport)
+function importStatusBadge(status) {
+  if (status === "new") return badge("green");
+  if (status === "matched") return badge("gray");
+  if (status === "conflict") return badge("amber");
+  return badge("red");
+}
+
+function scrapeStatusBadge(status) {
+  if (status === "ok") return badge("green");
+  if (["partial", "zero_units", "provisional", "running"].includes(status)) return badge("amber");
+  if (status === "failed") return badge("red");
+  return badge("gray");
+}
+
+// Map pins: gray = nothing, then light -> dark by share of the busiest property on the map
+const MAP_PIN_COLORS = ["#bfdbfe", "#60a5fa", "#2563eb", "#1e3a8a"];
+
+function mapPinColor(value, max) {
+  if (!value || !max) return "#94a3b8";
+  const idx = Math.min(MAP_PIN_COLORS.length - 1, Math.floor((value / max) * MAP_PIN_COLORS.length));
+  return MAP_PIN_COLORS[idx];
+}
+
+function propertyLatLng(p) {
+  const lat = Number(p?.lat);
+  const lng = Number(p?.lng);
+  if (p?.lat == null || p?.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return [lat, lng];
+}
+
+// Geocode Review: rows tools/geocode_properties.js couldn't place well (migration 012)
+const GEOCODE_REVIEW_CONFIDENCES = ["none", "error", "low"];
+
+function needsGeocodeReview(p) {
+  return GEOCODE_REVIEW_CONFIDENCES.includes(p?.geocode_confidence);
+}
+
+// "34.1", "-118.3" -> [34.1, -118.3], or null unless both are valid coordinates
+function parseLatLng(latText, lngText) {
+  if (String(latText).trim() === "" || String(lngText).trim() === "") return null;
+  const lat = Number(latText);
+  const lng = Number(lngText);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lat, lng];
+}
+
+// Plain CSS pin: Leaflet's default marker images don't survive the Vite build
+const REVIEW_PIN_ICON = divIcon({
+  className: "",
+  html: '<div style="width:18px;height:18px;border-radius:50%;background:#dc2626;border:3px solid #fff;box-shadow:0 0 0 1px #0f172a"></div>',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+// Click anywhere on the review map to drop the pin there
+function ReviewMapClick({ onPick }) {
+  useMapEvents({ click: (e) => onPick([e.latlng.lat, e.latlng.lng]) });
+  return null;
+}
+
+// Days-on-market stats use spells (unit_spells, built by `unit_tracker.js spells`) that
+// closed in this many days up to the selected date
+const DOM_WINDOW_DAYS = 90;
+
+/**
+ * Fetch closed unit_spells with end_date in (dateISO - windowDays, dateISO]
+ * Returns Map(property_id -> [days_on_market])
+ */
+async function fetchClosedSpellDaysByProperty({ propertyIds, dateISO, windowDays = DOM_WINDOW_DAYS }) {
+  const ids = propertyIds || [];
+  const byProperty = new Map();
+  if (ids.length === 0) return byProperty;
+
+  const fromISO = addDaysISO(dateISO, -windowDays);
+  const pageSize = 1000;
+
+  for (const chunk of chunkArray(ids, 200)) {
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from("unit_spells")
+        .select("property_id, days_on_market")
+        .in("property_id", chunk)
+        .eq("is_open", false)
+        .gt("end_date", fromISO)
+        .lte("end_date", dateISO)
+        .order("id", { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        if (!byProperty.has(row.property_id)) byProperty.set(row.property_id, []);
+        byProperty.get(row.property_id).push(row.days_on_market);
+      }
+
+      if (!data || data.length < pageSize) break;
+    }
+  }
+
+  return byProperty;
+}
+
+function formatDays(n) {
+  return n == null ? "—" : `${n}d`;
+}
+
 /**
  * Build Move-Out Call Queue groups:
  * - NEW units on market = daily_units.event_type = 'appeared'
@@ -337,6 +549,86 @@ function buildLast7ByProperty({ dailyRows, properties }) {
   return arr;
 }
 
+function snapshotUnitPrice(u) {
+  const v = Number(u?.price_min ?? u?.price);
+  return u?.price_min == null && u?.price == null ? null : Number.isFinite(v) ? v : null;
+}
+
+function snapshotUnitAvailability(u) {
+  return safeStr(u?.available_on_date || u?.available_on).trim() || null;
+}
+
+/**
+ * One unit's history from its property's snapshots (ascending) + unit_events.
+ * Spells come from buildSpells in lib/spells.js, the same code that fills unit_spells: a gap
+ * closes a spell (disappeared) only once it's as long as the disappeared-event debounce, and a
+ * later snapshot with the unit opens a new one (reappeared).
+ * Days on market = first seen -> first snapshot of the closing gap, or -> latest snapshot if still open.
+ */
+function buildUnitHistory({ snapshots, unitKey, unitNumber }) {
+  const wantKey = safeStr(unitKey).trim();
+  const wantNum = safeStr(unitNumber).trim();
+  const matches = (u) =>
+    (wantKey && safeStr(extractUnitKey(u)).trim() === wantKey) ||
+    (wantNum && safeStr(extractUnitNumber(u)).trim() === wantNum);
+
+  const listed = []; // every snapshot it appeared in
+  const changes = []; // price / available date changes between listed snapshots
+  let prev = null;
+
+  // Just this unit, under one key, so buildSpells follows it whatever key each day's scrape gave it
+  const ownSnapshots = snapshots.map((snap) => {
+    const date = snap.snapshot_date;
+    const units = Array.isArray(snap.units_json) ? snap.units_json : [];
+    const u = units.find(matches);
+    if (!u) return { snapshot_date: date, units_json: [] };
+
+    const price = snapshotUnitPrice(u);
+    const avail = snapshotUnitAvailability(u);
+    listed.push({ date, price, price_max: u?.price_max ?? null, price_basis: u?.price_basis ?? null, available: avail });
+
+    if (prev) {
+      if (prev.price != null && price != null && prev.price !== price) {
+        const kind = price > prev.price ? "price increased" : "price decreased";
+        changes.push({ date, kind, detail: `${formatMoney(prev.price)} → ${formatMoney(price)}` });
+      }
+      if (prev.available && avail && prev.available !== avail && !(prev.available <= prev.date && avail <= date)) {
+        changes.push({ date, kind: "available date changed", detail: `${prev.available} → ${avail}` });
+      }
+    }
+
+    prev = { date, price, available: avail };
+    return { snapshot_date: date, units_json: [{ ...u, unit_key: "unit" }] };
+  });
+
+  const spells = buildSpells(ownSnapshots).map((s) => ({ start: s.start_date, end: s.end_date, days: s.days_on_market, open: s.is_open }));
+  const priceOn = new Map(listed.map((l) => [l.date, l.price]));
+
+  const timeline = [];
+  spells.forEach((sp, i) => {
+    const gap = i > 0 ? ` (off market since ${spells[i - 1].end})` : "";
+    timeline.push({ date: sp.start, kind: i > 0 ? "reappeared" : "first seen", detail: `${formatMoney(priceOn.get(sp.start))}${gap}` });
+    if (sp.end) timeline.push({ date: sp.end, kind: "disappeared", detail: `after ${sp.days} days on market` });
+  });
+  // Stable sort: on the same day the spell entry stays ahead of that day's price/date changes
+  timeline.push(...changes);
+  timeline.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const open = spells.find((sp) => sp.open) || null;
+  const totalDays = spells.reduce((sum, sp) => sum + (sp.days || 0), 0);
+
+  return {
+    listed,
+    spells,
+    timeline,
+    first_seen: spells[0]?.start || null,
+    last_seen: listed.length ? listed[listed.length - 1].date : null,
+    on_market_now: Boolean(open),
+    current_days: open ? open.days : null,
+    total_days: totalDays,
+  };
+}
+
 function leadKeyForUnit({ property_id, unit_key, unit_number }) {
   const uk = safeStr(unit_key).trim();
   const un = safeStr(unit_number).trim();
@@ -345,15 +637,20 @@ function leadKeyForUnit({ property_id, unit_key, unit_number }) {
 
 export default function App() {
   // ---------------------------
-  // App mode (Phase 1): Admin with "View as rep"
+  // Role (user_roles) + "View as rep"
   // ---------------------------
-  const [isAdminMode, setIsAdminMode] = useState(true);
-  const [isAdminUser, setIsAdminUser] = useState(false);
+  const [myRole, setMyRole] = useState("read_only"); // admin | manager | rep | read_only
+  const [myRepId, setMyRepId] = useState(""); // rep this login works as ("" => none)
+  const [loadingRole, setLoadingRole] = useState(true);
+  const [userRoles, setUserRoles] = useState([]); // Reps tab (admin): [{user_id, email, role, rep_id}]
   const [adminViewRepId, setAdminViewRepId] = useState(""); // "" => all
-  // effective rep scope (Phase 1)
-  const effectiveRepId = isAdminMode ? adminViewRepId : adminViewRepId;
+  const caps = ROLE_CAPS[myRole] || ROLE_CAPS.read_only;
+  // Admin/manager pick a rep (or all); everyone else is pinned to their own rep
+  const effectiveRepId = caps.viewAllReps ? adminViewRepId : myRepId;
+  // A rep login with no rep mapped sees nothing rather than everything
+  const repUnmapped = myRole === "rep" && !myRepId;
 
-  const [tab, setTab] = useState("callQueue"); // callQueue | last7 | crm | dashboard | properties | reps | dailyUnits | currentUnits
+  const [tab, setTab] = useState("callQueue"); // callQueue | last7 | crm | dashboard | map | properties | import | reps | health | dailyUnits | currentUnits
   const [status, setStatus] = useState("");
 
   // Shared data
@@ -379,6 +676,18 @@ export default function App() {
   const [editCity, setEditCity] = useState("");
   const [editZip, setEditZip] = useState("");
 
+  // Import tab: parsed CSV rows; the preview is re-planned whenever properties reload
+  const [importFileName, setImportFileName] = useState("");
+  const [importRows, setImportRows] = useState(null);
+  const [importBusy, setImportBusy] = useState(false);
+
+  // Properties tab -> Geocode Review: selected row + the coordinates being edited
+  const [geoReviewOpen, setGeoReviewOpen] = useState(false);
+  const [geoReviewId, setGeoReviewId] = useState("");
+  const [geoLat, setGeoLat] = useState("");
+  const [geoLng, setGeoLng] = useState("");
+  const [geoSaving, setGeoSaving] = useState(false);
+
   // Reps form
   const [repName, setRepName] = useState("");
   const [editingRepId, setEditingRepId] = useState(null);
@@ -391,6 +700,13 @@ export default function App() {
   const [dailySource, setDailySource] = useState("all");
   const [dailyEventType, setDailyEventType] = useState("appeared");
 
+  // Unit history modal (opened from Current Units / Daily Units)
+  const [historyUnit, setHistoryUnit] = useState(null); // {property_id, property_name, unit_key, unit_number}
+  const [historyData, setHistoryData] = useState(null); // {history, events, leads}
+  const historyRequest = useRef(0); // bumped per open/close; an older load's response is dropped
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(""); // load failed: shown in the modal instead of the history
+
   // Move-Out Call Queue state (built from daily_units)
   const [cqDate, setCqDate] = useState(isoDateLocal(new Date()));
   const [cqPropertyId, setCqPropertyId] = useState("");
@@ -425,6 +741,23 @@ export default function App() {
     totalUnitsOnMarket: 0,
   });
   const [dashLeadSeries, setDashLeadSeries] = useState([]); // [{date,count}]
+  const [dashDomByArea, setDashDomByArea] = useState([]); // [{city, zip, count, median, average}]
+
+  // Scraper Health
+  const [healthDays, setHealthDays] = useState(7);
+  const [healthLoading, setHealthLoading] = useState(false);
+  const [healthRuns, setHealthRuns] = useState([]); // recent scrape_runs
+  const [healthProblems, setHealthProblems] = useState([]); // properties whose latest item is failed/zero_units
+
+  // Map
+  const [mapDate, setMapDate] = useState(isoDateLocal(new Date()));
+  const [mapCity, setMapCity] = useState("");
+  const [mapZip, setMapZip] = useState("");
+  const [mapMetric, setMapMetric] = useState("units"); // units | appeared
+  const [mapLoading, setMapLoading] = useState(false);
+  const [mapPins, setMapPins] = useState([]); // [{property_id, ..., latlng, units, appeared}]
+  const [mapMissingCoords, setMapMissingCoords] = useState(0);
+  const [mapSelectedId, setMapSelectedId] = useState("");
   const [dashChartMetric, setDashChartMetric] = useState("appeared"); // "appeared" | "leads"
 
   // CRM Leads
@@ -441,17 +774,41 @@ export default function App() {
   const [selectedLead, setSelectedLead] = useState(null);
 
   const platformValuesSet = useMemo(() => new Set(PLATFORM_OPTIONS.map((o) => o.value)), []);
+  const pendingPlatformSuggestions = useMemo(
+    () => properties.filter((p) => p.platform_suggestion_status === "pending" && p.platform_suggestion).length,
+    [properties]
+  );
+  const geocodeReviewRows = useMemo(() => properties.filter(needsGeocodeReview), [properties]);
+  const geoReviewSelected = useMemo(
+    () => geocodeReviewRows.find((p) => p.id === geoReviewId) || null,
+    [geocodeReviewRows, geoReviewId]
+  );
+  const geoReviewPin = parseLatLng(geoLat, geoLng);
+  // Where the review map opens when the row has no coordinates yet: the middle of everything placed
+  const geoReviewFallbackCenter = useMemo(() => {
+    const placed = properties.map(propertyLatLng).filter(Boolean);
+    if (!placed.length) return [39.5, -98.35];
+    return [placed.reduce((s, ll) => s + ll[0], 0) / placed.length, placed.reduce((s, ll) => s + ll[1], 0) / placed.length];
+  }, [properties]);
   const repMap = useMemo(() => new Map(reps.map((r) => [r.id, r.name])), [reps]);
 
-  // Rep-scoped properties (Phase 1)
+  // Rep-scoped properties
   const scopedProperties = useMemo(() => {
+    if (repUnmapped) return [];
     if (!effectiveRepId) return properties;
     return properties.filter((p) => (p.rep_id ?? "") === effectiveRepId);
-  }, [properties, effectiveRepId]);
+  }, [properties, effectiveRepId, repUnmapped]);
 
   const cityOptions = useMemo(() => uniqSorted(scopedProperties.map((p) => p.city)), [scopedProperties]);
   const zipOptions = useMemo(() => uniqSorted(scopedProperties.map((p) => p.zip)), [scopedProperties]);
 
+  // UI gating only; the RLS policies in migration 005 enforce it on properties, reps and leads
+  const requireCap = (cap) => {
+    if (caps[cap]) return true;
+    setStatus(`❌ Not allowed for ${roleLabel(myRole)} logins.`);
+    return false;
+  };
+
   // ---------------------------
   // Loaders
   // ---------------------------
@@ -465,16 +822,33 @@ export default function App() {
       return;
     }
     setReps(data || []);
+    setLoadingReps(false);
+  };
+
+  const loadMyRole = async () => {
+    setLoadingRole(true);
+    try {
+      const { data: authData, error: authErr } = await supabase.auth.getUser();
+      if (authErr) throw authErr;
+
+      const userId = authData?.user?.id;
+      const { data, error } = userId
+        ? await supabase.from("user_roles").select("role, rep_id").eq("user_id", userId).maybeSingle()
+        : { data: null, error: null };
+      if (error) throw error;
 
-    const repRows = data || [];
-    // If RLS only returns a single rep row, assume this is a Rep login.
-    // If multiple rep rows are visible, assume Admin.
-    setIsAdminUser(repRows.length > 1);
-    if (repRows.length === 1 && repRows[0]?.id) {
-      setAdminViewRepId(repRows[0].id);
-      setIsAdminMode(false);
+      const role = ROLE_CAPS[data?.role] ? data.role : "read_only";
+      setMyRole(role);
+      setMyRepId(data?.rep_id ?? "");
+      if (!data) setStatus("⚠️ No role assigned to this login yet, so no data is visible. Ask an admin.");
+      else if (role === "rep" && !data.rep_id) setStatus("⚠️ Rep login has no rep assigned. Ask an admin.");
+    } catch (err) {
+      console.error("loadMyRole error:", err);
+      setStatus(`❌ Error loading role: ${err.message || "unknown error"}`);
+      setMyRole("read_only");
+      setMyRepId("");
     }
-    setLoadingReps(false);
+    setLoadingRole(false);
   };
 
   const loadProperties = async () => {
@@ -492,17 +866,18 @@ export default function App() {
 
   useEffect(() => {
     (async () => {
+      await loadMyRole();
       await loadReps();
       await loadProperties();
     })();
   }, []);
 
-  // Ensure Rep logins can’t access Admin-only controls/mode.
+  // Keep logins out of tabs their role doesn't have
   useEffect(() => {
-    if (!isAdminUser) {
-      setIsAdminMode(false);
-    }
-  }, [isAdminUser]);
+    if (loadingRole) return;
+    if ((tab === "properties" || tab === "import" || tab === "health") && !caps.manageProperties) setTab("callQueue");
+    else if (tab === "reps" && !caps.manageReps) setTab("callQueue");
+  }, [loadingRole, tab, caps.manageProperties, caps.manageReps]);
 
 
   // ---------------------------
@@ -514,12 +889,17 @@ export default function App() {
 
       let q = supabase
         .from("daily_units")
-        .select("event_date, property_id, property_name, rep_id, unit_key, unit_number, event_type, source")
+        .select("event_date, property_id, property_name, rep_id, unit_key, unit_number, event_type, source, old_value, new_value")
         .eq("event_date", dailyDate)
-        .eq("event_type", dailyEventType)
         .order("property_name", { ascending: true })
         .order("unit_number", { ascending: true });
 
+      if (dailyEventType === "changes") {
+        q = q.in("event_type", ["price_increased", "price_decreased", "available_on_changed"]);
+      } else if (dailyEventType !== "all") {
+        q = q.eq("event_type", dailyEventType);
+      }
+
       // In rep-scoped mode, we filter by assigned properties (stronger than daily_units.rep_id)
       if (effectiveRepId) {
         const ids = scopedProperties.map((p) => p.id);
@@ -616,7 +996,7 @@ export default function App() {
 
   useEffect(() => {
     if (tab !== "callQueue") return;
-    if (loadingProps || loadingReps) return;
+    if (loadingProps || loadingReps || loadingRole) return;
     loadCallQueue();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tab, properties, reps, cqDate, cqPropertyId, effectiveRepId, scopedProperties.length]);
@@ -681,6 +1061,89 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tab, last7EndDate, last7PropertyId, effectiveRepId, scopedProperties.length]);
 
+  // ---------------------------
+  // Unit History Loader (unit_snapshots + unit_events + leads)
+  // ---------------------------
+  const openUnitHistory = async (unit) => {
+    const request = ++historyRequest.current;
+    const stale = () => request !== historyRequest.current;
+
+    setHistoryUnit(unit);
+    setHistoryData(null);
+    setHistoryError("");
+    setHistoryLoading(true);
+
+    try {
+      // Both paged: PostgREST caps a response at 1000 rows
+      const pageSize = 1000;
+
+      const snaps = [];
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+          .from("unit_snapshots")
+          .select("snapshot_date, units_json")
+          .eq("property_id", unit.property_id)
+          .eq("is_provisional", false)
+          .order("snapshot_date", { ascending: true })
+          .range(from, from + pageSize - 1);
+        if (error) throw error;
+        if (stale()) return;
+        snaps.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      const events = [];
+      for (let from = 0; ; from += pageSize) {
+        let evQ = supabase
+          .from("unit_events")
+          .select("event_date, event_type, source, old_value, new_value")
+          .eq("property_id", unit.property_id)
+          .order("event_date", { ascending: true })
+          .order("event_type", { ascending: true })
+          .range(from, from + pageSize - 1);
+        evQ = unit.unit_key ? evQ.eq("unit_key", unit.unit_key) : evQ.eq("unit_number", unit.unit_number);
+        const { data, error } = await evQ;
+        if (error) throw error;
+        if (stale()) return;
+        events.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      let lq = supabase.from("leads").select("*").eq("property_id", unit.property_id);
+      if (effectiveRepId) lq = lq.eq("rep_id", effectiveRepId);
+      const { data: leadRows, error: lErr } = await lq;
+      if (lErr) throw lErr;
+      if (stale()) return;
+
+      const lk = leadKeyForUnit(unit);
+      const leads = (leadRows || []).filter(
+        (l) => l.lead_key === lk || (unit.unit_key && l.unit_key === unit.unit_key)
+      );
+
+      const history = buildUnitHistory({
+        snapshots: snaps,
+        unitKey: unit.unit_key,
+        unitNumber: unit.unit_number,
+      });
+
+      setHistoryData({ history, events, leads });
+      setHistoryLoading(false);
+    } catch (err) {
+      if (stale()) return;
+      console.error("openUnitHistory error:", err);
+      setStatus(`❌ Unit history error: ${err.message || "unknown error"}`);
+      setHistoryError(err.message || "unknown error");
+      setHistoryLoading(false);
+    }
+  };
+
+  const closeUnitHistory = () => {
+    historyRequest.current += 1;
+    setHistoryUnit(null);
+    setHistoryData(null);
+    setHistoryError("");
+  };
+
   // ---------------------------
   // Current Units Loader (SNAPSHOTS)
   // ---------------------------
@@ -709,6 +1172,11 @@ export default function App() {
           .map((u) => ({
             unit_number: extractUnitNumber(u),
             unit_key: extractUnitKey(u),
+            available_on: u?.available_on ?? null,
+            available_on_date: u?.available_on_date ?? null,
+            price_min: u?.price_min ?? u?.price ?? null,
+            price_max: u?.price_max ?? u?.price ?? null,
+            price_basis: u?.price_basis ?? null,
           }))
           .sort((a, b) => safeStr(a.unit_number).localeCompare(safeStr(b.unit_number)));
 
@@ -767,10 +1235,12 @@ export default function App() {
 
       const propIds = filteredProps.map((p) => p.id);
       const latestMap = await fetchLatestSnapshotsByProperty({ propertyIds: propIds, dateISO: dashDate });
+      const spellDays = await fetchClosedSpellDaysByProperty({ propertyIds: propIds, dateISO: dashDate });
 
       const rows = filteredProps.map((p) => {
         const snap = latestMap.get(p.id);
         const units = Array.isArray(snap?.units_json) ? snap.units_json : [];
+        const dom = summarizeDays(spellDays.get(p.id));
         return {
           property_id: p.id,
           property_name: p.name,
@@ -780,25 +1250,30 @@ export default function App() {
           rep_id: p.rep_id ?? "",
           rep_name: p.rep_id ? (repMap.get(p.rep_id) || "Unknown") : "Unassigned",
           units_on_market: units.length,
+          dom_count: dom.count,
+          dom_median: dom.median,
+          dom_average: dom.average,
           snapshot_date: snap?.snapshot_date ?? "",
           snapshot_note: snap?.snapshot_date === dashDate ? "exact" : (snap ? "fallback" : "none"),
         };
       });
 
       // Group by rep for display
-      const repGroupsMap = new Map(); // rep_id -> {rep_id, rep_name, total_units, rows: []}
+      const repGroupsMap = new Map(); // rep_id -> {rep_id, rep_name, total_units, rows: [], dom_days: []}
       for (const r of rows) {
         const rid = r.rep_id || "";
         if (!repGroupsMap.has(rid)) {
-          repGroupsMap.set(rid, { rep_id: rid, rep_name: r.rep_name, total_units: 0, rows: [] });
+          repGroupsMap.set(rid, { rep_id: rid, rep_name: r.rep_name, total_units: 0, rows: [], dom_days: [] });
         }
         const g = repGroupsMap.get(rid);
         g.rows.push(r);
         g.total_units += r.units_on_market || 0;
+        g.dom_days.push(...(spellDays.get(r.property_id) || []));
       }
 
       const repGroups = Array.from(repGroupsMap.values()).map((g) => {
         g.rows.sort((a, b) => b.units_on_market - a.units_on_market || a.property_name.localeCompare(b.property_name));
+        g.dom = summarizeDays(g.dom_days);
         return g;
       });
       repGroups.sort((a, b) => b.total_units - a.total_units || a.rep_name.localeCompare(b.rep_name));
@@ -806,6 +1281,19 @@ export default function App() {
       // We'll store rep-groups in dashRows (so render can show grouped sections)
       setDashRows(repGroups);
 
+      // Days on market by city + zip
+      const areaMap = new Map(); // "city::zip" -> {city, zip, days: []}
+      for (const r of rows) {
+        const key = `${r.city}::${r.zip}`;
+        if (!areaMap.has(key)) areaMap.set(key, { city: r.city, zip: r.zip, days: [] });
+        areaMap.get(key).days.push(...(spellDays.get(r.property_id) || []));
+      }
+      const areas = Array.from(areaMap.values())
+        .map((a) => ({ city: a.city, zip: a.zip, ...summarizeDays(a.days) }))
+        .filter((a) => a.count > 0)
+        .sort((a, b) => a.city.localeCompare(b.city) || a.zip.localeCompare(b.zip));
+      setDashDomByArea(areas);
+
       const totalUnits = rows.reduce((sum, r) => sum + (r.units_on_market || 0), 0);
       setDashTotals({
         totalProperties: properties.length,
@@ -891,6 +1379,7 @@ export default function App() {
       setStatus(`❌ Dashboard error: ${err.message || "unknown error"}`);
       setDashRows([]);
       setDashLeadSeries([]);
+      setDashDomByArea([]);
       setDashTotals({
         totalProperties: properties.length,
         totalReps: reps.length,
@@ -902,15 +1391,200 @@ export default function App() {
 
   useEffect(() => {
     if (tab !== "dashboard") return;
-    if (loadingProps || loadingReps) return;
+    if (loadingProps || loadingReps || loadingRole) return;
     loadDashboard();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [tab, scopedProperties, dashDate, dashCity, dashZip, dashRepFilter, dashChartMetric]);
 
+  // ---------------------------
+  // Scraper Health Loader (scrape_runs + scrape_run_items)
+  // ---------------------------
+  const loadScraperHealth = async () => {
+    try {
+      setHealthLoading(true);
+      setStatus("Loading scraper health...");
+
+      const sinceTS = new Date(Date.now() - healthDays * 86400000).toISOString();
+
+      const { data: runs, error: runErr } = await supabase
+        .from("scrape_runs")
+        .select("*")
+        .gte("started_at", sinceTS)
+        .order("started_at", { ascending: false })
+        .limit(50);
+      if (runErr) throw runErr;
+
+      const propIds = scopedProperties.map((p) => p.id);
+      const items = [];
+      const pageSize = 1000; // PostgREST caps a response at 1000 rows
+      for (const chunk of chunkArray(propIds, 200)) {
+        for (let offset = 0; ; offset += pageSize) {
+          const { data, error } = await supabase
+            .from("scrape_run_items")
+            .select("id, run_id, property_id, platform, status, urls_tried, http_statuses, units_extracted, provisional_reasons, error, started_at, duration_ms")
+            .in("property_id", chunk)
+            .gte("started_at", sinceTS)
+            .order("started_at", { ascending: false })
+            .order("id", { ascending: true })
+            .range(offset, offset + pageSize - 1);
+          if (error) throw error;
+          items.push(...(data || []));
+          if (!data || data.length < pageSize) break;
+        }
+      }
+
+      // items are newest first per chunk; group per property and keep that order
+      const byProperty = new Map();
+      for (const it of items) {
+        if (!byProperty.has(it.property_id)) byProperty.set(it.property_id, []);
+        byProperty.get(it.property_id).push(it);
+      }
+
+      const propById = new Map(scopedProperties.map((p) => [p.id, p]));
+      const problems = [];
+      for (const [propertyId, list] of byProperty.entries()) {
+        list.sort((a, b) => (b.started_at || "").localeCompare(a.started_at || ""));
+        const latest = list.find((it) => it.status !== "skipped");
+        if (!latest || !SCRAPE_BAD_STATUSES.includes(latest.status)) continue;
+
+        let streak = 0;
+        for (const it of list) {
+          if (it.status === "skipped") continue;
+          if (!SCRAPE_BAD_STATUSES.includes(it.status)) break;
+          streak += 1;
+        }
+
+        const p = propById.get(propertyId);
+        problems.push({
+          ...latest,
+          property_name: p?.name || propertyId,
+          rep_name: p?.rep_id ? (repMap.get(p.rep_id) || "Unknown") : "Unassigned",
+          streak,
+          last_ok_at: list.find((it) => it.status === "ok")?.started_at ?? null,
+        });
+      }
+
+      problems.sort((a, b) => b.streak - a.streak || a.property_name.localeCompare(b.property_name));
+
+      setHealthRuns(runs || []);
+      setHealthProblems(problems);
+      setHealthLoading(false);
+      setStatus("✅ Scraper health loaded.");
+    } catch (err) {
+      console.error("loadScraperHealth error:", err);
+      setStatus(`❌ Scraper health error: ${err.message || "unknown error"}`);
+      setHealthRuns([]);
+      setHealthProblems([]);
+      setHealthLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (tab !== "health") return;
+    if (loadingProps || loadingReps || loadingRole) return;
+    loadScraperHealth();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tab, scopedProperties, healthDays]);
+
+  // ---------------------------
+  // Map Loader (snapshots + daily_units appeared)
+  // ---------------------------
+  const loadMap = async () => {
+    try {
+      setMapLoading(true);
+      setStatus(`Loading map for ${mapDate}...`);
+
+      // filters apply on TOP of rep scope (View-as-Rep)
+      const filteredProps = scopedProperties.filter((p) => {
+        if (mapCity && safeStr(p.city).trim() !== mapCity) return false;
+        if (mapZip && safeStr(p.zip).trim() !== mapZip) return false;
+        return true;
+      });
+
+      const located = filteredProps.filter((p) => propertyLatLng(p));
+      const propIds = located.map((p) => p.id);
+      const latestMap = await fetchLatestSnapshotsByProperty({ propertyIds: propIds, dateISO: mapDate });
+
+      // Call-queue entries for the day (same rule as Move-Out Call Queue)
+      const appearedByProperty = new Map(); // property_id -> [{unit_key, unit_number}]
+      for (const chunk of chunkArray(propIds, 200)) {
+        const { data, error } = await supabase
+          .from("daily_units")
+          .select("property_id, unit_key, unit_number")
+          .eq("event_date", mapDate)
+          .eq("event_type", "appeared")
+          .in("property_id", chunk);
+        if (error) throw error;
+
+        for (const r of data || []) {
+          if (!appearedByProperty.has(r.property_id)) appearedByProperty.set(r.property_id, []);
+          const list = appearedByProperty.get(r.property_id);
+          const key = safeStr(r.unit_key || r.unit_number).trim();
+          if (!list.some((u) => safeStr(u.unit_key || u.unit_number).trim() === key)) list.push(r);
+        }
+      }
+
+      const pins = located.map((p) => {
+        const snap = latestMap.get(p.id);
+        const units = (Array.isArray(snap?.units_json) ? snap.units_json : [])
+          .map((u) => ({
+            unit_number: extractUnitNumber(u),
+            unit_key: extractUnitKey(u),
+            available_on: u?.available_on ?? null,
+            available_on_date: u?.available_on_date ?? null,
+            price_min: u?.price_min ?? u?.price ?? null,
+            price_max: u?.price_max ?? u?.price ?? null,
+            price_basis: u?.price_basis ?? null,
+          }))
+          .sort((a, b) => safeStr(a.unit_number).localeCompare(safeStr(b.unit_number)));
+        const appeared = (appearedByProperty.get(p.id) || [])
+          .slice()
+          .sort((a, b) => safeStr(a.unit_number).localeCompare(safeStr(b.unit_number)));
+
+        return {
+          property_id: p.id,
+          property_name: p.name,
+          address_line: formatAddressLine(p),
+          rep_name: p.rep_id ? (repMap.get(p.rep_id) || "Unknown") : "Unassigned",
+          latlng: propertyLatLng(p),
+          snapshot_date: snap?.snapshot_date ?? "",
+          units,
+          appeared,
+        };
+      });
+
+      setMapPins(pins);
+      setMapMissingCoords(filteredProps.length - located.length);
+      setMapLoading(false);
+      setStatus(`✅ Map loaded for ${mapDate}.`);
+    } catch (err) {
+      console.error("loadMap error:", err);
+      setStatus(`❌ Map error: ${err.message || "unknown error"}`);
+      setMapPins([]);
+      setMapLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (tab !== "map") return;
+    if (loadingProps || loadingReps || loadingRole) return;
+    loadMap();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tab, scopedProperties, mapDate, mapCity, mapZip]);
+
+  const mapSelected = mapPins.find((p) => p.property_id === mapSelectedId) || null;
+  const mapPinValue = (pin) => (mapMetric === "appeared" ? pin.appeared.length : pin.units.length);
+  const mapPinMax = Math.max(0, ...mapPins.map(mapPinValue));
+
   // ---------------------------
   // CRM: Load leads
   // ---------------------------
   const loadLeads = async () => {
+    if (repUnmapped) {
+      setLeads([]);
+      return;
+    }
+
     try {
       setLeadsLoading(true);
 
@@ -965,6 +1639,7 @@ export default function App() {
 
   const saveLeadFollowUp = async () => {
     if (!selectedLead) return;
+    if (!requireCap("editLeads")) return;
     try {
       const methods = Object.entries(leadFollowUpMethods)
         .filter(([_, v]) => v)
@@ -995,11 +1670,13 @@ export default function App() {
 
   useEffect(() => {
     if (tab !== "crm") return;
+    if (loadingRole) return;
     loadLeads();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [tab, effectiveRepId, leadStatusFilter]);
+  }, [tab, effectiveRepId, leadStatusFilter, loadingRole]);
 
   const upsertLeadFromUnit = async ({ property_id, property_name, address_line, unit_number, unit_key }) => {
+    if (!requireCap("editLeads")) return;
     if (!effectiveRepId) {
       alert("Select a rep first (Admin: use 'View as Rep').");
       return;
@@ -1035,6 +1712,7 @@ export default function App() {
   };
 
   const updateLead = async (leadId, patch) => {
+    if (!requireCap("editLeads")) return;
     const { error } = await supabase.from("leads").update(patch).eq("id", leadId);
     if (error) {
       console.error(error);
@@ -1049,6 +1727,7 @@ export default function App() {
   // ---------------------------
   const addProperty = async (e) => {
     e.preventDefault();
+    if (!requireCap("manageProperties")) return;
     if (!pPlatform) {
       setStatus("❌ Please select a platform.");
       return;
@@ -1084,6 +1763,7 @@ export default function App() {
   };
 
   const deleteProperty = async (id) => {
+    if (!requireCap("manageProperties")) return;
     if (!confirm("Delete this property?")) return;
 
     const { error } = await supabase.from("properties").delete().eq("id", id);
@@ -1096,6 +1776,7 @@ export default function App() {
   };
 
   const assignRep = async (propertyId, repId) => {
+    if (!requireCap("manageProperties")) return;
     const repValue = repId === "" ? null : repId;
 
     const { error } = await supabase.from("properties").update({ rep_id: repValue }).eq("id", propertyId);
@@ -1131,6 +1812,7 @@ export default function App() {
 
   const saveEditProperty = async () => {
     if (!editingPropId) return;
+    if (!requireCap("manageProperties")) return;
     if (!editPlatform) {
       alert("Please select a platform.");
       return;
@@ -1162,11 +1844,131 @@ export default function App() {
     await loadProperties();
   };
 
+  // ---------------------------
+  // Import (association CSVs)
+  // ---------------------------
+  const importPlan = useMemo(() => (importRows ? planImport(importRows, properties) : null), [importRows, properties]);
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const { headers, rows } = parseCsv(await file.text());
+    if (!headers.includes("address")) {
+      setStatus(`❌ ${file.name}: needs an address column (found: ${headers.join(", ") || "nothing"})`);
+      setImportRows(null);
+      return;
+    }
+
+    setImportFileName(file.name);
+    setImportRows(rows);
+    setStatus(`Loaded ${rows.length} rows from ${file.name}. Review the preview, then import.`);
+  };
+
+  const commitImport = async () => {
+    if (!importPlan || !requireCap("manageProperties")) return;
+
+    const { inserts, updates } = importChanges(importPlan);
+    if (!inserts.length && !updates.length) {
+      setStatus("Nothing to import: every row already matches.");
+      return;
+    }
+    if (!confirm(`Insert ${inserts.length} new properties and fill blanks on ${updates.length}?`)) return;
+
+    setImportBusy(true);
+    setStatus("Importing...");
+    try {
+      if (inserts.length) {
+        const { error } = await supabase.from("properties").insert(inserts);
+        if (error) throw error;
+      }
+      for (const u of updates) {
+        const { error } = await supabase.from("properties").update(u.patch).eq("id", u.id);
+        if (error) throw error;
+      }
+      setStatus(`✅ Imported ${inserts.length} new, filled ${updates.length}. Conflicts were left as they are.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(`❌ Import failed: ${err.message || "unknown error"}`);
+    }
+    setImportBusy(false);
+    await loadProperties();
+  };
+
+  // Suggestions written by `node unit_tracker.js detect-platform` (migration 010)
+  const reviewPlatformSuggestion = async (p, accept) => {
+    if (!requireCap("manageProperties")) return;
+
+    const { data: authData } = await supabase.auth.getUser();
+    const patch = {
+      platform_suggestion_status: accept ? "accepted" : "rejected",
+      platform_suggestion_reviewed_at: new Date().toISOString(),
+      platform_suggestion_reviewed_by: authData?.user?.id ?? null,
+      ...(accept ? { platform: normalizePlatformValue(p.platform_suggestion) } : {}),
+    };
+
+    const { error } = await supabase.from("properties").update(patch).eq("id", p.id);
+    if (error) {
+      console.error(error);
+      alert(error.message);
+      return;
+    }
+
+    setProperties((prev) => prev.map((x) => (x.id === p.id ? { ...x, ...patch } : x)));
+    setStatus(accept ? `✅ ${p.name}: platform set to ${platformLabel(p.platform_suggestion)}` : `✅ ${p.name}: suggestion rejected`);
+  };
+
+  const selectGeocodeReview = (p) => {
+    setGeoReviewId(p?.id ?? "");
+    setGeoLat(p?.lat != null ? String(p.lat) : "");
+    setGeoLng(p?.lng != null ? String(p.lng) : "");
+  };
+
+  // Manual fix from the Geocode Review screen; tools/geocode_properties.js leaves these rows alone
+  const saveGeocodeReview = async () => {
+    if (!requireCap("manageProperties")) return;
+    const p = geoReviewSelected;
+    const ll = parseLatLng(geoLat, geoLng);
+    if (!p) return;
+    if (!ll) {
+      setStatus("❌ Enter a latitude (-90..90) and longitude (-180..180), or click the map.");
+      return;
+    }
+
+    setGeoSaving(true);
+    const { data: authData } = await supabase.auth.getUser();
+    const now = new Date().toISOString();
+    const patch = {
+      lat: ll[0],
+      lng: ll[1],
+      geocode_source: "manual",
+      geocode_confidence: "manual",
+      geocoded_at: now,
+      geocode_reviewed_at: now,
+      geocode_reviewed_by: authData?.user?.id ?? null,
+    };
+
+    const { error } = await supabase.from("properties").update(patch).eq("id", p.id);
+    setGeoSaving(false);
+    if (error) {
+      console.error(error);
+      setStatus(`❌ Error saving coordinates: ${error.message}`);
+      return;
+    }
+
+    // Move on to the next row still waiting for review
+    const next = geocodeReviewRows.find((x) => x.id !== p.id) || null;
+    setProperties((prev) => prev.map((x) => (x.id === p.id ? { ...x, ...patch } : x)));
+    selectGeocodeReview(next);
+    setStatus(`✅ ${p.name}: location set to ${ll[0].toFixed(6)}, ${ll[1].toFixed(6)}`);
+  };
+
   // ---------------------------
   // Reps CRUD
   // ---------------------------
   const addRep = async (e) => {
     e.preventDefault();
+    if (!requireCap("manageReps")) return;
     setStatus("Saving rep...");
 
     const { error } = await supabase.from("reps").insert([{ name: repName }]);
@@ -1193,6 +1995,7 @@ export default function App() {
 
   const saveEditRep = async () => {
     if (!editingRepId) return;
+    if (!requireCap("manageReps")) return;
     setStatus("Updating rep...");
 
     const { error } = await supabase.from("reps").update({ name: editingRepName }).eq("id", editingRepId);
@@ -1208,7 +2011,54 @@ export default function App() {
     await loadReps();
   };
 
+  // ---------------------------
+  // User roles (admin)
+  // ---------------------------
+  const loadUserRoles = async () => {
+    const { data, error } = await supabase
+      .from("user_roles")
+      .select("user_id, email, role, rep_id, updated_at")
+      .order("email", { ascending: true });
+    if (error) {
+      console.error("loadUserRoles error:", error);
+      setStatus(`❌ Error loading user roles: ${error.message}`);
+      setUserRoles([]);
+      return;
+    }
+    setUserRoles(data || []);
+  };
+
+  const saveUserRole = async (userId, patch) => {
+    if (!requireCap("manageReps")) return;
+
+    const row = userRoles.find((u) => u.user_id === userId);
+    const next = { ...row, ...patch };
+
+    const { error } = await supabase
+      .from("user_roles")
+      .update({ role: next.role, rep_id: next.rep_id || null, updated_at: new Date().toISOString() })
+      .eq("user_id", userId);
+    if (error) {
+      console.error(error);
+      alert(error.message);
+      return;
+    }
+
+    setUserRoles((prev) => prev.map((u) => (u.user_id === userId ? { ...u, role: next.role, rep_id: next.rep_id || null } : u)));
+    setStatus(
+      next.role === "rep" && !next.rep_id
+        ? `⚠️ ${row?.email || userId} is a Rep with no rep assigned (sees nothing until one is picked).`
+        : `✅ Role updated for ${row?.email || userId}.`
+    );
+  };
+
+  useEffect(() => {
+    if (tab !== "reps" || !caps.manageReps) return;
+    loadUserRoles();
+  }, [tab, caps.manageReps]);
+
   const deleteRep = async (repId) => {
+    if (!requireCap("manageReps")) return;
     if (!confirm("Delete this rep? (Properties assigned to this rep will become Unassigned)")) return;
 
     const { error: unassignError } = await supabase.from("properties").update({ rep_id: null }).eq("rep_id", repId);
@@ -1254,13 +2104,13 @@ export default function App() {
 
         <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
           <div style={ui.pill}>
-            <span style={{ color: "#94a3b8", fontSize: 12 }}>Scope</span>
-            <div style={{ fontWeight: "bold" }}>{isAdminMode ? "Admin" : "Rep"}</div>
+            <span style={{ color: "#94a3b8", fontSize: 12 }}>Role</span>
+            <div style={{ fontWeight: "bold" }}>{loadingRole ? "…" : roleLabel(myRole)}</div>
           </div>
 
-          {isAdminUser && (
+          {caps.viewAllReps && (
           <>
-          {/* Phase 1: Admin "View as Rep" */}
+          {/* Admin/manager "View as Rep" */}
           <div style={ui.pill}>
             <span style={{ color: "#94a3b8", fontSize: 12 }}>View as Rep</span>
             <select value={adminViewRepId} onChange={(e) => setAdminViewRepId(e.target.value)} style={ui.selectDark}>
@@ -1272,11 +2122,6 @@ export default function App() {
               ))}
             </select>
           </div>
-
-          <label style={{ color: "white", fontSize: 12, display: "flex", gap: 8, alignItems: "center" }}>
-            <input type="checkbox" checked={isAdminMode} onChange={(e) => setIsAdminMode(e.target.checked)} />
-            Admin Mode
-          </label>
           </>
           )}
 
@@ -1297,10 +2142,19 @@ export default function App() {
         <button onClick={() => setTab("last7")} style={tabBtn(tab === "last7")}>Last 7 Days</button>
         <button onClick={() => setTab("crm")} style={tabBtn(tab === "crm")}>CRM Leads</button>
         <button onClick={() => setTab("dashboard")} style={tabBtn(tab === "dashboard")}>Dashboard</button>
+        <button onClick={() => setTab("map")} style={tabBtn(tab === "map")}>Map</button>
         <button onClick={() => setTab("currentUnits")} style={tabBtn(tab === "currentUnits")}>Current Units</button>
         <button onClick={() => setTab("dailyUnits")} style={tabBtn(tab === "dailyUnits")}>Daily Units</button>
+        {caps.manageProperties && (
         <button onClick={() => setTab("properties")} style={tabBtn(tab === "properties")}>Properties</button>
-        {isAdminUser && (
+        )}
+        {caps.manageProperties && (
+        <button onClick={() => setTab("import")} style={tabBtn(tab === "import")}>Import</button>
+        )}
+        {caps.manageProperties && (
+        <button onClick={() => setTab("health")} style={tabBtn(tab === "health")}>Scraper Health</button>
+        )}
+        {caps.manageReps && (
         <button onClick={() => setTab("reps")} style={tabBtn(tab === "reps")}>Reps</button>
         )}
 
@@ -2020,6 +2874,44 @@ export default function App() {
 
             <div style={{ height: 14 }} />
 
+            {/* Days on market by city/zip */}
+            <div style={card}>
+              <h3 style={{ marginTop: 0 }}>Days On Market by City / Zip</h3>
+              <div style={{ color: "#64748b", fontSize: 12, marginBottom: 8 }}>
+                Units that came off market in the {DOM_WINDOW_DAYS} days up to {dashDate}.
+              </div>
+              {dashDomByArea.length === 0 ? (
+                <div style={{ color: "#64748b" }}>No closed listings in this window (run `npm run spells` to rebuild).</div>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ ...table, minWidth: 600 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>City</th>
+                        <th style={th}>Zip</th>
+                        <th style={th}>Units</th>
+                        <th style={th}>Median DOM</th>
+                        <th style={th}>Avg DOM</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dashDomByArea.map((a) => (
+                        <tr key={`${a.city}::${a.zip}`}>
+                          <td style={td}>{a.city || "—"}</td>
+                          <td style={td}>{a.zip || "—"}</td>
+                          <td style={td}>{a.count}</td>
+                          <td style={td}><b>{formatDays(a.median)}</b></td>
+                          <td style={td}>{formatDays(a.average)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div style={{ height: 14 }} />
+
             {dashLoading ? (
               <p>Loading...</p>
             ) : dashRows.length === 0 ? (
@@ -2029,7 +2921,10 @@ export default function App() {
                 {dashRows.map((rg) => (
                   <div key={rg.rep_id || "__unassigned__"} style={card}>
                     <h3 style={{ margin: 0 }}>
-                      {rg.rep_name} <span style={badge("gray")}>{rg.total_units} units</span>
+                      {rg.rep_name} <span style={badge("gray")}>{rg.total_units} units</span>{" "}
+                      <span style={badge("gray")} title={`${rg.dom.count} units off market in the last ${DOM_WINDOW_DAYS} days`}>
+                        DOM median {formatDays(rg.dom.median)} · avg {formatDays(rg.dom.average)}
+                      </span>
                     </h3>
 
                     <div style={{ overflowX: "auto", marginTop: 10 }}>
@@ -2039,6 +2934,8 @@ export default function App() {
                             <th style={th}>Property</th>
                             <th style={th}>Address</th>
                             <th style={th}>Units On Market</th>
+                            <th style={th}>Median DOM</th>
+                            <th style={th}>Avg DOM</th>
                             <th style={th}>Snapshot Date</th>
                             <th style={th}>Open</th>
                           </tr>
@@ -2049,6 +2946,10 @@ export default function App() {
                               <td style={td}>{r.property_name}</td>
                               <td style={td}>{r.address_line}</td>
                               <td style={td}><b>{r.units_on_market}</b></td>
+                              <td style={td} title={`${r.dom_count} units off market in the last ${DOM_WINDOW_DAYS} days`}>
+                                {formatDays(r.dom_median)}
+                              </td>
+                              <td style={td}>{formatDays(r.dom_average)}</td>
                               <td style={td}>
                                 {r.snapshot_date}
                                 {r.snapshot_note === "fallback" ? (
@@ -2084,6 +2985,222 @@ export default function App() {
         </>
       ) : null}
 
+      {/* ---------------- Map ---------------- */}
+      {tab === "map" ? (
+        <>
+          <div style={card}>
+            <h2 style={{ marginTop: 0 }}>Map</h2>
+
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+              <label>
+                Date:&nbsp;
+                <input type="date" value={mapDate} onChange={(e) => setMapDate(e.target.value)} style={ui.input} />
+              </label>
+
+              <label>
+                City:&nbsp;
+                <select value={mapCity} onChange={(e) => setMapCity(e.target.value)} style={ui.select}>
+                  <option value="">All</option>
+                  {cityOptions.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label>
+                Zip:&nbsp;
+                <select value={mapZip} onChange={(e) => setMapZip(e.target.value)} style={ui.select}>
+                  <option value="">All</option>
+                  {zipOptions.map((z) => (
+                    <option key={z} value={z}>{z}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label>
+                Colour by:&nbsp;
+                <select value={mapMetric} onChange={(e) => setMapMetric(e.target.value)} style={ui.select}>
+                  <option value="units">Units on market</option>
+                  <option value="appeared">New appearances</option>
+                </select>
+              </label>
+
+              <button onClick={loadMap} style={ui.primaryBtn}>Refresh</button>
+            </div>
+
+            <div style={{ marginTop: 10, color: "#64748b" }}>
+              {mapLoading
+                ? "Loading..."
+                : `${mapPins.length} properties on the map.${mapMissingCoords ? ` ${mapMissingCoords} without lat/lng (run tools/geocode_properties.js, then Properties -> Geocode Review).` : ""}`}
+            </div>
+          </div>
+
+          <div style={{ ...card, marginTop: 16, padding: 0, overflow: "hidden" }}>
+            <MapContainer
+              key={`${mapCity}::${mapZip}::${mapPins.length}`}
+              bounds={mapPins.length ? mapPins.map((p) => p.latlng) : undefined}
+              boundsOptions={{ padding: [30, 30], maxZoom: 15 }}
+              center={mapPins.length ? undefined : [39.5, -98.35]}
+              zoom={mapPins.length ? undefined : 4}
+              style={{ height: 520, width: "100%" }}
+            >
+              <TileLayer
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              />
+              {mapPins.map((pin) => {
+                const value = mapPinValue(pin);
+                const selected = pin.property_id === mapSelectedId;
+                return (
+                  <CircleMarker
+                    key={pin.property_id}
+                    center={pin.latlng}
+                    radius={selected ? 12 : 9}
+                    pathOptions={{
+                      color: selected ? "#0f172a" : "#1e293b",
+                      weight: selected ? 3 : 1,
+                      fillColor: mapPinColor(value, mapPinMax),
+                      fillOpacity: 0.9,
+                    }}
+                    eventHandlers={{ click: () => setMapSelectedId(pin.property_id) }}
+                  >
+                    <Tooltip>
+                      <b>{pin.property_name}</b>
+                      <br />
+                      {pin.units.length} on market • {pin.appeared.length} new
+                    </Tooltip>
+                  </CircleMarker>
+                );
+              })}
+            </MapContainer>
+          </div>
+
+          {mapSelected ? (
+            <div style={{ ...card, marginTop: 16 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+                <div>
+                  <h3 style={{ margin: 0 }}>{mapSelected.property_name}</h3>
+                  <div style={{ marginTop: 4, color: "#64748b" }}>
+                    {mapSelected.address_line || "—"} • Rep: {mapSelected.rep_name} • Snapshot: {mapSelected.snapshot_date || "none"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button
+                    onClick={() => {
+                      setCurrentDate(mapDate);
+                      setCurrentPropertyId(mapSelected.property_id);
+                      setTab("currentUnits");
+                    }}
+                    style={ui.smallBtn}
+                  >
+                    Current Units
+                  </button>
+                  <button
+                    onClick={() => {
+                      setCqDate(mapDate);
+                      setCqPropertyId(mapSelected.property_id);
+                      setTab("callQueue");
+                    }}
+                    style={ui.smallBtn}
+                  >
+                    Call Queue
+                  </button>
+                  <button onClick={() => setMapSelectedId("")} style={ui.smallBtn}>Close</button>
+                </div>
+              </div>
+
+              <h4 style={{ marginBottom: 6 }}>
+                Call Queue ({mapDate}) <span style={badge("blue")}>{mapSelected.appeared.length} new</span>
+              </h4>
+              {mapSelected.appeared.length === 0 ? (
+                <div style={{ color: "#64748b" }}>No new units for this date.</div>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ ...table, minWidth: 420 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Unit #</th>
+                        <th style={th}>Lead</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mapSelected.appeared.map((u, idx) => (
+                        <tr key={`${u.unit_key || u.unit_number}-${idx}`}>
+                          <td style={td}><b>{u.unit_number || ""}</b></td>
+                          <td style={td}>
+                            <button type="button"
+                              style={ui.smallBtn}
+                              onClick={() =>
+                                upsertLeadFromUnit({
+                                  property_id: mapSelected.property_id,
+                                  property_name: mapSelected.property_name,
+                                  address_line: mapSelected.address_line,
+                                  unit_number: u.unit_number,
+                                  unit_key: u.unit_key,
+                                })
+                              }
+                            >
+                              Create Lead
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <h4 style={{ marginBottom: 6 }}>
+                Units On Market <span style={badge("gray")}>{mapSelected.units.length} units</span>
+              </h4>
+              {mapSelected.units.length === 0 ? (
+                <div style={{ color: "#64748b" }}>No units in the latest snapshot.</div>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ ...table, minWidth: 520 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Unit #</th>
+                        <th style={th}>Price</th>
+                        <th style={th}>Available</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mapSelected.units.map((r, idx) => (
+                        <tr key={`${r.unit_key}-${idx}`}>
+                          <td style={td}>
+                            <button type="button"
+                              style={ui.linkBtn}
+                              title="Unit history"
+                              onClick={() =>
+                                openUnitHistory({
+                                  property_id: mapSelected.property_id,
+                                  property_name: mapSelected.property_name,
+                                  unit_key: r.unit_key,
+                                  unit_number: r.unit_number,
+                                })
+                              }
+                            >
+                              {r.unit_number ?? ""}
+                            </button>
+                          </td>
+                          <td style={td}>{formatPriceRange(r)}</td>
+                          <td style={td} title={safeStr(r.available_on)}>
+                            {formatAvailability(r, mapSelected.snapshot_date)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div style={{ marginTop: 10, color: "#64748b" }}>Click a pin to see its units and call-queue entries.</div>
+          )}
+        </>
+      ) : null}
+
       {/* ---------------- Current Units (On Market) ---------------- */}
       {tab === "currentUnits" ? (
         <>
@@ -2179,14 +3296,35 @@ export default function App() {
                           <tr>
                             <th style={th}>Unit #</th>
                             <th style={th}>Unit Key</th>
+                            <th style={th}>Price</th>
+                            <th style={th}>Available</th>
                             <th style={th}>Lead</th>
                           </tr>
                         </thead>
                         <tbody>
                           {g.rows.map((r, idx) => (
                             <tr key={`${g.property_id}-${r.unit_key}-${idx}`}>
-                              <td style={td}><b>{r.unit_number ?? ""}</b></td>
+                              <td style={td}>
+                                <button type="button"
+                                  style={ui.linkBtn}
+                                  title="Unit history"
+                                  onClick={() =>
+                                    openUnitHistory({
+                                      property_id: g.property_id,
+                                      property_name: g.property_name,
+                                      unit_key: r.unit_key,
+                                      unit_number: r.unit_number,
+                                    })
+                                  }
+                                >
+                                  {r.unit_number ?? ""}
+                                </button>
+                              </td>
                               <td style={td}>{r.unit_key}</td>
+                              <td style={td}>{formatPriceRange(r)}</td>
+                              <td style={td} title={safeStr(r.available_on)}>
+                                {formatAvailability(r, g.snapshot_date)}
+                              </td>
                               <td style={td}>
                                 <button type="button"
                                   style={ui.smallBtn}
@@ -2242,8 +3380,11 @@ export default function App() {
               <label>
                 Type:&nbsp;
                 <select value={dailyEventType} onChange={(e) => setDailyEventType(e.target.value)} style={ui.select}>
-                  <option value="appeared">appeared (new)</option>
-                  <option value="disappeared">disappeared (off market)</option>
+                  {EVENT_TYPE_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                  <option value="changes">all price/date changes</option>
+                  <option value="all">all events</option>
                 </select>
               </label>
 
@@ -2270,6 +3411,7 @@ export default function App() {
                       <th style={th}>Unit #</th>
                       <th style={th}>Unit Key</th>
                       <th style={th}>Type</th>
+                      <th style={th}>Change</th>
                       <th style={th}>Source</th>
                       <th style={th}>Lead</th>
                     </tr>
@@ -2280,9 +3422,25 @@ export default function App() {
                       <tr key={`${r.event_date}-${r.property_id}-${r.unit_key}-${idx}`}>
                         <td style={td}>{r.event_date}</td>
                         <td style={td}>{r.property_name}</td>
-                        <td style={td}><b>{r.unit_number ?? ""}</b></td>
+                        <td style={td}>
+                          <button type="button"
+                            style={ui.linkBtn}
+                            title="Unit history"
+                            onClick={() =>
+                              openUnitHistory({
+                                property_id: r.property_id,
+                                property_name: r.property_name,
+                                unit_key: r.unit_key,
+                                unit_number: r.unit_number,
+                              })
+                            }
+                          >
+                            {r.unit_number ?? ""}
+                          </button>
+                        </td>
                         <td style={td}>{r.unit_key}</td>
                         <td style={td}>{r.event_type}</td>
+                        <td style={td}>{formatEventChange(r)}</td>
                         <td style={td}>{r.source}</td>
                         <td style={td}>
                           <button type="button"
@@ -2315,7 +3473,7 @@ export default function App() {
       ) : null}
 
       {/* ---------------- Properties ---------------- */}
-      {tab === "properties" ? (
+      {tab === "properties" && caps.manageProperties ? (
         <>
           <div style={card}>
             <h2 style={{ marginTop: 0 }}>Add Property</h2>
@@ -2368,6 +3526,123 @@ export default function App() {
 
           <div style={{ marginTop: 16 }}>
             <h2>Properties ({properties.length})</h2>
+            {pendingPlatformSuggestions ? (
+              <p style={{ color: "#64748b" }}>
+                {pendingPlatformSuggestions} platform suggestion{pendingPlatformSuggestions === 1 ? "" : "s"} to review (Platform column).
+              </p>
+            ) : null}
+
+            <button
+              onClick={() => {
+                setGeoReviewOpen((v) => !v);
+                if (!geoReviewSelected) selectGeocodeReview(geocodeReviewRows[0]);
+              }}
+              style={tabBtn(geoReviewOpen)}
+            >
+              Geocode Review ({geocodeReviewRows.length})
+            </button>
+
+            {geoReviewOpen ? (
+              <div style={{ ...card, marginTop: 12, marginBottom: 16 }}>
+                <h3 style={{ marginTop: 0 }}>Geocode Review</h3>
+                <p style={{ marginTop: 0, color: "#64748b" }}>
+                  Rows the geocoder found nothing for, failed on, or only placed roughly (low confidence, e.g. zip centroid).
+                  Pick one, then drag the pin, click the map or type coordinates.
+                </p>
+
+                {geocodeReviewRows.length === 0 ? (
+                  <p>Nothing to review.</p>
+                ) : (
+                  <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-start" }}>
+                    <div style={{ flex: "1 1 360px", maxHeight: 460, overflowY: "auto" }}>
+                      <table style={table}>
+                        <thead>
+                          <tr>
+                            <th style={th}>Property</th>
+                            <th style={th}>Result</th>
+                            <th style={th}>Query</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {geocodeReviewRows.map((p) => (
+                            <tr
+                              key={p.id}
+                              onClick={() => selectGeocodeReview(p)}
+                              style={{ cursor: "pointer", background: p.id === geoReviewId ? "#eff6ff" : undefined }}
+                            >
+                              <td style={td}>
+                                <b>{p.name}</b>
+                                <div style={{ color: "#64748b", fontSize: 12 }}>{formatAddressLine(p) || "—"}</div>
+                              </td>
+                              <td style={td}>
+                                <span style={badge(p.geocode_confidence === "low" ? "amber" : "red")}>{p.geocode_confidence}</span>
+                                <div style={{ color: "#64748b", fontSize: 12 }}>{p.geocode_source || ""}</div>
+                              </td>
+                              <td style={{ ...td, fontSize: 12 }}>{p.geocode_query || ""}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <div style={{ flex: "2 1 480px" }}>
+                      {geoReviewSelected ? (
+                        <>
+                          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+                            <b>{geoReviewSelected.name}</b>
+                            <label>
+                              Lat&nbsp;
+                              <input value={geoLat} onChange={(e) => setGeoLat(e.target.value)} style={{ ...ui.input, width: 130 }} placeholder="34.0522" />
+                            </label>
+                            <label>
+                              Lng&nbsp;
+                              <input value={geoLng} onChange={(e) => setGeoLng(e.target.value)} style={{ ...ui.input, width: 130 }} placeholder="-118.2437" />
+                            </label>
+                            <button onClick={saveGeocodeReview} disabled={geoSaving || !geoReviewPin} style={ui.primaryBtn}>
+                              {geoSaving ? "Saving..." : "Save location"}
+                            </button>
+                          </div>
+
+                          <MapContainer
+                            key={geoReviewSelected.id}
+                            center={geoReviewPin || geoReviewFallbackCenter}
+                            zoom={geoReviewPin ? 16 : 10}
+                            style={{ height: 400, width: "100%", borderRadius: 12 }}
+                          >
+                            <TileLayer
+                              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                            />
+                            <ReviewMapClick
+                              onPick={([lat, lng]) => {
+                                setGeoLat(lat.toFixed(6));
+                                setGeoLng(lng.toFixed(6));
+                              }}
+                            />
+                            {geoReviewPin ? (
+                              <Marker
+                                position={geoReviewPin}
+                                icon={REVIEW_PIN_ICON}
+                                draggable
+                                eventHandlers={{
+                                  dragend: (e) => {
+                                    const { lat, lng } = e.target.getLatLng();
+                                    setGeoLat(lat.toFixed(6));
+                                    setGeoLng(lng.toFixed(6));
+                                  },
+                                }}
+                              />
+                            ) : null}
+                          </MapContainer>
+                        </>
+                      ) : (
+                        <p>Select a row.</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ) : null}
 
             {loadingProps ? (
               <p>Loading...</p>
@@ -2444,7 +3719,24 @@ export default function App() {
                               ))}
                             </select>
                           ) : (
-                            platformLabel(p.platform)
+                            <>
+                              {platformLabel(p.platform)}
+                              {p.platform_suggestion_status === "pending" && p.platform_suggestion ? (
+                                <div style={{ marginTop: 6, padding: 6, border: "1px dashed #94a3b8", borderRadius: 6, fontSize: 12 }}>
+                                  <div>
+                                    Suggested: <b>{platformLabel(p.platform_suggestion)}</b>{" "}
+                                    ({Math.round((p.platform_suggestion_confidence ?? 0) * 100)}%)
+                                  </div>
+                                  {platformSuggestionEvidence(p).map((line, idx) => (
+                                    <div key={idx} style={{ color: "#64748b" }}>{line}</div>
+                                  ))}
+                                  <div style={{ marginTop: 4 }}>
+                                    <button onClick={() => reviewPlatformSuggestion(p, true)} style={{ marginRight: 6 }}>Accept</button>
+                                    <button onClick={() => reviewPlatformSuggestion(p, false)}>Reject</button>
+                                  </div>
+                                </div>
+                              ) : null}
+                            </>
                           )}
                         </td>
 
@@ -2485,7 +3777,7 @@ export default function App() {
       ) : null}
 
       {/* ---------------- Reps ---------------- */}
-      {tab === "reps" ? (
+      {tab === "reps" && caps.manageReps ? (
         <>
           <div style={card}>
             <h2 style={{ marginTop: 0 }}>Add Rep</h2>
@@ -2545,14 +3837,412 @@ export default function App() {
                   </tbody>
                 </table>
 
-                <p style={{ marginTop: 10, color: "#64748b" }}>
-                  Phase 1: Admin uses “View as Rep” to validate rep-scoped UI.
-                </p>
+              </div>
+            )}
+          </div>
+
+          <div style={{ marginTop: 16 }}>
+            <h2>Users &amp; Roles ({userRoles.length})</h2>
+            <p style={{ color: "#64748b", marginTop: 0 }}>
+              Admin/Manager see all reps (View as Rep); Rep and Read-only logins are pinned to their rep.
+              New logins: <code>node unit_tracker.js role --email=&lt;email&gt; --role=rep --rep=&lt;rep_id&gt;</code>
+            </p>
+
+            {userRoles.length === 0 ? (
+              <p>No roles assigned yet.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table style={table}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Email</th>
+                      <th style={th}>Role</th>
+                      <th style={th}>Rep</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {userRoles.map((u) => (
+                      <tr key={u.user_id}>
+                        <td style={td}>{u.email || u.user_id}</td>
+                        <td style={td}>
+                          <select value={u.role} onChange={(e) => saveUserRole(u.user_id, { role: e.target.value })} style={ui.select}>
+                            {ROLE_OPTIONS.map((o) => (
+                              <option key={o.value} value={o.value}>{o.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td style={td}>
+                          <select value={u.rep_id ?? ""} onChange={(e) => saveUserRole(u.user_id, { rep_id: e.target.value })} style={ui.select}>
+                            <option value="">None</option>
+                            {reps.map((r) => (
+                              <option key={r.id} value={r.id}>{r.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      ) : null}
+
+      {/* ---------------- Import ---------------- */}
+      {tab === "import" && caps.manageProperties ? (
+        <>
+          <div style={card}>
+            <h2 style={{ marginTop: 0 }}>Import Properties from CSV</h2>
+            <p style={{ color: "#64748b", marginTop: 0 }}>
+              Columns: zip, assoc_code, address (e.g. input.csv); url and platform are used when present (output.csv).
+              Rows are matched to existing properties by street address + zip. Nothing is written until you click Import.
+              To look up missing websites, use <code>node unit_tracker.js import --csv=FILE --lookup-websites</code> (needs a Google Places key).
+            </p>
+            <input type="file" accept=".csv,text/csv" onChange={onImportFile} />
+          </div>
+
+          {importPlan ? (
+            <div style={{ marginTop: 16 }}>
+              <h2>
+                Preview: {importFileName} ({importPlan.items.length} rows)
+              </h2>
+              <p>
+                <span style={importStatusBadge("new")}>new {importPlan.counts.new}</span>{" "}
+                <span style={importStatusBadge("matched")}>matched {importPlan.counts.matched}</span>{" "}
+                <span style={importStatusBadge("conflict")}>conflict {importPlan.counts.conflict}</span>{" "}
+                <span style={importStatusBadge("duplicate")}>duplicate/invalid {importPlan.counts.duplicate + importPlan.counts.invalid}</span>
+              </p>
+              <button onClick={commitImport} disabled={importBusy} style={ui.primaryBtn}>
+                {importBusy ? "Importing..." : `Import ${importPlan.counts.new} new + fill matched`}
+              </button>
+
+              <div style={{ overflowX: "auto", marginTop: 12 }}>
+                <table style={table}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Line</th>
+                      <th style={th}>Status</th>
+                      <th style={th}>Address</th>
+                      <th style={th}>City</th>
+                      <th style={th}>Zip</th>
+                      <th style={th}>Assoc</th>
+                      <th style={th}>URL</th>
+                      <th style={th}>Existing property / changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPlan.items.map((it, idx) => (
+                      <tr key={`${it.line}-${idx}`}>
+                        <td style={td}>{it.line}</td>
+                        <td style={td}><span style={importStatusBadge(it.status)}>{it.status}</span></td>
+                        <td style={td}>{it.incoming.address || ""}</td>
+                        <td style={td}>{it.incoming.city || ""}</td>
+                        <td style={td}>{it.incoming.zip || ""}</td>
+                        <td style={td}>{it.incoming.assoc_code || ""}</td>
+                        <td style={td} title={it.incoming.url || ""}>{safeStr(it.incoming.url).replace(/^https?:\/\//, "").slice(0, 40)}</td>
+                        <td style={td}>
+                          {it.existing ? <div><b>{it.existing.name}</b></div> : null}
+                          {Object.entries(it.fill).map(([k, v]) => (
+                            <div key={k} style={{ color: "#166534" }}>fill {k}: {v}</div>
+                          ))}
+                          {it.conflicts.map((c) => (
+                            <div key={c.field} style={{ color: "#92400e" }}>
+                              {c.field}: "{c.existing}" kept, CSV has "{c.incoming}"
+                            </div>
+                          ))}
+                          {it.reason ? <div style={{ color: "#64748b" }}>{it.reason}</div> : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : null}
+        </>
+      ) : null}
+
+      {/* ---------------- Scraper Health ---------------- */}
+      {tab === "health" && caps.manageProperties ? (
+        <>
+          <div style={card}>
+            <h2 style={{ marginTop: 0 }}>Scraper Health</h2>
+            <div style={{ marginBottom: 8, color: "#64748b" }}>
+              From <b>scrape_runs</b> / <b>scrape_run_items</b>. A property is listed when its latest run failed, extracted 0 units,
+              or was held back as provisional (looked partial next to recent snapshots; no events written).
+            </div>
+
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+              <label>
+                Window:&nbsp;
+                <select value={healthDays} onChange={(e) => setHealthDays(Number(e.target.value))} style={ui.select}>
+                  <option value={1}>Last 24 hours</option>
+                  <option value={7}>Last 7 days</option>
+                  <option value={30}>Last 30 days</option>
+                </select>
+              </label>
+
+              <button onClick={loadScraperHealth} style={ui.primaryBtn}>Refresh</button>
+            </div>
+
+            <div style={{ marginTop: 10, color: "#475569" }}>
+              Needs attention: <b>{healthProblems.length}</b> • Runs: <b>{healthRuns.length}</b>
+              {healthLoading ? " (loading...)" : ""}
+            </div>
+          </div>
+
+          <div style={{ ...card, marginTop: 16 }}>
+            <h3 style={{ marginTop: 0 }}>Failing / Zero-Unit / Provisional Properties</h3>
+            {healthLoading ? (
+              <p>Loading...</p>
+            ) : healthProblems.length === 0 ? (
+              <p style={{ color: "#64748b" }}>Every property's latest run in this window looks fine.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ ...table, minWidth: 1000 }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Property</th>
+                      <th style={th}>Platform</th>
+                      <th style={th}>Status</th>
+                      <th style={th}>Runs in a row</th>
+                      <th style={th}>Last OK</th>
+                      <th style={th}>Last Run</th>
+                      <th style={th}>HTTP</th>
+                      <th style={th}>Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {healthProblems.map((it) => (
+                      <tr key={it.property_id}>
+                        <td style={td}>
+                          <b>{it.property_name}</b>
+                          <div style={{ color: "#64748b", fontSize: 12 }}>{it.rep_name}</div>
+                        </td>
+                        <td style={td}>{it.platform || "—"}</td>
+                        <td style={td}><span style={scrapeStatusBadge(it.status)}>{it.status}</span></td>
+                        <td style={td}>{it.streak}</td>
+                        <td style={td}>{it.last_ok_at ? new Date(it.last_ok_at).toLocaleString() : "none in window"}</td>
+                        <td style={td}>
+                          {it.started_at ? new Date(it.started_at).toLocaleString() : ""}
+                          <div style={{ color: "#64748b", fontSize: 12 }}>{formatDurationMs(it.duration_ms)}</div>
+                        </td>
+                        <td style={{ ...td, fontSize: 12 }}>
+                          {(it.http_statuses || []).length === 0
+                            ? "—"
+                            : (it.http_statuses || []).map((h, idx) => (
+                                <div key={idx} title={h.url} style={{ whiteSpace: "nowrap" }}>
+                                  {h.status ?? "ERR"} {safeStr(h.url).replace(/^https?:\/\//, "").slice(0, 48)}
+                                </div>
+                              ))}
+                        </td>
+                        <td style={{ ...td, fontSize: 12, color: "#991B1B", maxWidth: 320 }}>
+                          {it.error || ""}
+                          {(it.provisional_reasons || []).map((r, idx) => (
+                            <div key={idx} style={{ color: "#92400E" }}>{r}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div style={{ ...card, marginTop: 16 }}>
+            <h3 style={{ marginTop: 0 }}>Recent Runs</h3>
+            {healthRuns.length === 0 ? (
+              <p style={{ color: "#64748b" }}>No scrape runs recorded in this window.</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ ...table, minWidth: 800 }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Started</th>
+                      <th style={th}>Trigger</th>
+                      <th style={th}>Snapshot Date</th>
+                      <th style={th}>Status</th>
+                      <th style={th}>OK</th>
+                      <th style={th}>Provisional</th>
+                      <th style={th}>Zero</th>
+                      <th style={th}>Failed</th>
+                      <th style={th}>Skipped</th>
+                      <th style={th}>Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {healthRuns.map((r) => (
+                      <tr key={r.id}>
+                        <td style={td}>{r.started_at ? new Date(r.started_at).toLocaleString() : ""}</td>
+                        <td style={td}>{r.trigger}</td>
+                        <td style={td}>{r.snapshot_date}</td>
+                        <td style={td}><span style={scrapeStatusBadge(r.status)}>{r.status}</span></td>
+                        <td style={td}>{r.ok_count}</td>
+                        <td style={td}>{r.provisional_count ?? 0}</td>
+                        <td style={td}>{r.zero_units_count}</td>
+                        <td style={td}>{r.failed_count}</td>
+                        <td style={td}>{r.skipped_count}</td>
+                        <td style={td}>{formatDurationMs(r.duration_ms)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
             )}
           </div>
         </>
       ) : null}
+
+      {/* ---------------- Unit History (modal) ---------------- */}
+      {historyUnit ? (
+        <div style={modalOverlay} onClick={closeUnitHistory}>
+          <div style={modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center" }}>
+              <h2 style={{ margin: 0 }}>
+                {historyUnit.property_name} — Unit {historyUnit.unit_number ?? historyUnit.unit_key}
+              </h2>
+              <button type="button" onClick={closeUnitHistory} style={ui.smallBtn}>Close</button>
+            </div>
+
+            {historyError ? (
+              <p>
+                <span style={badge("red")}>Error</span> Could not load the history: {historyError}{" "}
+                <button type="button" onClick={() => openUnitHistory(historyUnit)} style={ui.smallBtn}>Retry</button>
+              </p>
+            ) : historyLoading || !historyData ? (
+              <p>Loading history...</p>
+            ) : (
+              <>
+                <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 12 }}>
+                  <div style={statBox}>
+                    <div style={statLabel}>Status</div>
+                    <div style={statValue}>{historyData.history.on_market_now ? "On market" : "Off market"}</div>
+                  </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>Days on market (current listing)</div>
+                    <div style={statValue}>{historyData.history.current_days ?? "—"}</div>
+                  </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>Days on market (all listings)</div>
+                    <div style={statValue}>{historyData.history.total_days}</div>
+                  </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>Listings (disappear/reappear cycles)</div>
+                    <div style={statValue}>{historyData.history.spells.length}</div>
+                  </div>
+                </div>
+
+                <div style={{ marginTop: 8, color: "#64748b" }}>
+                  First seen <b>{historyData.history.first_seen || "—"}</b> • Last seen{" "}
+                  <b>{historyData.history.last_seen || "—"}</b> • In {historyData.history.listed.length} snapshots
+                </div>
+
+                <h3 style={{ marginBottom: 6 }}>Timeline</h3>
+                {historyData.history.timeline.length === 0 ? (
+                  <p style={{ color: "#64748b" }}>This unit is not in any snapshot for this property.</p>
+                ) : (
+                  <table style={{ ...table, minWidth: 520 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Date</th>
+                        <th style={th}>What</th>
+                        <th style={th}>Detail</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historyData.history.timeline.map((t, idx) => (
+                        <tr key={`${t.date}-${t.kind}-${idx}`}>
+                          <td style={td}>{t.date}</td>
+                          <td style={td}><b>{t.kind}</b></td>
+                          <td style={td}>{t.detail}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <h3 style={{ marginBottom: 6 }}>Listings</h3>
+                <table style={{ ...table, minWidth: 520 }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Listed</th>
+                      <th style={th}>Off market</th>
+                      <th style={th}>Days on market</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {historyData.history.spells.map((sp) => (
+                      <tr key={sp.start}>
+                        <td style={td}>{sp.start}</td>
+                        <td style={td}>{sp.end || <span style={badge("green")}>still listed</span>}</td>
+                        <td style={td}>{sp.days ?? ""}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h3 style={{ marginBottom: 6 }}>CRM leads</h3>
+                {historyData.leads.length === 0 ? (
+                  <p style={{ color: "#64748b" }}>No leads for this unit.</p>
+                ) : (
+                  <table style={{ ...table, minWidth: 520 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Rep</th>
+                        <th style={th}>Status</th>
+                        <th style={th}>Notes</th>
+                        <th style={th}>Updated</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historyData.leads.map((l) => (
+                        <tr key={l.id}>
+                          <td style={td}>{repMap.get(l.rep_id) || "Unknown"}</td>
+                          <td style={td}>{l.status}</td>
+                          <td style={td}>{l.notes}</td>
+                          <td style={td}>{l.updated_at ? new Date(l.updated_at).toLocaleString() : ""}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <h3 style={{ marginBottom: 6 }}>Snapshots ({historyData.history.listed.length})</h3>
+                <div style={{ maxHeight: 260, overflow: "auto" }}>
+                  <table style={{ ...table, minWidth: 520 }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Snapshot</th>
+                        <th style={th}>Price</th>
+                        <th style={th}>Available</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historyData.history.listed.map((x) => (
+                        <tr key={x.date}>
+                          <td style={td}>{x.date}</td>
+                          <td style={td}>
+                            {formatPriceRange({ price_min: x.price, price_max: x.price_max, price_basis: x.price_basis })}
+                          </td>
+                          <td style={td}>{x.available || ""}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {historyData.events.length ? (
+                  <div style={{ marginTop: 10, color: "#64748b" }}>
+                    unit_events recorded: {historyData.events.map((e) => `${e.event_date} ${e.event_type}`).join(" • ")}
+                  </div>
+                ) : null}
+              </>
+            )}
+          </div>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -2666,6 +4356,15 @@ const ui = {
     background: "white",
     cursor: "pointer",
   },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "#1d4ed8",
+    fontWeight: "bold",
+    textDecoration: "underline",
+    cursor: "pointer",
+  },
   innerCard: {
     border: "1px solid #e5e7eb",
     borderRadius: 14,
@@ -2690,6 +4389,7 @@ const badge = (kind) => {
     green: { bg: "#DCFCE7", fg: "#166534", br: "#BBF7D0" },
     amber: { bg: "#FEF3C7", fg: "#92400E", br: "#FDE68A" },
     gray: { bg: "#F1F5F9", fg: "#334155", br: "#E2E8F0" },
+    red: { bg: "#FEE2E2", fg: "#991B1B", br: "#FECACA" },
     modalOverlay: {
       position: "fixed",
       top: 0, left: 0, right: 0, bottom: 0,
@@ -2772,6 +4472,28 @@ const statBox = {
   background: "#f9fafb",
 };
 
+const modalOverlay = {
+  position: "fixed",
+  top: 0, left: 0, right: 0, bottom: 0,
+  background: "rgba(15, 23, 42, 0.55)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  padding: 16,
+  zIndex: 50,
+};
+
+const modalCard = {
+  width: "min(980px, 96vw)",
+  maxHeight: "86vh",
+  overflow: "auto",
+  background: "#fff",
+  borderRadius: 18,
+  border: "1px solid #e2e8f0",
+  padding: 16,
+  boxShadow: "0 10px 30px rgba(15,23,42,0.18)",
+};
+
 const statLabel = { color: "#64748b", fontSize: 13 };
 const statValue = { fontSize: 24, fontWeight: "bold", color: "#0f172a" };
 
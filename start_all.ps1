@@ -1,15 +1,17 @@
-# start_all.ps1 (runs scrapers + starts React dev server)
+# start_all.ps1 (starts the scrape scheduler + React dev server)
+# On Linux run `npm run schedule` under systemd/pm2 instead; this is the Windows convenience launcher.
 $ErrorActionPreference = "Stop"
 
-$root = "C:\Users\wiz30\unit-tracker\app"
+$root = $PSScriptRoot
 
-# 1) Start scrapers (new window)
+# 1) Start the scheduler (new window). Schedules live in lib/scheduler.js (or --config=FILE);
+#    it catches up runs missed while this machine was off.
 Start-Process powershell.exe -ArgumentList @(
   "-NoProfile",
   "-ExecutionPolicy", "Bypass",
   "-NoExit",
   "-Command",
-  "cd `"$root`"; .\run_all.ps1"
+  "cd `"$root`"; node unit_tracker.js schedule"
 )
 
 # 2) Start React dev server (new window)
@@ -0,0 +1,10 @@
+-- 001_properties_platform_columns.sql
+-- Per-platform scrape inputs read by `node unit_tracker.js scrape`
+-- (these used to live in .env.<platform>.<property> files).
+
+alter table public.properties
+  add column if not exists sightmap_asset text,
+  add column if not exists sightmap_landing_page_id text,
+  add column if not exists realpage_url text,
+  add column if not exists prospectportal_url text,
+  add column if not exists prospectportal_urls text;
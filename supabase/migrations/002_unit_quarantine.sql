@@ -0,0 +1,21 @@
+-- 002_unit_quarantine.sql
+-- Extracted unit rows that failed the canonical unit schema (lib/unit_schema.js).
+-- They are kept out of unit_snapshots.units_json; one set per property/day (replaced on re-run).
+
+create table if not exists public.unit_quarantine (
+  id uuid primary key default gen_random_uuid(),
+  property_id uuid not null references public.properties(id) on delete cascade,
+  snapshot_date date not null,
+  platform text,
+  unit_number text,
+  unit_json jsonb not null,
+  errors text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists unit_quarantine_property_date_idx
+  on public.unit_quarantine (property_id, snapshot_date);
+
+-- Only the service role (scraper, bypasses RLS) writes. Reads are scoped to the login's
+-- properties by role_unit_quarantine_select in 005_user_roles.sql.
+alter table public.unit_quarantine enable row level security;
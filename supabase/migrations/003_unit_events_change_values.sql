@@ -0,0 +1,31 @@
+-- 003_unit_events_change_values.sql
+-- unit_events now also carries price_increased / price_decreased / available_on_changed.
+-- old_value / new_value are text so one pair of columns serves both prices and dates.
+
+alter table public.unit_events
+  add column if not exists old_value text,
+  add column if not exists new_value text;
+
+-- If event_type was locked down with a check constraint, widen it
+alter table public.unit_events drop constraint if exists unit_events_event_type_check;
+alter table public.unit_events
+  add constraint unit_events_event_type_check
+  check (event_type in ('appeared', 'disappeared', 'price_increased', 'price_decreased', 'available_on_changed'));
+
+-- daily_units: same columns as before, plus the change values at the end.
+-- security_invoker: the caller's RLS on unit_events/properties applies (005_user_roles.sql)
+create or replace view public.daily_units
+with (security_invoker = true) as
+select
+  e.event_date,
+  e.property_id,
+  p.name as property_name,
+  p.rep_id,
+  e.unit_key,
+  e.unit_number,
+  e.event_type,
+  e.source,
+  e.old_value,
+  e.new_value
+from public.unit_events e
+join public.properties p on p.id = e.property_id;
@@ -0,0 +1,24 @@
+-- 004_unit_spells.sql
+-- Listing spells rebuilt by `node unit_tracker.js spells` (lib/spells.js):
+-- one row per unit per stretch on market. end_date = first snapshot without the unit.
+
+create table if not exists public.unit_spells (
+  id uuid primary key default gen_random_uuid(),
+  property_id uuid not null references public.properties(id) on delete cascade,
+  unit_key text not null,
+  unit_number text,
+  start_date date not null,
+  end_date date,
+  last_seen_date date not null,
+  days_on_market integer not null default 0,
+  is_open boolean not null default true,
+  created_at timestamptz not null default now(),
+  unique (property_id, unit_key, start_date)
+);
+
+create index if not exists unit_spells_property_idx on public.unit_spells (property_id);
+create index if not exists unit_spells_end_date_idx on public.unit_spells (end_date);
+
+-- Only the service role (`unit_tracker.js spells`, bypasses RLS) writes. Reads are scoped to
+-- the login's properties by role_unit_spells_select in 005_user_roles.sql.
+alter table public.unit_spells enable row level security;
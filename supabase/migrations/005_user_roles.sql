@@ -0,0 +1,192 @@
+-- 005_user_roles.sql
+-- Explicit role per Supabase auth user + the rep they work as.
+-- Replaces "more than one visible reps row = admin" in the dashboard.
+--   admin      everything, incl. Reps tab and role assignment
+--   manager    all reps (View as Rep), Properties tab, leads
+--   rep        own rep_id only, leads
+--   read_only  own rep_id if set (else everything), no edits
+--   (no row)   nothing
+-- Assign with: node unit_tracker.js role --email=<email> --role=<role> [--rep=<rep_id>]
+--
+-- Enforced by the RLS policies at the end of this file on properties, reps and leads, and on
+-- the per-property scrape data (unit_snapshots, unit_events and the daily_units view over it,
+-- unit_quarantine, unit_spells; scrape_runs/_items in 006). The dashboard only hides what a
+-- role can't do. The service role (scraper, CLI) bypasses RLS.
+-- Safe to re-run on a database that already has the table.
+
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  email text,
+  role text not null default 'read_only'
+    check (role in ('admin', 'manager', 'rep', 'read_only')),
+  rep_id uuid references public.reps(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists user_roles_rep_idx on public.user_roles (rep_id);
+
+-- Role of the calling user (null when unassigned). security definer so policies on
+-- user_roles itself (and other tables) can use it without recursing through RLS.
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.user_roles where user_id = auth.uid()
+$$;
+
+create or replace function public.app_rep_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select rep_id from public.user_roles where user_id = auth.uid()
+$$;
+
+alter table public.user_roles enable row level security;
+
+drop policy if exists user_roles_select_own on public.user_roles;
+create policy user_roles_select_own on public.user_roles
+  for select using (user_id = auth.uid() or public.app_role() = 'admin');
+
+drop policy if exists user_roles_admin_write on public.user_roles;
+create policy user_roles_admin_write on public.user_roles
+  for all using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+-- ================== row level security: properties, reps, leads ==================
+-- Any other policy on these tables or on unit_snapshots / unit_events (scoped further down),
+-- e.g. a dashboard-created "allow all authenticated", would be OR'ed with these and undo them.
+-- Nothing is dropped behind your back: the migration stops and lists them; review each one, drop it by hand (drop policy "<name>" on public.<table>;)
+-- and run the migration again.
+do $$
+declare
+  found text;
+begin
+  select string_agg(format('%I on %I.%I', policyname, schemaname, tablename), ', ' order by tablename, policyname)
+    into found
+  from pg_policies
+  where schemaname = 'public'
+    and tablename in ('properties', 'reps', 'leads', 'unit_snapshots', 'unit_events')
+    and policyname not like 'role\_%';
+
+  if found is not null then
+    raise exception 'Policies not managed by 005_user_roles.sql would bypass the role policies: %', found
+      using hint = 'Check what each one allows, drop it (drop policy "<name>" on public.<table>;) and re-run.';
+  end if;
+end $$;
+
+-- Rows a login may see: managers/admins everything; rep/read_only their rep_id;
+-- read_only without a rep_id everything (read access only); no user_roles row nothing
+create or replace function public.app_can_see_rep(row_rep_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case public.app_role()
+    when 'admin' then true
+    when 'manager' then true
+    when 'rep' then row_rep_id is not null and row_rep_id = public.app_rep_id()
+    when 'read_only' then public.app_rep_id() is null or row_rep_id = public.app_rep_id()
+    else false
+  end
+$$;
+
+alter table public.properties enable row level security;
+
+drop policy if exists role_properties_select on public.properties;
+create policy role_properties_select on public.properties
+  for select using (public.app_can_see_rep(rep_id));
+
+drop policy if exists role_properties_write on public.properties;
+create policy role_properties_write on public.properties
+  for all using (public.app_role() in ('admin', 'manager'))
+  with check (public.app_role() in ('admin', 'manager'));
+
+alter table public.reps enable row level security;
+
+-- Rep names show up everywhere (assignments, View as Rep), so any assigned login can read them
+drop policy if exists role_reps_select on public.reps;
+create policy role_reps_select on public.reps
+  for select using (public.app_role() is not null);
+
+drop policy if exists role_reps_write on public.reps;
+create policy role_reps_write on public.reps
+  for all using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+alter table public.leads enable row level security;
+
+drop policy if exists role_leads_select on public.leads;
+create policy role_leads_select on public.leads
+  for select using (public.app_can_see_rep(rep_id));
+
+-- Reps create/update leads for their own rep_id only; deleting is for admins/managers
+drop policy if exists role_leads_insert on public.leads;
+create policy role_leads_insert on public.leads
+  for insert with check (
+    public.app_role() in ('admin', 'manager')
+    or (public.app_role() = 'rep' and rep_id = public.app_rep_id())
+  );
+
+drop policy if exists role_leads_update on public.leads;
+create policy role_leads_update on public.leads
+  for update using (
+    public.app_role() in ('admin', 'manager')
+    or (public.app_role() = 'rep' and rep_id = public.app_rep_id())
+  )
+  with check (
+    public.app_role() in ('admin', 'manager')
+    or (public.app_role() = 'rep' and rep_id = public.app_rep_id())
+  );
+
+drop policy if exists role_leads_delete on public.leads;
+create policy role_leads_delete on public.leads
+  for delete using (public.app_role() in ('admin', 'manager'));
+
+-- ================== row level security: per-property scrape data ==================
+-- Read-only for logins that can see the property; only the service role writes.
+-- security definer: checks properties without going through its RLS a second time
+create or replace function public.app_can_see_property(row_property_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.properties p
+    where p.id = row_property_id and public.app_can_see_rep(p.rep_id)
+  )
+$$;
+
+alter table public.unit_snapshots enable row level security;
+
+drop policy if exists role_unit_snapshots_select on public.unit_snapshots;
+create policy role_unit_snapshots_select on public.unit_snapshots
+  for select using (public.app_can_see_property(property_id));
+
+alter table public.unit_events enable row level security;
+
+drop policy if exists role_unit_events_select on public.unit_events;
+create policy role_unit_events_select on public.unit_events
+  for select using (public.app_can_see_property(property_id));
+
+-- The view ran with its owner's rights, which skip the policies above
+alter view public.daily_units set (security_invoker = true);
+
+-- 002/004 used to let every signed-in user read these
+drop policy if exists unit_quarantine_select_authenticated on public.unit_quarantine;
+drop policy if exists role_unit_quarantine_select on public.unit_quarantine;
+create policy role_unit_quarantine_select on public.unit_quarantine
+  for select using (public.app_can_see_property(property_id));
+
+drop policy if exists unit_spells_select_authenticated on public.unit_spells;
+drop policy if exists role_unit_spells_select on public.unit_spells;
+create policy role_unit_spells_select on public.unit_spells
+  for select using (public.app_can_see_property(property_id));
@@ -0,0 +1,61 @@
+-- 006_scrape_runs.sql
+-- Ledger of scraper executions (lib/scrape_runs.js): one scrape_runs row per
+-- `unit_tracker.js scrape` / push_* run, one scrape_run_items row per property tried.
+-- Read by the Scraper Health tab.
+
+create table if not exists public.scrape_runs (
+  id uuid primary key default gen_random_uuid(),
+  trigger text not null,                       -- "cli" (unit_tracker.js) | "env" (push_* scripts)
+  snapshot_date date not null,
+  source text,
+  args jsonb,
+  status text not null default 'running',      -- running | ok | partial | failed
+  properties_total integer not null default 0,
+  ok_count integer not null default 0,
+  zero_units_count integer not null default 0,
+  failed_count integer not null default 0,
+  skipped_count integer not null default 0,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer
+);
+
+create index if not exists scrape_runs_started_idx on public.scrape_runs (started_at desc);
+
+create table if not exists public.scrape_run_items (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.scrape_runs(id) on delete cascade,
+  property_id uuid references public.properties(id) on delete cascade,
+  platform text,
+  status text not null,                        -- ok | zero_units | failed | skipped
+  urls_tried text[] not null default '{}',
+  http_statuses jsonb not null default '[]',   -- [{ url, status, error }] per request/attempt
+  units_extracted integer,
+  quarantined integer,
+  appeared integer,
+  disappeared integer,
+  changed integer,
+  error text,
+  started_at timestamptz not null default now(),
+  duration_ms integer
+);
+
+create index if not exists scrape_run_items_run_idx on public.scrape_run_items (run_id);
+create index if not exists scrape_run_items_property_idx on public.scrape_run_items (property_id, started_at desc);
+
+-- Only the service role (scraper/CLI, bypasses RLS) writes the ledger. Run totals span every
+-- property, so they're for admins/managers (the Scraper Health tab); items follow the
+-- login's properties (app_can_see_property, 005_user_roles.sql).
+alter table public.scrape_runs enable row level security;
+
+drop policy if exists scrape_runs_select_authenticated on public.scrape_runs;
+drop policy if exists role_scrape_runs_select on public.scrape_runs;
+create policy role_scrape_runs_select on public.scrape_runs
+  for select using (public.app_role() in ('admin', 'manager'));
+
+alter table public.scrape_run_items enable row level security;
+
+drop policy if exists scrape_run_items_select_authenticated on public.scrape_run_items;
+drop policy if exists role_scrape_run_items_select on public.scrape_run_items;
+create policy role_scrape_run_items_select on public.scrape_run_items
+  for select using (public.app_can_see_property(property_id));
@@ -0,0 +1,14 @@
+-- 007_partial_scrape_guard.sql
+-- Snapshots that look incomplete next to recent history (lib/partial_guard.js) are kept
+-- but marked provisional: no unit_events are written for them and later diffs skip them,
+-- so a timed-out page doesn't turn into a wave of disappeared/appeared units.
+
+alter table public.unit_snapshots
+  add column if not exists is_provisional boolean not null default false,
+  add column if not exists provisional_reasons text[];
+
+alter table public.scrape_run_items
+  add column if not exists provisional_reasons text[];
+
+alter table public.scrape_runs
+  add column if not exists provisional_count integer not null default 0;
@@ -0,0 +1,13 @@
+-- 008_unit_events_reappeared.sql
+-- Debounced appear/disappear (lib/units.js EVENT_CONFIRMATION): a unit that drops out of a
+-- scrape and comes back within the confirmation window is a "reappeared" (flicker) event,
+-- not a new "appeared" one, so it never reaches the Move-Out Call Queue.
+-- old_value = last snapshot date the unit was seen before it came back.
+
+alter table public.unit_events drop constraint if exists unit_events_event_type_check;
+alter table public.unit_events
+  add constraint unit_events_event_type_check
+  check (event_type in ('appeared', 'disappeared', 'reappeared', 'price_increased', 'price_decreased', 'available_on_changed'));
+
+alter table public.scrape_run_items
+  add column if not exists reappeared integer;
@@ -0,0 +1,7 @@
+-- 009_properties_sightmap_discovery.sql
+-- Where sightmap_asset / sightmap_landing_page_id came from when they were filled in by
+-- `node unit_tracker.js discover-sightmap` (or by scrape, for sightmap rows that only have a url).
+
+alter table public.properties
+  add column if not exists sightmap_embed_url text,
+  add column if not exists sightmap_discovered_at timestamptz;
@@ -0,0 +1,22 @@
+-- 010_properties_platform_suggestion.sql
+-- Platform guesses from `node unit_tracker.js detect-platform` (lib/platform_detect.js) for rows
+-- whose platform is empty or 'unknown'. The guess is only a suggestion: an admin accepts it
+-- (copies it into platform) or rejects it in the Properties tab. Rejected rows are not
+-- re-suggested unless detect-platform runs with --force.
+--   platform_suggestion             canonical properties.platform value (PLATFORM_OPTIONS)
+--   platform_suggestion_confidence  0..1
+--   platform_suggestion_evidence    { signals: [{ signal, page }], runners_up, http_status, final_url, pages, notes }
+
+alter table public.properties
+  add column if not exists platform_suggestion text,
+  add column if not exists platform_suggestion_confidence real,
+  add column if not exists platform_suggestion_evidence jsonb,
+  add column if not exists platform_suggested_at timestamptz,
+  add column if not exists platform_suggestion_status text
+    check (platform_suggestion_status in ('pending', 'accepted', 'rejected')),
+  add column if not exists platform_suggestion_reviewed_at timestamptz,
+  add column if not exists platform_suggestion_reviewed_by uuid references auth.users(id) on delete set null;
+
+create index if not exists properties_platform_suggestion_pending_idx
+  on public.properties (platform_suggestion_status)
+  where platform_suggestion_status = 'pending';
@@ -0,0 +1,9 @@
+-- 011_properties_assoc_code.sql
+-- Properties imported from association CSVs (`node unit_tracker.js import`, Import tab) keep
+-- the association code they were listed under. imported_at = when the row was created by an import.
+
+alter table public.properties
+  add column if not exists assoc_code text,
+  add column if not exists imported_at timestamptz;
+
+create index if not exists properties_assoc_code_idx on public.properties (assoc_code);
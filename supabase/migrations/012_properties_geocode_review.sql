@@ -0,0 +1,14 @@
+-- 012_properties_geocode_review.sql
+-- Geocode Review (Properties tab): rows tools/geocode_properties.js couldn't place well
+-- (geocode_confidence none / error / low, e.g. zip centroids) are listed for an admin, who drags
+-- the pin or types coordinates. A fix is stored as geocode_source = 'manual',
+-- geocode_confidence = 'manual'; the geocoder never overwrites those rows.
+-- lat, lng, geocoded_at, geocode_source, geocode_confidence and geocode_query already exist.
+
+alter table public.properties
+  add column if not exists geocode_reviewed_at timestamptz,
+  add column if not exists geocode_reviewed_by uuid references auth.users(id) on delete set null;
+
+create index if not exists properties_geocode_review_idx
+  on public.properties (geocode_confidence)
+  where geocode_confidence in ('none', 'error', 'low');
@@ -0,0 +1,71 @@
+// test/dates.test.js
+// Availability text -> ISO date, and which year a yearless date lands in.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseAvailableOn, resolveYearlessDate } from "../lib/dates.js";
+
+describe("resolveYearlessDate", () => {
+  test("upcoming dates stay in the snapshot's year", () => {
+    assert.equal(resolveYearlessDate(3, 5, "2026-03-04"), "2026-03-05");
+    assert.equal(resolveYearlessDate(12, 1, "2026-11-15"), "2026-12-01");
+  });
+
+  test("recently passed dates stay in the snapshot's year (already available)", () => {
+    assert.equal(resolveYearlessDate(3, 5, "2026-03-20"), "2026-03-05");
+  });
+
+  test("Dec -> Jan rollover both ways", () => {
+    assert.equal(resolveYearlessDate(1, 5, "2026-12-20"), "2027-01-05");
+    assert.equal(resolveYearlessDate(12, 28, "2027-01-05"), "2026-12-28");
+  });
+
+  test("a date just past the future limit goes to the nearer side", () => {
+    // +302 days (2 past the limit) vs -63 days (3 past the grace)
+    assert.equal(resolveYearlessDate(12, 31, "2026-03-04"), "2026-12-31");
+    assert.equal(resolveYearlessDate(1, 1, "2026-03-04"), "2026-01-01");
+  });
+
+  test("Feb 29 goes to the next leap year; impossible dates are null", () => {
+    assert.equal(resolveYearlessDate(2, 29, "2027-06-01"), "2028-02-29");
+    assert.equal(resolveYearlessDate(2, 29, "2028-01-10"), "2028-02-29");
+    assert.equal(resolveYearlessDate(4, 31, "2026-03-01"), null);
+  });
+
+  test("Feb 29 is only read in a leap year inside the window", () => {
+    assert.equal(resolveYearlessDate(2, 29, "2027-12-15"), "2028-02-29");
+    assert.equal(resolveYearlessDate(2, 29, "2028-04-15"), "2028-02-29"); // 46 days ago: already available
+    assert.equal(resolveYearlessDate(2, 29, "2028-06-01"), null); // 93 days ago, and 2029 has none
+    assert.equal(resolveYearlessDate(2, 29, "2027-03-01"), null); // 365 days out
+  });
+});
+
+describe("parseAvailableOn", () => {
+  const CASES = [
+    ["Available Now", "2026-03-04", "2026-03-04"],
+    ["Available Immediately", "2026-03-04", "2026-03-04"],
+    ["Available", "2026-03-04", "2026-03-04"],
+    ["Available tomorrow", "2026-12-31", "2027-01-01"],
+    ["Available Mar 5th", "2026-03-04", "2026-03-05"],
+    ["March 5, 2025", "2026-03-04", "2025-03-05"],
+    ["Sept. 12", "2026-08-01", "2026-09-12"],
+    ["5th March", "2026-03-01", "2026-03-05"],
+    ["Available Jan 5", "2026-12-20", "2027-01-05"],
+    ["Available 1/5", "2026-12-20", "2027-01-05"],
+    ["Available Dec 28", "2027-01-05", "2026-12-28"],
+    ["3/5/2025", null, "2025-03-05"],
+    ["3/5/25", null, "2025-03-05"],
+    ["2025-03-05T00:00:00", null, "2025-03-05"],
+    ["2/30/2026", null, null],
+    ["Mar 5", null, null],
+    ["Waitlist", "2026-03-04", null],
+    ["Call for details", "2026-03-04", null],
+    ["", "2026-03-04", null],
+  ];
+
+  for (const [text, snapshotDate, expected] of CASES) {
+    test(`${JSON.stringify(text)} @ ${snapshotDate}`, () => {
+      assert.equal(parseAvailableOn(text, snapshotDate), expected);
+    });
+  }
+});
@@ -0,0 +1,129 @@
+// test/dom_extractors.test.js
+// Recorded HTML -> page-based extractors. Pages are loaded with setContent into a context that
+// has JavaScript off and every request aborted, so nothing leaves the machine.
+// Needs a Playwright Chromium: run `npm run test:setup` (npx playwright install chromium) once before
+// `npm test`. Without one these tests are skipped (the challenge-page check below still runs).
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { launchBrowser } from "../lib/browser.js";
+import {
+  blockedResources,
+  extractAvailableUnitsFromDom,
+  extractAvailableUnitsFromSecureCafe,
+  floorPlanNamesFromHtml,
+} from "../lib/platforms/rentcafe.js";
+import { discoverFloorplanUrls, extractUnitsFromFloorplanPage } from "../lib/platforms/prospectportal.js";
+import { isChallengePage } from "../lib/platform_detect.js";
+import { assertMatchesExpected, readFixture, unitSummary } from "./fixture_helpers.js";
+
+const PP_BASE = "https://arrivehollywood.prospectportal.com/los-angeles/arrive-hollywood";
+
+// blocked: Cloudflare "Just a moment..." pages the scrapers saved — must never produce units
+const CASES = [
+  {
+    fixture: "rentcafe/securecafe_availableunits.html",
+    url: "https://www.securecafe.com/onlineleasing/fixture/availableunits.aspx",
+    extract: extractAvailableUnitsFromSecureCafe,
+  },
+  {
+    fixture: "rentcafe/marketing_availapts.html",
+    url: "https://fixture.invalid/floorplans",
+    extract: extractAvailableUnitsFromDom,
+  },
+  {
+    fixture: "rentcafe/candela_floorplans_challenge.html",
+    url: "https://fixture.invalid/candela/floorplans",
+    extract: extractAvailableUnitsFromDom,
+    blocked: true,
+  },
+  {
+    fixture: "prospectportal/floorplan_table.html",
+    url: `${PP_BASE}/floorplans/s2-695928/fp_name/occupancy_type/conventional/`,
+    extract: extractUnitsFromFloorplanPage,
+  },
+  {
+    fixture: "prospectportal/floorplan_s2_695928_challenge.html",
+    url: `${PP_BASE}/floorplans/s2-695928/fp_name/occupancy_type/conventional/`,
+    extract: extractUnitsFromFloorplanPage,
+    blocked: true,
+  },
+];
+
+let browser = null;
+let skipReason = null;
+
+before(async () => {
+  try {
+    browser = await launchBrowser({ headless: true });
+  } catch (err) {
+    skipReason = `no Playwright Chromium, run npm run test:setup (${String(err?.message || err).split("\n")[0]})`;
+  }
+});
+
+after(async () => {
+  await browser?.close().catch(() => {});
+});
+
+async function withFixturePage(fixture, fn) {
+  const context = await browser.newContext({ javaScriptEnabled: false, viewport: { width: 1280, height: 800 } });
+  try {
+    await context.route("**/*", (route) => route.abort());
+    const page = await context.newPage();
+    await page.setContent(readFixture(fixture), { waitUntil: "domcontentloaded" });
+    return await fn(page);
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+describe("page extractors on recorded HTML", () => {
+  // The blocked recordings really are challenge pages, and the others aren't
+  test("challenge pages", () => {
+    for (const c of CASES) assert.equal(isChallengePage(readFixture(c.fixture)), Boolean(c.blocked), c.fixture);
+    assert.equal(isChallengePage(readFixture("prospectportal/listing_arrive_hollywood.html")), false);
+  });
+
+  for (const c of CASES) {
+    test(c.fixture, { timeout: 90000 }, async (t) => {
+      if (skipReason) return t.skip(skipReason);
+
+      const units = await withFixturePage(c.fixture, (page) => c.extract(page, c.url));
+      if (c.blocked) assert.deepEqual(unitSummary(units), []);
+      assertMatchesExpected(c.fixture, unitSummary(units));
+    });
+  }
+
+  test("prospectportal/listing_arrive_hollywood.html discovery", { timeout: 90000 }, async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const name = "prospectportal/listing_arrive_hollywood.html";
+    const urls = await withFixturePage(name, (page) => discoverFloorplanUrls(page, `${PP_BASE}/conventional/`));
+    assertMatchesExpected(name, urls);
+  });
+});
+
+// No browser needed for these
+describe("rentcafe options", () => {
+  test("RENTCAFE_BLOCK_*=false lets that resource type load", () => {
+    const saved = process.env.RENTCAFE_BLOCK_FONTS;
+    try {
+      delete process.env.RENTCAFE_BLOCK_FONTS;
+      assert.deepEqual(blockedResources(), ["image", "media", "font"]);
+      process.env.RENTCAFE_BLOCK_FONTS = "false";
+      assert.deepEqual(blockedResources(), ["image", "media"]);
+    } finally {
+      if (saved === undefined) delete process.env.RENTCAFE_BLOCK_FONTS;
+      else process.env.RENTCAFE_BLOCK_FONTS = saved;
+    }
+  });
+
+  test("floor plan fallback names", () => {
+    const html = `
+      <div class="fp-card"><h3>Floor Plan: Plan A1</h3><span>$2,100</span></div>
+      <div class="fp-card"><h3>B2 </h3> $2,650</div>
+      <div class="fp-card"><h3>Floor Plan: Plan A1</h3></div>`;
+    assert.deepEqual(floorPlanNamesFromHtml(html), ["Plan A1", "B2"]);
+    assert.deepEqual(floorPlanNamesFromHtml("<div>no plans</div>"), []);
+  });
+});
@@ -0,0 +1,106 @@
+// test/event_backfill.test.js
+// unit_events backfill: re-diffing stored snapshots over a range and the per-day diff that
+// keeps re-runs idempotent.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffEventDays, rebuildEvents } from "../lib/event_backfill.js";
+
+const unit = (n, price = null) => ({ unit_number: n, unit_key: `unit:${n}`, price_min: price });
+
+// 102 drops out on the 3rd; with the default debounce it's only "disappeared" after two misses
+const SNAPSHOTS = [
+  { snapshot_date: "2026-03-01", units_json: [unit("101", 2000), unit("102", 2100)] },
+  { snapshot_date: "2026-03-02", units_json: [unit("101", 2000), unit("102", 2050), unit("103", 1900)] },
+  { snapshot_date: "2026-03-03", units_json: [unit("101", 2000), unit("103", 1900)] },
+  { snapshot_date: "2026-03-04", units_json: [unit("101", 2000), unit("103", 1900), unit("104", 2300)] },
+];
+
+const RANGE = { propertyId: "p1", source: "snapshot", fromDate: "2026-03-02", toDate: "2026-03-04" };
+
+const summary = (days) =>
+  Object.fromEntries([...days].map(([date, events]) => [date, events.map((e) => `${e.event_type} ${e.unit_number}`)]));
+
+const flatten = (days) => [...days.values()].flat();
+
+describe("rebuildEvents", () => {
+  test("days in range only; earlier snapshots are history", () => {
+    assert.deepEqual(summary(rebuildEvents({ ...RANGE, snapshots: SNAPSHOTS })), {
+      "2026-03-02": ["appeared 103", "price_decreased 102"],
+      "2026-03-03": [],
+      "2026-03-04": ["appeared 104", "disappeared 102"],
+    });
+  });
+
+  test("debounce settings are passed through", () => {
+    const days = rebuildEvents({ ...RANGE, snapshots: SNAPSHOTS, confirm: { goneAfterSnapshots: 1, newAfterDays: 0 } });
+    assert.deepEqual(summary(days)["2026-03-03"], ["disappeared 102"]);
+  });
+
+  test("rows carry what replaceEventsForDay inserts", () => {
+    const [ev] = rebuildEvents({ ...RANGE, snapshots: SNAPSHOTS }).get("2026-03-02").filter((e) => e.event_type !== "appeared");
+    assert.deepEqual(ev, {
+      property_id: "p1",
+      event_date: "2026-03-02",
+      unit_key: "unit:102",
+      unit_number: "102",
+      event_type: "price_decreased",
+      source: "snapshot",
+      old_value: "2100",
+      new_value: "2050",
+    });
+  });
+
+  test("old snapshots without unit_key are normalized the same way as today's", () => {
+    const legacy = SNAPSHOTS.map((s) => ({
+      ...s,
+      units_json: s.units_json.map(({ unit_number, price_min }) => ({ unit_number: ` ${unit_number} `, price: price_min })),
+    }));
+    assert.deepEqual(summary(rebuildEvents({ ...RANGE, snapshots: legacy })), summary(rebuildEvents({ ...RANGE, snapshots: SNAPSHOTS })));
+  });
+});
+
+describe("diffEventDays", () => {
+  const rebuilt = rebuildEvents({ ...RANGE, snapshots: SNAPSHOTS });
+  const stored = (events) => events.map(({ event_date, unit_key, unit_number, event_type, old_value, new_value }) => ({
+    event_date,
+    unit_key,
+    unit_number,
+    event_type,
+    old_value,
+    new_value,
+  }));
+
+  test("nothing to do when the stored events match (in any order)", () => {
+    assert.deepEqual(diffEventDays(stored(flatten(rebuilt)).reverse(), rebuilt), []);
+  });
+
+  test("only days that differ are returned, with the full set to write", () => {
+    const existing = stored(flatten(rebuilt))
+      // bug being fixed: 104 was recorded as "0104"
+      .map((e) => (e.unit_key === "unit:104" ? { ...e, unit_key: "unit:0104", unit_number: "0104" } : e));
+    // a day with events but no confirmed snapshot (provisional run)
+    existing.push({ event_date: "2026-03-03T00:00:00", unit_key: "unit:101", unit_number: "101", event_type: "disappeared", old_value: null, new_value: null });
+
+    const changes = diffEventDays(existing, rebuilt);
+    assert.deepEqual(
+      changes.map((c) => [c.date, c.added.map((e) => e.unit_number), c.removed.map((e) => e.unit_number), c.events.length]),
+      [
+        ["2026-03-03", [], ["101"], 0],
+        ["2026-03-04", ["104"], ["0104"], 2],
+      ]
+    );
+  });
+
+  test("a row stored twice is one too many", () => {
+    const row = { event_date: "2026-03-02", unit_key: "unit:103", unit_number: "103", event_type: "appeared", old_value: null, new_value: null };
+    const existing = [...stored(flatten(rebuilt)), row];
+
+    const changes = diffEventDays(existing, rebuilt);
+    assert.deepEqual(
+      changes.map((c) => [c.date, c.added.length, c.removed.length]),
+      [["2026-03-02", 0, 1]]
+    );
+    assert.equal(changes[0].events.length, 2);
+  });
+});
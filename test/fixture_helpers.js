@@ -0,0 +1,67 @@
+// test/fixture_helpers.js
+// Loading recorded pages/JSON and comparing extractor output against test/fixtures/expected.
+// UPDATE_FIXTURES=1 npm test rewrites the expected files instead of comparing (review the diff).
+import fs from "fs";
+import path from "path";
+import assert from "node:assert/strict";
+
+export const FIXTURES_DIR = path.join(import.meta.dirname, "fixtures");
+const EXPECTED_DIR = path.join(FIXTURES_DIR, "expected");
+const UPDATE = process.env.UPDATE_FIXTURES === "1";
+
+export function fixturePath(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+export function readFixture(name) {
+  return fs.readFileSync(fixturePath(name), "utf8");
+}
+
+export function listFixtures(dir, ext) {
+  return fs
+    .readdirSync(fixturePath(dir))
+    .filter((f) => f.endsWith(ext))
+    .sort()
+    .map((f) => `${dir}/${f}`);
+}
+
+// Debug captures are written as "URL: <url>\n\n<body>" (realpage_json_*, rentcafe_json_*)
+export function readCapturedJson(name) {
+  const text = readFixture(name);
+  const m = text.match(/^URL: (\S+)\r?\n\r?\n([\s\S]*)$/);
+  if (!m) throw new Error(`${name}: not a "URL: ...\\n\\n<json>" capture`);
+  return { url: m[1], json: JSON.parse(m[2]) };
+}
+
+// Only the fields a regression should pin down; meta.raw etc. are too noisy to diff
+export function unitSummary(units) {
+  return units.map((u) => ({
+    unit_key: u.unit_key ?? null,
+    unit_number: u.unit_number ?? null,
+    available_on: u.available_on ?? null,
+    price_min: u.price_min ?? null,
+    price_max: u.price_max ?? null,
+    price_basis: u.price_basis ?? null,
+    sqft: u.sqft ?? null,
+    beds: u.beds ?? null,
+    baths: u.baths ?? null,
+  }));
+}
+
+/**
+ * Compare actual against test/fixtures/expected/<fixture>.json.
+ * A missing expected file fails (run with UPDATE_FIXTURES=1 to create it).
+ */
+export function assertMatchesExpected(fixtureName, actual) {
+  const file = path.join(EXPECTED_DIR, `${fixtureName.replace(/\.[a-z]+$/i, "")}.json`);
+
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(actual, null, 2) + "\n");
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `no expected output for ${fixtureName} (run UPDATE_FIXTURES=1 npm test)`);
+  const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepStrictEqual(actual, expected, `${fixtureName} no longer matches ${path.relative(FIXTURES_DIR, file)}`);
+}
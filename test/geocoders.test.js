@@ -0,0 +1,148 @@
+// test/geocoders.test.js
+// Geocoder providers: response parsing, the zip centroid table, and the provider chain.
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createGeocoders,
+  createUrlGeocoder,
+  createZipGeocoder,
+  fromGeoJsonFeature,
+  fromNominatimResult,
+  geocodeProperty,
+  geocodeQuery,
+  parseZipCentroids,
+} from "../lib/geocoders.js";
+import { fixturePath, readFixture } from "./fixture_helpers.js";
+
+const GLADE = { name: "Glade Apartments", address: "6644 Glade Ave", city: "Canoga Park", zip: "91303" };
+
+test("geocodeQuery falls back to the name without a street", () => {
+  assert.equal(geocodeQuery(GLADE), "6644 Glade Ave, Canoga Park, 91303");
+  assert.equal(geocodeQuery({ name: "The Q", zip: "91367" }), "The Q, 91367");
+});
+
+test("result parsing + confidence", () => {
+  assert.deepEqual(
+    fromNominatimResult({ lat: "34.19", lon: "-118.60", address: { road: "Glade Avenue", city: "Los Angeles", postcode: "91303" } }),
+    { lat: 34.19, lng: -118.6, confidence: "high" }
+  );
+  assert.equal(fromNominatimResult({ lat: "34.19", lon: "-118.60", address: { suburb: "Canoga Park" } }).confidence, "low");
+  assert.equal(fromNominatimResult(undefined), null);
+
+  assert.deepEqual(
+    fromGeoJsonFeature({ geometry: { coordinates: [-118.6, 34.19] }, properties: { street: "Glade Avenue", city: "Los Angeles" } }),
+    { lat: 34.19, lng: -118.6, confidence: "medium" }
+  );
+});
+
+describe("zip centroids", () => {
+  test("Census gazetteer (tab-separated, padded last header)", () => {
+    const table = parseZipCentroids(readFixture("geocode/zcta_gazetteer.txt"));
+    assert.equal(table.size, 4);
+    assert.deepEqual(table.get("91303"), [34.198248, -118.601612]);
+    assert.deepEqual(table.get("00601"), [18.180555, -66.749961]);
+  });
+
+  test("zip,lat,lng CSV; leading zeros restored", () => {
+    const table = parseZipCentroids("zip,latitude,longitude\r\n601,18.18,-66.75\r\nnope,1,2\r\n");
+    assert.deepEqual([...table], [["00601", [18.18, -66.75]]]);
+    assert.throws(() => parseZipCentroids("zip,x\n91303,1\n"), /need zip, lat and lng/);
+  });
+
+  test("provider: low confidence, zip from the address when the column is empty", async () => {
+    const zip = createZipGeocoder({ table: parseZipCentroids(readFixture("geocode/zcta_gazetteer.txt")) });
+    assert.deepEqual(await zip.search(GLADE), { lat: 34.198248, lng: -118.601612, confidence: "low" });
+    assert.deepEqual(await zip.search({ address: "3601 W Verdugo Ave, Burbank, CA 91505" }), {
+      lat: 34.173788,
+      lng: -118.345956,
+      confidence: "low",
+    });
+    assert.equal(await zip.search({ address: "1 Main St", zip: "99999" }), null);
+  });
+});
+
+describe("url geocoder", () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const serve = (body, status = 200) => {
+    const calls = [];
+    globalThis.fetch = async (url, opts) => {
+      calls.push({ url: String(url), ua: opts.headers["User-Agent"] });
+      return new Response(JSON.stringify(body), { status });
+    };
+    return calls;
+  };
+
+  test("Nominatim-compatible array", async () => {
+    const calls = serve([{ lat: "34.1982", lon: "-118.6016", address: { road: "Glade Avenue", town: "Canoga Park", postcode: "91303" } }]);
+    const g = createUrlGeocoder({ baseUrl: "http://geo.local:8080/search", contact: "ops@example.invalid" });
+    assert.deepEqual(await g.search(GLADE), { lat: 34.1982, lng: -118.6016, confidence: "high" });
+
+    const url = new URL(calls[0].url);
+    assert.equal(url.searchParams.get("q"), "6644 Glade Ave, Canoga Park, 91303");
+    assert.equal(calls[0].ua, "unit-tracker-geocoder/1.0 (contact: ops@example.invalid)");
+  });
+
+  test("Photon GeoJSON; empty result is null; HTTP errors throw", async () => {
+    serve({ type: "FeatureCollection", features: [{ geometry: { coordinates: [-118.6, 34.2] }, properties: {} }] });
+    const g = createUrlGeocoder({ baseUrl: "http://geo.local:2322/api" });
+    assert.deepEqual(await g.search(GLADE), { lat: 34.2, lng: -118.6, confidence: "low" });
+
+    serve([]);
+    assert.equal(await g.search(GLADE), null);
+
+    serve({ error: "overloaded" }, 503);
+    await assert.rejects(() => g.search(GLADE), /HTTP 503/);
+  });
+});
+
+test("createGeocoders checks its options up front", () => {
+  assert.throws(() => createGeocoders("nominatim"), /GEOCODER_CONTACT/);
+  assert.throws(() => createGeocoders("url"), /missing URL/);
+  assert.throws(() => createGeocoders("google"), /Unknown geocoder "google"/);
+
+  const chain = createGeocoders("nominatim, zip", { contact: "ops@example.invalid", zipTable: fixturePath("geocode/zcta_gazetteer.txt"), rateMs: 0 });
+  assert.deepEqual(
+    chain.map((g) => [g.name, g.rateMs]),
+    [
+      ["nominatim", 1000],
+      ["zip_centroid", 0],
+    ]
+  );
+});
+
+describe("geocodeProperty", () => {
+  const fake = (name, fn) => ({ name, rateMs: 0, search: fn });
+
+  test("first hit wins, earlier errors are reported", async () => {
+    const { patch, errors } = await geocodeProperty(
+      [fake("url", async () => Promise.reject(new Error("HTTP 502"))), fake("zip_centroid", async () => ({ lat: 34.2, lng: -118.6, confidence: "low" }))],
+      GLADE
+    );
+    assert.deepEqual(patch, {
+      lat: 34.2,
+      lng: -118.6,
+      geocode_source: "zip_centroid",
+      geocode_confidence: "low",
+      geocode_query: "6644 Glade Ave, Canoga Park, 91303",
+    });
+    assert.deepEqual(errors, [{ provider: "url", message: "HTTP 502" }]);
+  });
+
+  test("nothing found -> none; any provider error -> error", async () => {
+    const none = await geocodeProperty([fake("nominatim", async () => null)], GLADE);
+    assert.deepEqual(none.patch, { geocode_source: "nominatim", geocode_confidence: "none", geocode_query: "6644 Glade Ave, Canoga Park, 91303" });
+
+    const failed = await geocodeProperty(
+      [fake("nominatim", async () => Promise.reject(new Error("timeout after 20000ms"))), fake("zip_centroid", async () => null)],
+      GLADE
+    );
+    assert.equal(failed.patch.geocode_confidence, "error");
+    assert.equal(failed.patch.geocode_source, "nominatim,zip_centroid");
+    assert.equal(failed.patch.lat, undefined);
+  });
+});
@@ -0,0 +1,169 @@
+// test/har.test.js
+// HAR replay (unit_tracker.js scrape --replay): URL matching, order of repeated requests,
+// requests missing from the archive. Runs against a stand-in browser, no Playwright.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { archiveDirFor, harBrowser, listArchives, startArchive } from "../lib/har.js";
+
+const entry = (url, text, { method = "GET", status = 200, headers = [] } = {}) => ({
+  request: { method, url },
+  response: { status, headers: [{ name: "Content-Type", value: "application/json" }, ...headers], content: { text } },
+});
+
+const ENTRIES = [
+  entry("https://api.example.invalid/units?propertyId=1&cb=111", "page 1 first"),
+  entry("https://api.example.invalid/units?propertyId=1&cb=222", "page 1 second"),
+  entry("https://api.example.invalid/units?propertyId=2", "page 2"),
+  entry("https://api.example.invalid/units?propertyId=2", "page 2 again"),
+  entry("https://api.example.invalid/units?propertyId=2", "posted", { method: "POST" }),
+  entry("https://www.example.invalid/floorplans#top", "<html>", {
+    headers: [
+      { name: "Content-Encoding", value: "gzip" },
+      { name: "Content-Length", value: "6" },
+    ],
+  }),
+  { request: { method: "GET", url: "https://www.example.invalid/failed" }, response: { status: 0 } },
+  {
+    request: { method: "GET", url: "https://www.example.invalid/logo.png" },
+    response: { status: 200, headers: [], content: { text: Buffer.from([1, 2, 3]).toString("base64"), encoding: "base64" } },
+  },
+];
+
+// Browser stand-in: newContext() hands back a context whose route handler we can call
+function fakeBrowser() {
+  const handlers = [];
+  return {
+    handlers,
+    version: () => "fake",
+    async newContext() {
+      return {
+        async route(pattern, handler) {
+          handlers.push(handler);
+        },
+      };
+    },
+  };
+}
+
+// Sends one request through the replay handler: { fulfilled } or { aborted }
+async function send(handler, url, method = "GET") {
+  let result = null;
+  await handler({
+    request: () => ({ url: () => url, method: () => method }),
+    fulfill: async (r) => {
+      result = { fulfilled: { ...r, body: Buffer.isBuffer(r.body) ? [...r.body] : r.body } };
+    },
+    abort: async (reason) => {
+      result = { aborted: reason };
+    },
+  });
+  return result;
+}
+
+describe("har replay", () => {
+  let dir;
+  let logged;
+  let handler;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "unit-tracker-har-"));
+    fs.writeFileSync(path.join(dir, "context-1.har"), JSON.stringify({ log: { entries: ENTRIES } }));
+
+    logged = [];
+    const browser = fakeBrowser();
+    const replay = harBrowser(browser, { mode: "replay", archiveDir: dir, log: (...a) => logged.push(a.join(" ")) });
+    await replay.newContext();
+    [handler] = browser.handlers;
+    assert.equal(replay.version(), "fake");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const body = async (url, method) => (await send(handler, url, method)).fulfilled?.body;
+
+  test("cache busters and hashes don't matter; other params do", async () => {
+    assert.equal(await body("https://www.example.invalid/floorplans"), "<html>");
+    assert.equal(await body("https://api.example.invalid/units?propertyId=2&_=1700000000&timestamp=5"), "page 2");
+    assert.equal((await send(handler, "https://api.example.invalid/units?propertyId=3&cb=111")).aborted, "internetdisconnected");
+  });
+
+  test("repeated requests get the recorded responses in order, then the last one repeats", async () => {
+    const url = "https://api.example.invalid/units?propertyId=1&cb=999";
+    assert.deepEqual([await body(url), await body(url), await body(url)], ["page 1 first", "page 1 second", "page 1 second"]);
+  });
+
+  test("an exact URL match wins over a loose one", async () => {
+    assert.equal(await body("https://api.example.invalid/units?propertyId=1&cb=111"), "page 1 first");
+  });
+
+  test("method is part of the match", async () => {
+    assert.equal(await body("https://api.example.invalid/units?propertyId=2", "POST"), "posted");
+    assert.equal((await send(handler, "https://www.example.invalid/floorplans", "POST")).aborted, "internetdisconnected");
+  });
+
+  test("missing or failed requests are aborted and logged, never fetched", async () => {
+    logged.length = 0;
+    assert.deepEqual(await send(handler, "https://www.example.invalid/failed"), { aborted: "internetdisconnected" });
+    assert.deepEqual(await send(handler, "https://cdn.example.invalid/app.js"), { aborted: "internetdisconnected" });
+    assert.deepEqual(logged, [
+      "  (replay) not in archive, aborted: GET https://www.example.invalid/failed",
+      "  (replay) not in archive, aborted: GET https://cdn.example.invalid/app.js",
+    ]);
+  });
+
+  test("bodies come back decoded, without wire-encoding headers", async () => {
+    const { fulfilled } = await send(handler, "https://www.example.invalid/floorplans");
+    assert.equal(fulfilled.status, 200);
+    assert.deepEqual(fulfilled.headers, { "Content-Type": "application/json" });
+    assert.deepEqual((await send(handler, "https://www.example.invalid/logo.png")).fulfilled.body, [1, 2, 3]);
+  });
+
+  test("a context the recording never opened is an error", async () => {
+    const replay = harBrowser(fakeBrowser(), { mode: "replay", archiveDir: dir, log: () => {} });
+    await replay.newContext();
+    await assert.rejects(replay.newContext(), /no context-2\.har/);
+  });
+});
+
+test("a response served by exact URL isn't served again by the loose match", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "unit-tracker-har-"));
+  try {
+    fs.writeFileSync(path.join(dir, "context-1.har"), JSON.stringify({ log: { entries: ENTRIES } }));
+    const browser = fakeBrowser();
+    await harBrowser(browser, { mode: "replay", archiveDir: dir, log: () => {} }).newContext();
+    const [handler] = browser.handlers;
+    const body = async (url) => (await send(handler, url)).fulfilled?.body;
+
+    assert.equal(await body("https://api.example.invalid/units?propertyId=1&cb=111"), "page 1 first");
+    assert.equal(await body("https://api.example.invalid/units?propertyId=1&cb=999"), "page 1 second");
+    // cb=222's response is now the last one left under both keys, so it repeats
+    assert.equal(await body("https://api.example.invalid/units?propertyId=1&cb=222"), "page 1 second");
+    assert.equal(await body("https://api.example.invalid/units?propertyId=1&cb=999"), "page 1 second");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("startArchive / listArchives", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "unit-tracker-har-"));
+  try {
+    const archive = archiveDirFor(dir, "p1");
+    fs.mkdirSync(archive, { recursive: true });
+    fs.writeFileSync(path.join(archive, "context-1.har"), "{}");
+
+    startArchive(archive, { property: { id: "p1", name: "Glade" }, platform: "sightmap", snapshotDate: "2026-03-04" });
+    assert.deepEqual(fs.readdirSync(archive), ["property.json"]);
+
+    const [listed] = listArchives(dir);
+    assert.equal(listed.dir, archive);
+    assert.equal(listed.platform, "sightmap");
+    assert.equal(listed.snapshot_date, "2026-03-04");
+    assert.deepEqual(listArchives(archive).map((a) => a.dir), [archive]);
+    assert.deepEqual(listArchives(path.join(dir, "missing")), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,112 @@
+// test/json_extractors.test.js
+// Recorded JSON payloads -> extractor output. Pure functions, no browser or network needed.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractUnitsFromUnknownJson,
+  floorplanSummary,
+  parseDotNetDate,
+  parseRealPagePayloads,
+  realpageEndpoint,
+  realpageLookups,
+} from "../lib/platforms/realpage.js";
+import { parseAvailabilityJson } from "../lib/platforms/prospectportal.js";
+import { canonicalizeUnits } from "../lib/unit_schema.js";
+import { diffKeys, normalizeSnapshotUnits } from "../lib/units.js";
+import { assertMatchesExpected, listFixtures, readCapturedJson, readFixture, unitSummary } from "./fixture_helpers.js";
+
+// initial_app_settings/workflow_startup/blurb/unit_accessibility_details are real captures;
+// floorplans_/units_4336473 are hand-written in the OLL list shape around the same UnitIds.
+// Besides units, each expected file pins the lookups a capture feeds (UnitId -> number, floorplans).
+describe("RealPage parseRealPagePayloads", () => {
+  const names = listFixtures("realpage", ".txt");
+
+  for (const name of names) {
+    test(name, () => {
+      const { url, json } = readCapturedJson(name);
+      const { units, fallback } = parseRealPagePayloads([{ url, json }], url);
+      const { floorplans, unitNumbers } = realpageLookups([{ url, json }]);
+
+      for (const u of units) assert.equal(u.meta.page_url, url);
+      assertMatchesExpected(name, {
+        endpoint: realpageEndpoint(url),
+        fallback,
+        units: unitSummary(units),
+        unit_numbers: Object.fromEntries(unitNumbers),
+        floorplans: Object.fromEntries([...floorplans].map(([id, fp]) => [id, floorplanSummary(fp)])),
+      });
+    });
+  }
+
+  // Floorplan names/beds from the floorplan list, UnitId -> number from UnitAccessibilityDetails
+  test("site 4336473, all payloads", () => {
+    const captured = names.filter((n) => n.endsWith("_4336473.txt")).map(readCapturedJson);
+    const { units, fallback } = parseRealPagePayloads(captured, "https://fixture.invalid/oll/");
+
+    assert.equal(fallback, false);
+    assertMatchesExpected(
+      "realpage/site_4336473.json",
+      units.map((u) => ({ ...unitSummary([u])[0], floor_plan_name: u.floor_plan_name, lease_terms: u.meta.lease_terms }))
+    );
+  });
+
+  test("parseDotNetDate", () => {
+    assert.equal(parseDotNetDate("/Date(1772431200000-0600)/"), "2026-03-02");
+    assert.equal(parseDotNetDate("/Date(1772431200000)/"), "2026-03-02");
+    assert.equal(parseDotNetDate("/Date(-62135596800000-0600)/"), null);
+    assert.equal(parseDotNetDate("2026-03-02"), null);
+  });
+});
+
+// JSON the RentCafe debug capture picked up (cookie consent, chat widget): none of it is inventory
+describe("unknown-JSON heuristic ignores RentCafe side-channel payloads", () => {
+  for (const name of listFixtures("rentcafe_json", ".txt")) {
+    test(name, () => {
+      const { url, json } = readCapturedJson(name);
+      assert.deepEqual(unitSummary(extractUnitsFromUnknownJson(json, url)), []);
+    });
+  }
+});
+
+describe("ProspectPortal parseAvailabilityJson", () => {
+  for (const name of listFixtures("prospectportal_json", ".txt")) {
+    test(name, () => {
+      const { url, json } = readCapturedJson(name);
+      const units = parseAvailabilityJson(json, "https://fixture.invalid/floorplans/", { jsonUrl: url });
+
+      for (const u of units) assert.equal(u.meta.json_url, url);
+      assertMatchesExpected(name, unitSummary(units));
+    });
+  }
+
+  // What other sites' pages load must not turn into ProspectPortal units (a RealPage unit list
+  // would parse fine — the sniffer only runs on ProspectPortal pages, so that one is left out)
+  const foreign = [...listFixtures("realpage", ".txt"), ...listFixtures("rentcafe_json", ".txt")];
+  for (const name of foreign.filter((n) => !n.startsWith("realpage/units_"))) {
+    test(`ignores ${name}`, () => {
+      const { url, json } = readCapturedJson(name);
+      assert.deepEqual(unitSummary(parseAvailabilityJson(json, url)), []);
+    });
+  }
+});
+
+// snapshots/sofi_*.json rows (SightMap v1 shape, no unit_key) must still canonicalize and line up
+describe("SOFI snapshot rows", () => {
+  const names = listFixtures("sofi", ".json");
+
+  for (const name of names) {
+    test(name, () => {
+      const rows = normalizeSnapshotUnits(JSON.parse(readFixture(name)));
+      const { units, quarantined } = canonicalizeUnits(rows, { platform: "sofi", snapshotDate: "2026-01-18" });
+
+      assert.deepEqual(quarantined, []);
+      assertMatchesExpected(name, unitSummary(units));
+    });
+  }
+
+  test("first vs last snapshot diff", () => {
+    const load = (name) => normalizeSnapshotUnits(JSON.parse(readFixture(name)));
+    assertMatchesExpected("sofi/diff_first_last.json", diffKeys(load(names[0]), load(names[names.length - 1])));
+  });
+});
@@ -0,0 +1,92 @@
+// test/partial_guard.test.js
+// Partial-scrape guard: unit count / page coverage vs recent confirmed snapshots.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkPartialScrape } from "../lib/partial_guard.js";
+
+// n units, numbered from 100, spread over the given pages in turn
+const unitsOn = (n, pages = ["https://example.invalid/floorplans"]) =>
+  Array.from({ length: n }, (_, i) => ({
+    unit_key: `unit:${100 + i}`,
+    unit_number: String(100 + i),
+    meta: { page_url: pages[i % pages.length] },
+  }));
+
+const snap = (snapshot_date, units) => ({ snapshot_date, units_json: units });
+
+const HISTORY = [
+  snap("2026-03-05", unitsOn(40)),
+  snap("2026-03-04", unitsOn(42)),
+  snap("2026-03-03", unitsOn(40)),
+];
+
+describe("checkPartialScrape", () => {
+  test("no history: never provisional", () => {
+    assert.deepEqual(checkPartialScrape({ units: unitsOn(1), history: [] }), { provisional: false, accepted: false, reasons: [] });
+  });
+
+  test("a normal day passes", () => {
+    const guard = checkPartialScrape({ units: unitsOn(38), history: HISTORY });
+    assert.equal(guard.provisional, false);
+    assert.deepEqual(guard.reasons, []);
+  });
+
+  test("a sharp drop is provisional", () => {
+    const guard = checkPartialScrape({ units: unitsOn(12), history: HISTORY });
+    assert.equal(guard.provisional, true);
+    assert.deepEqual(guard.reasons, ["unit count 12 vs usual 40 (-70%)"]);
+  });
+
+  test("a small property losing a few units is not", () => {
+    const small = [snap("2026-03-05", unitsOn(6)), snap("2026-03-04", unitsOn(6))];
+    assert.equal(checkPartialScrape({ units: unitsOn(2), history: small }).provisional, false);
+  });
+
+  test("a page that usually has units and gave none today", () => {
+    const pages = ["https://example.invalid/a", "https://example.invalid/b"];
+    const history = [snap("2026-03-05", unitsOn(20, pages)), snap("2026-03-04", unitsOn(20, pages))];
+    const guard = checkPartialScrape({ units: unitsOn(16, pages.slice(0, 1)), history });
+    assert.equal(guard.provisional, true);
+    assert.deepEqual(guard.reasons, ["no units from https://example.invalid/b (had 10 on 2026-03-05)"]);
+  });
+
+  describe("a drop that sticks", () => {
+    test("accepted once acceptAfterRuns runs in a row agree", () => {
+      const provisionalRuns = [snap("2026-03-07", unitsOn(13)), snap("2026-03-06", unitsOn(12))];
+      const guard = checkPartialScrape({ units: unitsOn(12), history: HISTORY, provisionalRuns });
+      assert.equal(guard.provisional, false);
+      assert.equal(guard.accepted, true);
+      assert.deepEqual(guard.reasons, ["unit count 12 vs usual 40 (-70%)"]);
+    });
+
+    test("not enough runs yet", () => {
+      const guard = checkPartialScrape({ units: unitsOn(12), history: HISTORY, provisionalRuns: [snap("2026-03-06", unitsOn(12))] });
+      assert.equal(guard.provisional, true);
+      assert.equal(guard.accepted, false);
+    });
+
+    test("runs that don't agree on the count keep it provisional", () => {
+      const provisionalRuns = [snap("2026-03-07", unitsOn(25)), snap("2026-03-06", unitsOn(12))];
+      const guard = checkPartialScrape({ units: unitsOn(12), history: HISTORY, provisionalRuns });
+      assert.equal(guard.provisional, true);
+      assert.equal(guard.accepted, false);
+    });
+
+    test("once accepted, the new count is the baseline even while the median is still higher", () => {
+      const accepted = [snap("2026-03-08", unitsOn(12)), snap("2026-03-07", unitsOn(12)), snap("2026-03-06", unitsOn(12))];
+      assert.equal(checkPartialScrape({ units: unitsOn(11), history: [...accepted, ...HISTORY] }).provisional, false);
+      assert.equal(checkPartialScrape({ units: unitsOn(2), history: [...accepted, ...HISTORY] }).provisional, true);
+    });
+
+    test("a lost page is accepted the same way", () => {
+      const pages = ["https://example.invalid/a", "https://example.invalid/b"];
+      const history = [snap("2026-03-05", unitsOn(20, pages)), snap("2026-03-04", unitsOn(20, pages))];
+      const today = unitsOn(16, pages.slice(0, 1));
+      const provisionalRuns = [snap("2026-03-07", today), snap("2026-03-06", today)];
+      const guard = checkPartialScrape({ units: today, history, provisionalRuns });
+      assert.equal(guard.provisional, false);
+      assert.equal(guard.accepted, true);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// test/platform_detect.test.js
+// Platform fingerprinting over saved pages: the top candidate must be a PLATFORM_OPTIONS value.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CANONICAL_PLATFORMS, canonicalPlatform, loadFingerprints, pageFeatures, scoreSignals } from "../lib/platform_detect.js";
+import { readFixture } from "./fixture_helpers.js";
+
+const signals = (c) => c.evidence.map((e) => e.signal);
+
+describe("scoreSignals", () => {
+  const CASES = [
+    { fixture: "prospectportal/listing_arrive_hollywood.html", url: "https://www.arrivehollywood.invalid/", platform: "entrata" },
+    { fixture: "sightmap/website_floorplans.html", url: "https://example-residences.invalid/floorplans/", platform: "sightmap" },
+    {
+      fixture: "rentcafe/securecafe_availableunits.html",
+      url: "https://example.securecafe.com/onlineleasing/example/availableunits.aspx",
+      platform: "RentCafe",
+    },
+    // Cloudflare challenge page: nothing to go on
+    { fixture: "rentcafe/candela_floorplans_challenge.html", url: "https://www.candela.invalid/floorplans", platform: null },
+  ];
+
+  for (const c of CASES) {
+    test(c.fixture, () => {
+      const candidates = scoreSignals([{ url: c.url, html: readFixture(c.fixture) }]);
+      const top = candidates[0] ?? null;
+
+      assert.equal(top?.platform ?? null, c.platform);
+      if (top) {
+        assert.ok(CANONICAL_PLATFORMS.includes(top.platform));
+        assert.ok(top.confidence > 0.5 && top.confidence <= 1);
+        assert.ok(top.evidence.length > 0);
+      }
+    });
+  }
+
+  test("hits on several pages count once per signal", () => {
+    const page = { url: "https://a.invalid/", html: "<iframe src='https://leasing.realpage.com/oll/x'></iframe>" };
+    const [top] = scoreSignals([page, { ...page, url: "https://a.invalid/floorplans/" }]);
+    assert.deepEqual(
+      { platform: top.platform, confidence: top.confidence, signals: signals(top) },
+      { platform: "realpage", confidence: 0.9, signals: ["iframe_src leasing.realpage.com", "html realpage"] }
+    );
+  });
+
+  // The old substring chain tested "prospectportal" under RealPage first
+  test("ProspectPortal links rank Entrata, not RealPage", () => {
+    const html = "<a href='https://example.prospectportal.com/Apartments/module/application_authentication/'>Apply</a>";
+    const candidates = scoreSignals([{ url: "https://a.invalid/", html }]);
+    assert.deepEqual(candidates.map((c) => c.platform), ["entrata"]);
+    assert.deepEqual(signals(candidates[0]), ["api_path /apartments/module/", "html prospectportal"]);
+  });
+
+  test("site builder ranks below a leasing platform with a weaker score", () => {
+    const html = [
+      "<meta name='generator' content='WordPress 6.4.2'>",
+      "<link rel='stylesheet' href='/wp-content/themes/x.css'>",
+      "<script src='https://doorway.knockrentals.com/widget.js'></script>",
+    ].join("\n");
+    const candidates = scoreSignals([{ url: "https://a.invalid/", html, cookies: ["wordpress_test_cookie=WP%20Cookie; path=/"] }]);
+
+    assert.deepEqual(
+      candidates.map((c) => [c.platform, c.confidence]),
+      [
+        ["knock", 0.82],
+        ["wordpress", 0.76],
+      ]
+    );
+    assert.deepEqual(signals(candidates[1]), ["meta generator=wordpress", "html /wp-content/", "cookie wordpress_*"]);
+  });
+
+  test("host signals match the host, not the path", () => {
+    const html = "<script src='https://cdn.example.invalid/realpage.com/x.js'></script>";
+    assert.deepEqual(scoreSignals([{ url: "https://a.invalid/", html }]).map((c) => c.platform), ["realpage"]);
+    assert.deepEqual(signals(scoreSignals([{ url: "https://a.invalid/", html }])[0]), ["html realpage"]);
+  });
+});
+
+test("pageFeatures", () => {
+  const f = pageFeatures({
+    url: "https://a.invalid/",
+    finalUrl: "https://www.a.invalid/home",
+    html: `<meta property="og:site_name" content="Arrive"><iframe src="//sightmap.com/embed/x"></iframe>
+      <script>fetch("\\/api\\/v1\\/units")</script>`,
+    cookies: ["crumb=abc; Path=/"],
+  });
+
+  assert.deepEqual(f.pageUrls.map((u) => u.hostname), ["a.invalid", "www.a.invalid"]);
+  assert.deepEqual(f.iframe_src.map((u) => u.href), ["https://sightmap.com/embed/x"]);
+  assert.deepEqual(f.metas, [{ name: "og:site_name", content: "arrive" }]);
+  assert.deepEqual(f.cookies, ["crumb"]);
+  assert.ok(f.allUrls.includes("/api/v1/units"));
+});
+
+describe("loadFingerprints", () => {
+  const write = (json) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fingerprints-")), "f.json");
+    fs.writeFileSync(file, JSON.stringify(json));
+    return file;
+  };
+
+  test("default file covers every leasing platform in PLATFORM_OPTIONS", () => {
+    const platforms = loadFingerprints().map((r) => r.platform);
+    for (const p of ["RentCafe", "realpage", "sightmap", "entrata", "appfolio", "resman", "rentmanager", "buildium", "knock", "leasehawk"]) {
+      assert.ok(platforms.includes(p), p);
+    }
+  });
+
+  test("rejects unknown platforms, types and weights", () => {
+    const file = write({
+      platforms: {
+        onesite: { signals: [{ type: "html", match: "onesite", weight: 0.5 }] },
+        realpage: { signals: [{ type: "header", match: "x", weight: 0.5 }, { type: "html", match: "rp", weight: 2 }] },
+      },
+    });
+    assert.throws(() => loadFingerprints(file), /onesite: not a PLATFORM_OPTIONS value.*type must be one of.*weight must be in/);
+  });
+
+  test("custom file replaces the default", () => {
+    const file = write({ platforms: { appfolio: { signals: [{ type: "html", match: "powered by x", weight: 0.6 }] } } });
+    const ranked = scoreSignals([{ url: "https://a.invalid/", html: "Powered by X" }], loadFingerprints(file));
+    assert.deepEqual(ranked, [
+      { platform: "appfolio", confidence: 0.6, evidence: [{ signal: "html powered by x", type: "html", page: "https://a.invalid/" }] },
+    ]);
+  });
+});
+
+test("canonicalPlatform maps the old detect_platform_batch labels", () => {
+  assert.equal(canonicalPlatform("RentCafe/SecureCafe"), "RentCafe");
+  assert.equal(canonicalPlatform("Yardi/RentCafe"), "RentCafe");
+  assert.equal(canonicalPlatform("RealPage/OneSite"), "realpage");
+  assert.equal(canonicalPlatform("Entrata/ProspectPortal"), "entrata");
+  assert.equal(canonicalPlatform("SightMap"), "sightmap");
+  assert.equal(canonicalPlatform("rentcafe"), "RentCafe");
+  assert.equal(canonicalPlatform("TenantCloud"), null);
+  assert.equal(canonicalPlatform(""), null);
+});
@@ -0,0 +1,63 @@
+// test/prices.test.js
+// Rent text -> { min, max }, and what the site says the number is (price_basis).
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isSanePrice, parseMoneyRange, priceBasisFromText } from "../lib/prices.js";
+
+describe("parseMoneyRange", () => {
+  test("ranges with a dollar sign", () => {
+    assert.deepEqual(parseMoneyRange("$2,100 - $2,450"), { min: 2100, max: 2450 });
+    assert.deepEqual(parseMoneyRange("$2,100–2,450/mo"), { min: 2100, max: 2450 });
+    assert.deepEqual(parseMoneyRange("Starting at $1,995 to $2,300"), { min: 1995, max: 2300 });
+    assert.deepEqual(parseMoneyRange("$2,450 - $2,100"), { min: 2100, max: 2450 });
+  });
+
+  test("ranges without one", () => {
+    assert.deepEqual(parseMoneyRange("2,100 - 2,450"), { min: 2100, max: 2450 });
+    assert.deepEqual(parseMoneyRange("2100–2450/mo"), { min: 2100, max: 2450 });
+    assert.deepEqual(parseMoneyRange("2,100 - $2,450"), { min: 2100, max: 2450 });
+    assert.deepEqual(parseMoneyRange("From 1995 to 2300 per month"), { min: 1995, max: 2300 });
+    assert.deepEqual(parseMoneyRange(" 2,100.50 — 2,450 "), { min: 2100.5, max: 2450 });
+  });
+
+  test("single amounts", () => {
+    assert.deepEqual(parseMoneyRange("From $2,215/month"), { min: 2215, max: 2215 });
+    assert.deepEqual(parseMoneyRange("2,215"), { min: 2215, max: 2215 });
+    assert.deepEqual(parseMoneyRange(2215), { min: 2215, max: 2215 });
+  });
+
+  test("square footage and phone numbers aren't rent ranges", () => {
+    assert.equal(parseMoneyRange("850 - 1,000 sq ft"), null);
+    assert.equal(parseMoneyRange("850-900 sf"), null);
+    assert.equal(parseMoneyRange("555-1234"), null);
+    assert.equal(parseMoneyRange("818-555-1234"), null);
+    assert.equal(parseMoneyRange("(818) 555-1234"), null);
+  });
+
+  test("nothing to parse", () => {
+    assert.equal(parseMoneyRange(null), null);
+    assert.equal(parseMoneyRange(""), null);
+    assert.equal(parseMoneyRange(NaN), null);
+    assert.equal(parseMoneyRange("Call for pricing"), null);
+  });
+});
+
+test("priceBasisFromText", () => {
+  assert.equal(priceBasisFromText("Starting at $2,100"), "starting_at");
+  assert.equal(priceBasisFromText("As low as $1,995"), "starting_at");
+  assert.equal(priceBasisFromText("$2,300 / 12 mo"), "lease_term");
+  assert.equal(priceBasisFromText("$2,300 for a 13-month lease term"), "lease_term");
+  assert.equal(priceBasisFromText("Base rent $2,300"), "base_rent");
+  assert.equal(priceBasisFromText("$2,300"), null);
+  assert.equal(priceBasisFromText(""), null);
+  assert.equal(priceBasisFromText(null), null);
+});
+
+test("isSanePrice", () => {
+  assert.equal(isSanePrice(2100), true);
+  assert.equal(isSanePrice(99), false);
+  assert.equal(isSanePrice(50001), false);
+  assert.equal(isSanePrice(NaN), false);
+  assert.equal(isSanePrice("2100"), false);
+});
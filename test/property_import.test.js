@@ -0,0 +1,129 @@
+// test/property_import.test.js
+// Association CSV import planning: parsing, address matching, new/matched/conflict buckets.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { importChanges, normalizeStreet, parseCsv, planImport, splitUsAddress } from "../lib/property_import.js";
+import { readFixture } from "./fixture_helpers.js";
+
+const EXISTING = [
+  // same building, written differently, url already set
+  { id: "p1", name: "Glade Apartments", address: "6644 Glade Avenue", city: "Canoga Park", zip: "91303", url: "https://gladeapartments.com", platform: "unknown" },
+  // same street, other assoc code on file
+  { id: "p2", name: "The Q", address: "6200 Variel Ave.", city: null, zip: "91367", url: null, platform: "RentCafe", assoc_code: "R0000" },
+  // same street number + name in another zip: not the same property
+  { id: "p3", name: "Verdugo Elsewhere", address: "3601 West Verdugo Avenue", city: "Glendale", zip: "91201", platform: "realpage" },
+];
+
+describe("parseCsv", () => {
+  test("BOM, CRLF, quoted commas", () => {
+    const { headers, rows } = parseCsv(readFixture("import/association.csv"));
+    assert.deepEqual(headers, ["zip", "assoc_code", "address", "url", "platform_guess"]);
+    assert.equal(rows.length, 6);
+    assert.equal(rows[0].address, "6644 GLADE AVE, Canoga Park, CA 91303");
+    assert.equal(rows[5].url, "https://example.invalid/ava-burbank?a=1,2");
+    assert.deepEqual(
+      rows.map((r) => r._line),
+      [2, 3, 4, 5, 6, 7]
+    );
+  });
+
+  test("newlines inside quotes keep line numbers right", () => {
+    const { rows } = parseCsv('address,zip\n"1 Main St\nRear",90001\n2 Main St,90001\n');
+    assert.deepEqual(
+      rows.map((r) => [r._line, r.address]),
+      [
+        [2, "1 Main St\nRear"],
+        [4, "2 Main St"],
+      ]
+    );
+  });
+});
+
+test("splitUsAddress / normalizeStreet", () => {
+  assert.deepEqual(splitUsAddress("6644 GLADE AVE, Canoga Park, CA 91303"), {
+    street: "6644 GLADE AVE",
+    city: "Canoga Park",
+    state: "CA",
+    zip: "91303",
+  });
+  assert.deepEqual(splitUsAddress("123 Main St"), { street: "123 Main St", city: null, state: null, zip: null });
+  assert.equal(normalizeStreet("6644 Glade Avenue #2"), "6644 GLADE AVE");
+  assert.equal(normalizeStreet("3601 West Verdugo Ave."), "3601 W VERDUGO AVE");
+});
+
+describe("planImport", () => {
+  const { rows } = parseCsv(readFixture("import/association.csv"));
+  const plan = planImport(rows, EXISTING);
+  const byLine = new Map(plan.items.map((it) => [it.line, it]));
+
+  test("buckets", () => {
+    assert.deepEqual(
+      plan.items.map((it) => [it.line, it.status]),
+      [
+        [2, "matched"],
+        [3, "conflict"],
+        [4, "new"],
+        [5, "duplicate"],
+        [6, "invalid"],
+        [7, "new"],
+      ]
+    );
+    assert.deepEqual(plan.counts, { new: 2, matched: 1, conflict: 1, duplicate: 1, invalid: 1 });
+  });
+
+  test("matched row fills blanks only; tracking params don't count as a different url", () => {
+    const it = byLine.get(2);
+    assert.equal(it.existing.id, "p1");
+    assert.deepEqual(it.fill, { assoc_code: "B0480", platform: "RentCafe" });
+    assert.deepEqual(it.conflicts, []);
+  });
+
+  test("conflicting assoc_code is reported, not overwritten; the blank city is still filled", () => {
+    const it = byLine.get(3);
+    assert.equal(it.existing.id, "p2");
+    assert.deepEqual(it.conflicts, [{ field: "assoc_code", existing: "R0000", incoming: "R3924" }]);
+    assert.deepEqual(it.fill, { city: "Woodland Hills" });
+  });
+
+  test("changes: inserts for new rows, fills for matched and conflict ones", () => {
+    const { inserts, updates } = importChanges(plan, { importedAt: "2026-10-19T00:00:00.000Z" });
+    assert.deepEqual(inserts, [
+      {
+        name: "22035 Burbank Blvd",
+        address: "22035 Burbank Blvd",
+        city: "Woodland Hills",
+        zip: "91367",
+        assoc_code: "E6086",
+        url: null,
+        platform: "unknown",
+        imported_at: "2026-10-19T00:00:00.000Z",
+      },
+      {
+        name: "3601 W Verdugo Ave",
+        address: "3601 W Verdugo Ave",
+        city: "Burbank",
+        zip: "91505",
+        assoc_code: "R1JS",
+        url: "https://example.invalid/ava-burbank?a=1,2",
+        platform: "entrata",
+        imported_at: "2026-10-19T00:00:00.000Z",
+      },
+    ]);
+    assert.deepEqual(updates, [
+      { id: "p1", patch: { assoc_code: "B0480", platform: "RentCafe" } },
+      { id: "p2", patch: { city: "Woodland Hills" } },
+    ]);
+  });
+
+  test("re-planning after the import finds everything", () => {
+    const { inserts, updates } = importChanges(plan);
+    const after = [
+      ...EXISTING.map((p) => ({ ...p, ...(updates.find((u) => u.id === p.id)?.patch || {}) })),
+      ...inserts.map((p, i) => ({ ...p, id: `new${i}` })),
+    ];
+    const again = planImport(rows, after);
+    assert.deepEqual(again.counts, { new: 0, matched: 3, conflict: 1, duplicate: 1, invalid: 1 });
+    assert.deepEqual(importChanges(again), { inserts: [], updates: [] });
+  });
+});
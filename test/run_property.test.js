@@ -0,0 +1,155 @@
+// test/run_property.test.js
+// One property run against an in-memory stand-in for the Supabase tables it touches:
+// partial-scrape guard, held-back runs and the events a run writes.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { runPropertySnapshot } from "../lib/run_property.js";
+
+// Just the PostgREST query builder calls lib/snapshots.js makes
+function memorySupabase() {
+  const tables = new Map();
+  const rows = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const query = (name) => {
+    const filters = [];
+    let op = "select";
+    let payload = null;
+    let order = null;
+    let limit = Infinity;
+    let single = false;
+
+    const q = {
+      select: () => q,
+      eq: (c, v) => (filters.push((r) => r[c] === v), q),
+      lt: (c, v) => (filters.push((r) => r[c] < v), q),
+      lte: (c, v) => (filters.push((r) => r[c] <= v), q),
+      gt: (c, v) => (filters.push((r) => r[c] > v), q),
+      gte: (c, v) => (filters.push((r) => r[c] >= v), q),
+      order: (c, { ascending = true } = {}) => ((order = order || { c, ascending }), q),
+      limit: (n) => ((limit = n), q),
+      range: (from, to) => ((limit = to - from + 1), q),
+      single: () => ((single = true), q),
+      delete: () => ((op = "delete"), q),
+      insert: (r) => ((op = "insert"), (payload = [].concat(r)), q),
+      upsert: (r) => ((op = "upsert"), (payload = [].concat(r)), q),
+      then(resolve, reject) {
+        try {
+          resolve(run());
+        } catch (err) {
+          reject(err);
+        }
+      },
+    };
+
+    const run = () => {
+      const table = rows(name);
+      if (op === "delete") {
+        tables.set(name, table.filter((r) => !filters.every((f) => f(r))));
+        return { error: null };
+      }
+      if (op === "insert") {
+        table.push(...payload);
+        return { data: payload, error: null };
+      }
+      if (op === "upsert") {
+        for (const r of payload) {
+          const i = table.findIndex((t) => t.property_id === r.property_id && t.snapshot_date === r.snapshot_date);
+          if (i >= 0) table[i] = r;
+          else table.push(r);
+        }
+        return { data: single ? payload[0] : payload, error: null };
+      }
+
+      let data = table.filter((r) => filters.every((f) => f(r)));
+      if (order) {
+        const dir = order.ascending ? 1 : -1;
+        data = [...data].sort((a, b) => (a[order.c] < b[order.c] ? -dir : a[order.c] > b[order.c] ? dir : 0));
+      }
+      return { data: data.slice(0, limit), error: null };
+    };
+
+    return q;
+  };
+
+  return { from: query, rows };
+}
+
+const PROPERTY = { id: "p1", name: "Glade" };
+const numbers = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+const runnerFor = (unitNumbers) => ({
+  platform: "sightmap",
+  extractUnits: async () => unitNumbers.map((n) => ({ unit_number: n, price: "$2,000" })),
+});
+
+async function run(supabase, snapshotDate, unitNumbers) {
+  return runPropertySnapshot({
+    supabase,
+    property: PROPERTY,
+    runner: runnerFor(unitNumbers),
+    snapshotDate,
+    source: "snapshot",
+    log: () => {},
+  });
+}
+
+describe("runPropertySnapshot", () => {
+  test("a drop that sticks is held back, then accepted and its events written on their days", async () => {
+    const supabase = memorySupabase();
+    assert.equal((await run(supabase, "2026-03-01", numbers(101, 140))).status, "ok");
+    assert.equal((await run(supabase, "2026-03-02", numbers(101, 140))).status, "ok");
+
+    // 101-110 left: 30 of 40 is within the usual-count tolerance
+    const small = await run(supabase, "2026-03-03", numbers(111, 140));
+    assert.equal(small.status, "ok");
+
+    // 40 -> 12 units, three runs in a row
+    const first = await run(supabase, "2026-03-04", numbers(111, 122));
+    const second = await run(supabase, "2026-03-05", numbers(111, 122));
+    assert.deepEqual([first.status, second.status], ["provisional", "provisional"]);
+    assert.deepEqual([first.events, second.events], [[], []]);
+
+    const accepted = await run(supabase, "2026-03-06", numbers(111, 122));
+    assert.equal(accepted.status, "ok");
+    assert.deepEqual(accepted.events, []);
+
+    const snapshots = supabase.rows("unit_snapshots");
+    assert.deepEqual(
+      snapshots.map((s) => [s.snapshot_date, s.is_provisional]),
+      ["01", "02", "03", "04", "05", "06"].map((d) => [`2026-03-${d}`, false])
+    );
+
+    // Gone after two missed snapshots (the default), dated as a live run would have
+    const gone = (date) =>
+      supabase
+        .rows("unit_events")
+        .filter((e) => e.event_date === date && e.event_type === "disappeared")
+        .map((e) => e.unit_number)
+        .sort();
+    assert.deepEqual(gone("2026-03-03"), []);
+    assert.deepEqual(gone("2026-03-04"), numbers(101, 110));
+    assert.deepEqual(gone("2026-03-05"), numbers(123, 140));
+    assert.deepEqual(gone("2026-03-06"), []);
+
+    // The next run diffs against the accepted snapshot: nothing reported twice
+    const next = await run(supabase, "2026-03-07", numbers(111, 122));
+    assert.equal(next.status, "ok");
+    assert.deepEqual(next.events, []);
+  });
+
+  test("a drop that doesn't stick stays provisional and nothing disappears", async () => {
+    const supabase = memorySupabase();
+    await run(supabase, "2026-03-01", numbers(101, 140));
+    await run(supabase, "2026-03-02", numbers(101, 140));
+    assert.equal((await run(supabase, "2026-03-03", numbers(101, 112))).status, "provisional");
+    assert.equal((await run(supabase, "2026-03-04", numbers(101, 115))).status, "provisional");
+    assert.equal((await run(supabase, "2026-03-05", numbers(101, 112))).status, "provisional");
+
+    const back = await run(supabase, "2026-03-06", numbers(101, 140));
+    assert.equal(back.status, "ok");
+    assert.deepEqual(back.events, []);
+  });
+});
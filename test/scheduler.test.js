@@ -0,0 +1,154 @@
+// test/scheduler.test.js
+// Cron slots, catch-up after downtime and the per-group lockfiles behind `unit_tracker.js schedule`.
+// Dates are built in local time, as lib/cron.js reads them.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+
+import { parseCron, nextRun, previousRun } from "../lib/cron.js";
+import { DEFAULT_JOBS, acquireLock, dueSlot, loadJobs, lockFileFor, releaseLock } from "../lib/scheduler.js";
+
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe("cron", () => {
+  test("steps and ranges", () => {
+    const c = parseCron("*/15 9-17 * * *");
+    assert.deepEqual(nextRun(c, at(2026, 3, 4, 9, 0)), at(2026, 3, 4, 9, 15));
+    assert.deepEqual(nextRun(c, at(2026, 3, 4, 17, 45)), at(2026, 3, 5, 9, 0));
+    assert.deepEqual(previousRun(c, at(2026, 3, 4, 9, 14)), at(2026, 3, 4, 9, 0));
+    assert.deepEqual(previousRun(c, at(2026, 3, 4, 8, 59)), at(2026, 3, 3, 17, 45));
+    assert.deepEqual([...parseCron("0-30/10 * * * *").minute], [0, 10, 20, 30]);
+  });
+
+  test("nextRun is strictly after, previousRun counts the current minute", () => {
+    const c = parseCron("30 4 * * *");
+    assert.deepEqual(nextRun(c, at(2026, 3, 4, 4, 30)), at(2026, 3, 5, 4, 30));
+    assert.deepEqual(previousRun(c, new Date(at(2026, 3, 4, 4, 30).getTime() + 59000)), at(2026, 3, 4, 4, 30));
+  });
+
+  test("weekday lists; 7 is Sunday too", () => {
+    // 2026-03-04 is a Wednesday
+    const c = parseCron("0 8 * * 1,3,5");
+    assert.deepEqual(nextRun(c, at(2026, 3, 4, 8, 0)), at(2026, 3, 6, 8, 0));
+    assert.deepEqual(nextRun(c, at(2026, 3, 6, 9, 0)), at(2026, 3, 9, 8, 0));
+    assert.deepEqual(previousRun(c, at(2026, 3, 4, 7, 0)), at(2026, 3, 2, 8, 0));
+    assert.deepEqual(nextRun(parseCron("0 0 * * 7"), at(2026, 3, 4)), at(2026, 3, 8));
+  });
+
+  test("day of month and weekday both set: either one matches", () => {
+    const c = parseCron("0 0 13 * 5");
+    assert.deepEqual(nextRun(c, at(2026, 3, 4)), at(2026, 3, 6));
+    assert.deepEqual(nextRun(c, at(2026, 3, 12)), at(2026, 3, 13));
+  });
+
+  test("impossible dates never run; Feb 29 waits for a leap year", () => {
+    assert.equal(nextRun(parseCron("0 0 30 2 *"), at(2026, 1, 1)), null);
+    assert.equal(previousRun(parseCron("0 0 31 4 *"), at(2026, 1, 1)), null);
+    assert.deepEqual(nextRun(parseCron("0 0 29 2 *"), at(2026, 1, 1)), at(2028, 2, 29));
+  });
+
+  test("bad expressions", () => {
+    assert.throws(() => parseCron("0 * * *"), /expected 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /outside 0-59/);
+    assert.throws(() => parseCron("*/0 * * * *"), /outside/);
+    assert.throws(() => parseCron("a * * * *"), /can't read/);
+  });
+});
+
+describe("jobs", () => {
+  test("default jobs load; spells runs daily after the nightly scrapes", () => {
+    const jobs = loadJobs();
+    assert.deepEqual(
+      jobs.map((j) => j.name),
+      DEFAULT_JOBS.map((j) => j.name)
+    );
+    const spells = jobs.at(-1);
+    assert.deepEqual(spells.args, ["spells"]);
+    assert.deepEqual(nextRun(spells.schedule, at(2026, 3, 4, 5, 0)), at(2026, 3, 4, 6, 0));
+  });
+
+  test("the hourly SightMap jobs don't share a lock group with the nightly browser scrapes", () => {
+    const group = Object.fromEntries(loadJobs().map((j) => [j.name, j.group]));
+    assert.equal(group.sightmap, group.sofi);
+    assert.equal(group.rentcafe, group.realpage);
+    assert.equal(group.rentcafe, group.spells);
+    assert.notEqual(group.sightmap, group.rentcafe);
+  });
+
+  test("a job without a group is its own group", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "unit-tracker-jobs-"));
+    try {
+      const config = path.join(dir, "jobs.json");
+      fs.writeFileSync(config, JSON.stringify({ jobs: [{ name: "nightly spells", cron: "0 6 * * *", args: ["spells"] }] }));
+      const [job] = loadJobs(config);
+      assert.equal(job.group, "nightly spells");
+      assert.equal(lockFileFor(dir, job.group), path.join(dir, "nightly_spells.lock"));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("catch-up: one run for the latest missed slot, then nothing until the next one", () => {
+    const [job] = loadJobs().filter((j) => j.name === "realpage"); // 0 4 * * *
+    const down = at(2026, 3, 1, 4, 0).toISOString(); // last ran three days ago
+
+    const slot = dueSlot(job, down, at(2026, 3, 4, 10, 0));
+    assert.deepEqual(slot, at(2026, 3, 4, 4, 0));
+    assert.equal(dueSlot(job, slot.toISOString(), at(2026, 3, 4, 10, 0)), null);
+    assert.equal(dueSlot(job, slot.toISOString(), at(2026, 3, 5, 3, 59)), null);
+    assert.deepEqual(dueSlot(job, slot.toISOString(), at(2026, 3, 5, 4, 0)), at(2026, 3, 5, 4, 0));
+    assert.deepEqual(dueSlot(job, null, at(2026, 3, 4, 10, 0)), at(2026, 3, 4, 4, 0));
+  });
+});
+
+describe("lockfile", () => {
+  let dir;
+  let lock;
+  // A pid that has exited
+  const deadPid = () => spawnSync(process.execPath, ["-e", ""]).pid;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "unit-tracker-lock-"));
+    lock = lockFileFor(dir, "nightly");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("acquire, refuse while held, release", () => {
+    assert.equal(acquireLock(lock, { job: "a" }), true);
+    assert.equal(JSON.parse(fs.readFileSync(lock, "utf8")).pid, process.pid);
+    assert.equal(acquireLock(lock, { job: "b" }), false);
+    releaseLock(lock);
+    assert.equal(fs.existsSync(lock), false);
+  });
+
+  test("a lock left by a dead process is taken over", () => {
+    fs.writeFileSync(lock, JSON.stringify({ pid: deadPid(), job: "old" }));
+    assert.equal(acquireLock(lock, { job: "new" }), true);
+    assert.equal(JSON.parse(fs.readFileSync(lock, "utf8")).job, "new");
+    releaseLock(lock);
+  });
+
+  test("a still-running child keeps the lock after its scheduler died", () => {
+    fs.writeFileSync(lock, JSON.stringify({ pid: deadPid(), child_pid: process.pid }));
+    assert.equal(acquireLock(lock, { job: "new" }), false);
+    releaseLock(lock);
+  });
+
+  test("groups lock independently", () => {
+    const other = lockFileFor(dir, "sightmap");
+    assert.equal(acquireLock(lock, { job: "rentcafe" }), true);
+    assert.equal(acquireLock(other, { job: "sightmap" }), true);
+    assert.equal(acquireLock(lockFileFor(dir, "nightly"), { job: "spells" }), false);
+    releaseLock(other);
+    releaseLock(lock);
+  });
+
+  test("a half-written lock counts as stale", () => {
+    fs.writeFileSync(lock, '{"pid": ');
+    assert.equal(acquireLock(lock, { job: "new" }), true);
+    releaseLock(lock);
+  });
+});
@@ -0,0 +1,90 @@
+// test/sightmap_discovery.test.js
+// SightMap discovery against saved pages. The website/embed fixtures are hand-written in the
+// shapes seen on property sites (iframe embed, inline API call, share link).
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { candidateSubpages, discoverSightmap, findSightmapRefs, resolveEmbedPage } from "../lib/sightmap_discovery.js";
+import { readFixture } from "./fixture_helpers.js";
+
+const SITE = "https://example-residences.invalid/";
+
+describe("findSightmapRefs", () => {
+  test("protocol-relative iframe embed", () => {
+    assert.deepEqual(findSightmapRefs(readFixture("sightmap/website_floorplans.html")), {
+      direct: [],
+      embeds: ["https://sightmap.com/embed/rkwnoxlevd2?enable_api=1&origin=https%3A%2F%2Fexample-residences.invalid"],
+    });
+  });
+
+  test("escaped API URL in a script + share link", () => {
+    assert.deepEqual(findSightmapRefs(readFixture("sightmap/website_api_script.html")), {
+      direct: [{ asset: "8epml7q1v6d", landingPageId: "412" }],
+      embeds: ["https://sightmap.com/share/8epml7q1v6d"],
+    });
+  });
+
+  test("no SightMap on the page", () => {
+    assert.deepEqual(findSightmapRefs(readFixture("sightmap/website_home.html")), { direct: [], embeds: [] });
+  });
+});
+
+test("resolveEmbedPage reads the landing page id from the embed config", () => {
+  const url = "https://sightmap.com/embed/rkwnoxlevd2?enable_api=1";
+  assert.deepEqual(resolveEmbedPage(readFixture("sightmap/embed_page.html"), url), [
+    { asset: "rkwnoxlevd2", landingPageId: "26161" },
+  ]);
+});
+
+test("candidateSubpages keeps same-site floor plan links only", () => {
+  assert.deepEqual(candidateSubpages(readFixture("sightmap/website_home.html"), SITE), [`${SITE}floorplans/`]);
+});
+
+describe("discoverSightmap", () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  // Serves the fixtures by URL instead of the network
+  function serve(routes) {
+    const hits = [];
+    globalThis.fetch = async (url) => {
+      const key = String(url).split("?")[0];
+      hits.push(key);
+      const body = routes[key];
+      if (body == null) return new Response("not found", { status: 404, statusText: "Not Found" });
+      return new Response(typeof body === "string" ? body : JSON.stringify(body), { status: 200 });
+    };
+    return hits;
+  }
+
+  test("home page -> floor plans page -> embed -> verified landing page", async () => {
+    const hits = serve({
+      [SITE]: readFixture("sightmap/website_home.html"),
+      [`${SITE}floorplans/`]: readFixture("sightmap/website_floorplans.html"),
+      "https://sightmap.com/embed/rkwnoxlevd2": readFixture("sightmap/embed_page.html"),
+      "https://sightmap.com/app/api/v1/rkwnoxlevd2/landing-pages/26161": { data: { units: [{ id: 1 }, { id: 2 }] } },
+    });
+
+    const found = await discoverSightmap(SITE);
+    assert.deepEqual(found, {
+      asset: "rkwnoxlevd2",
+      landingPageId: "26161",
+      embedUrl: "https://sightmap.com/embed/rkwnoxlevd2?enable_api=1&origin=https%3A%2F%2Fexample-residences.invalid",
+      foundOn: `${SITE}floorplans/`,
+      units: 2,
+    });
+    assert.ok(!hits.includes(`${SITE}amenities/`));
+  });
+
+  test("null when the site has no SightMap", async () => {
+    serve({ [SITE]: "<html><body>No map here</body></html>" });
+    assert.equal(await discoverSightmap(SITE), null);
+  });
+
+  test("website errors are thrown", async () => {
+    serve({});
+    await assert.rejects(discoverSightmap(SITE), /HTTP 404/);
+  });
+});
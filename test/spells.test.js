@@ -0,0 +1,107 @@
+// test/spells.test.js
+// Listing spells (days on market) from a property's snapshots.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSpells, summarizeDays } from "../lib/spells.js";
+import { buildUnitEvents, normalizeSnapshotUnits } from "../lib/units.js";
+
+// [date, ...unit numbers listed that day]
+const snaps = (...days) =>
+  days.map(([snapshot_date, ...units]) => ({ snapshot_date, units_json: units.map((n) => ({ unit_number: n })) }));
+
+const brief = (spells) => spells.map((s) => [s.unit_number, s.start_date, s.end_date, s.days_on_market, s.is_open]);
+
+describe("buildSpells", () => {
+  test("one missed scrape doesn't split a spell (default: gone after 2 snapshots)", () => {
+    const spells = buildSpells(
+      snaps(["2026-03-01", "101", "102"], ["2026-03-02", "102"], ["2026-03-03", "101", "102"], ["2026-03-04", "101"])
+    );
+    assert.deepEqual(brief(spells), [
+      ["101", "2026-03-01", null, 3, true],
+      ["102", "2026-03-01", null, 3, true],
+    ]);
+    assert.equal(spells[0].last_seen_date, "2026-03-04");
+    assert.equal(spells[1].last_seen_date, "2026-03-03");
+  });
+
+  test("a confirmed gap closes the spell at its first missing snapshot", () => {
+    const spells = buildSpells(
+      snaps(["2026-03-01", "101"], ["2026-03-02"], ["2026-03-03"], ["2026-03-10", "101"], ["2026-03-12", "101"])
+    );
+    assert.deepEqual(brief(spells), [
+      ["101", "2026-03-01", "2026-03-02", 1, false],
+      ["101", "2026-03-10", null, 2, true],
+    ]);
+  });
+
+  test("goneAfterSnapshots: 1 closes on the first miss", () => {
+    const spells = buildSpells(snaps(["2026-03-01", "101"], ["2026-03-02"], ["2026-03-03", "101"]), {
+      confirm: { goneAfterSnapshots: 1, newAfterDays: 0 },
+    });
+    assert.deepEqual(brief(spells), [
+      ["101", "2026-03-01", "2026-03-02", 1, false],
+      ["101", "2026-03-03", null, 0, true],
+    ]);
+  });
+
+  test("back within newAfterDays after a confirmed gap: the same spell, reopened", () => {
+    const spells = buildSpells(
+      snaps(["2026-03-01", "101"], ["2026-03-02"], ["2026-03-03"], ["2026-03-06", "101"], ["2026-03-08"], ["2026-03-09"])
+    );
+    assert.deepEqual(brief(spells), [["101", "2026-03-01", "2026-03-08", 7, false]]);
+    assert.equal(spells[0].last_seen_date, "2026-03-06");
+  });
+
+  test("agrees with the events: a new spell exactly when the return is 'appeared'", () => {
+    const days = snaps(
+      ["2026-03-01", "101", "102"],
+      ["2026-03-02", "102"],
+      ["2026-03-03", "102"],
+      ["2026-03-05", "101"], // 101 back after 4 days: reappeared
+      ["2026-03-06", "101"],
+      ["2026-03-07", "101"],
+      ["2026-03-20", "101", "102"] // 102 back after 17 days: appeared
+    );
+
+    const returns = [];
+    days.forEach((day, i) => {
+      const history = days
+        .slice(0, i)
+        .reverse()
+        .map((s) => ({ snapshot_date: s.snapshot_date, units: normalizeSnapshotUnits(s.units_json) }));
+      const { appeared, reappeared } = buildUnitEvents({
+        propertyId: "p1",
+        eventDate: day.snapshot_date,
+        source: "snapshot",
+        history,
+        currUnits: normalizeSnapshotUnits(day.units_json),
+      });
+      for (const k of appeared) returns.push(`${day.snapshot_date} ${k} appeared`);
+      for (const r of reappeared) returns.push(`${day.snapshot_date} ${r.unit_key} reappeared`);
+    });
+    assert.deepEqual(returns, [
+      "2026-03-01 unit:101 appeared",
+      "2026-03-01 unit:102 appeared",
+      "2026-03-05 unit:101 reappeared",
+      "2026-03-20 unit:102 appeared",
+    ]);
+
+    assert.deepEqual(
+      buildSpells(days).map((s) => `${s.start_date} ${s.unit_key}`),
+      ["2026-03-01 unit:101", "2026-03-01 unit:102", "2026-03-20 unit:102"]
+    );
+  });
+
+  test("a gap still being confirmed at the end stays open", () => {
+    const spells = buildSpells(snaps(["2026-03-01", "101"], ["2026-03-05"]), { confirm: { goneAfterSnapshots: 3 } });
+    assert.deepEqual(brief(spells), [["101", "2026-03-01", null, 4, true]]);
+    assert.equal(spells[0].last_seen_date, "2026-03-01");
+  });
+});
+
+test("summarizeDays", () => {
+  assert.deepEqual(summarizeDays([]), { count: 0, median: null, average: null });
+  assert.deepEqual(summarizeDays([10, 2, 4, NaN]), { count: 3, median: 4, average: 5.3 });
+  assert.deepEqual(summarizeDays([1, 2, 3, 4]), { count: 4, median: 2.5, average: 2.5 });
+});
@@ -0,0 +1,137 @@
+// test/throttle.test.js
+// Per-host rate limit behind scrape --host-delay-ms, on a fake clock (node:test mock timers).
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHostThrottle, throttledBrowser } from "../lib/throttle.js";
+
+// setImmediate isn't mocked: lets resolved promises settle
+const settle = () => new Promise((r) => setImmediate(r));
+
+// Starts fn() and records the fake time it resolves at
+function started(fn, log, label) {
+  return fn().then(() => log.push([label, Date.now()]));
+}
+
+describe("createHostThrottle", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 }));
+  afterEach(() => mock.timers.reset());
+
+  test("requests to one host start minIntervalMs apart", async () => {
+    const throttle = createHostThrottle({ minIntervalMs: 1000 });
+    const log = [];
+    const url = "https://www.securecafe.com/onlineleasing/a/floorplans";
+    started(() => throttle(url), log, "1");
+    started(() => throttle(url), log, "2");
+    started(() => throttle(`${url}?b`), log, "3");
+
+    await settle();
+    assert.deepEqual(log, [["1", 0]]);
+    mock.timers.tick(999);
+    await settle();
+    assert.equal(log.length, 1);
+    mock.timers.tick(1);
+    await settle();
+    mock.timers.tick(1000);
+    await settle();
+    assert.deepEqual(log, [
+      ["1", 0],
+      ["2", 1000],
+      ["3", 2000],
+    ]);
+  });
+
+  test("other hosts aren't held up", async () => {
+    const throttle = createHostThrottle({ minIntervalMs: 1000 });
+    const log = [];
+    started(() => throttle("https://a.example.invalid/1"), log, "a1");
+    started(() => throttle("https://a.example.invalid/2"), log, "a2");
+    started(() => throttle("https://b.example.invalid/1"), log, "b1");
+
+    await settle();
+    assert.deepEqual(log, [
+      ["a1", 0],
+      ["b1", 0],
+    ]);
+  });
+
+  test("a request after the interval has passed doesn't wait", async () => {
+    const throttle = createHostThrottle({ minIntervalMs: 1000 });
+    await throttle("https://a.example.invalid/1");
+    mock.timers.tick(5000);
+    const log = [];
+    started(() => throttle("https://a.example.invalid/2"), log, "a2");
+    await settle();
+    assert.deepEqual(log, [["a2", 5000]]);
+  });
+
+  test("off at 0, and unparseable URLs pass through", async () => {
+    const log = [];
+    const off = createHostThrottle({ minIntervalMs: 0 });
+    started(() => off("https://a.example.invalid/1"), log, "off1");
+    started(() => off("https://a.example.invalid/2"), log, "off2");
+
+    const on = createHostThrottle({ minIntervalMs: 1000 });
+    started(() => on("about:blank"), log, "blank1");
+    started(() => on("not a url"), log, "bad");
+
+    await settle();
+    assert.deepEqual(
+      log.map(([label, t]) => `${label}@${t}`),
+      ["off1@0", "off2@0", "blank1@0", "bad@0"]
+    );
+  });
+});
+
+describe("throttledBrowser", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 }));
+  afterEach(() => mock.timers.reset());
+
+  // Browser stand-in whose contexts keep their route handler
+  function fakeBrowser() {
+    const handlers = [];
+    return {
+      handlers,
+      isConnected: () => true,
+      async newContext() {
+        return {
+          async route(pattern, handler) {
+            handlers.push(handler);
+          },
+        };
+      },
+    };
+  }
+
+  const request = (handler, url, resourceType, log, label) => {
+    const route = {
+      request: () => ({ url: () => url, resourceType: () => resourceType }),
+      fallback: async () => log.push([label, Date.now()]),
+    };
+    return handler(route);
+  };
+
+  test("only page navigations (documents) are spaced out", async () => {
+    const browser = fakeBrowser();
+    const wrapped = throttledBrowser(browser, createHostThrottle({ minIntervalMs: 2000 }));
+    assert.equal(wrapped.isConnected(), true);
+
+    await wrapped.newContext();
+    await wrapped.newContext();
+    const [one, two] = browser.handlers;
+
+    const log = [];
+    request(one, "https://www.example.invalid/a", "document", log, "doc1");
+    request(two, "https://www.example.invalid/b", "document", log, "doc2");
+    request(two, "https://www.example.invalid/app.js", "script", log, "script");
+    request(one, "https://www.example.invalid/api/units", "xhr", log, "xhr");
+    request(two, "https://other.example.invalid/", "document", log, "other");
+
+    await settle();
+    assert.deepEqual(log.map(([label, t]) => `${label}@${t}`).sort(), ["doc1@0", "other@0", "script@0", "xhr@0"]);
+
+    mock.timers.tick(2000);
+    await settle();
+    assert.deepEqual(log.at(-1), ["doc2", 2000]);
+  });
+});
@@ -0,0 +1,72 @@
+// test/unit_schema.test.js
+// Canonical units_json rows: which rows get quarantined, and the reason each one gives.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { UNIT_SCHEMA_VERSION, canonicalizeUnits, toCanonicalUnit, validateCanonicalUnit } from "../lib/unit_schema.js";
+
+const OPTS = { platform: "sightmap", snapshotDate: "2026-03-04" };
+
+// A valid canonical row with some fields swapped out
+const unit = (extra = {}) => ({ ...toCanonicalUnit({ unit_number: "101", price: "$2,100" }, OPTS), ...extra });
+
+describe("validateCanonicalUnit", () => {
+  test("a good row has no problems", () => {
+    assert.deepEqual(validateCanonicalUnit(unit()), []);
+  });
+
+  test("missing unit number / key", () => {
+    assert.deepEqual(validateCanonicalUnit(unit({ unit_number: null, unit_key: null })), [
+      "unit_number missing",
+      "unit_key missing",
+    ]);
+    assert.deepEqual(validateCanonicalUnit(unit({ unit_key: null })), ["unit_key missing"]);
+    assert.deepEqual(validateCanonicalUnit(unit({ unit_key: "unit:102" })), ["unit_key does not match unit_number"]);
+  });
+
+  test("negative or non-numeric prices", () => {
+    assert.deepEqual(validateCanonicalUnit(unit({ price_min: -2100, price_max: 2100 })), ["price_min -2100 outside 100..50000"]);
+    assert.deepEqual(validateCanonicalUnit(unit({ price_min: "2100", price_max: 2100 })), ["price_min is not a number"]);
+    assert.deepEqual(validateCanonicalUnit(unit({ price_min: 2100, price_max: NaN })), ["price_max is not a number"]);
+  });
+
+  test("min above max", () => {
+    assert.deepEqual(validateCanonicalUnit(unit({ price_min: 2450, price_max: 2100 })), ["price_min 2450 > price_max 2100"]);
+  });
+
+  test("another schema version", () => {
+    assert.deepEqual(validateCanonicalUnit(unit({ schema_version: UNIT_SCHEMA_VERSION - 1 })), [
+      `schema_version ${UNIT_SCHEMA_VERSION - 1} is not ${UNIT_SCHEMA_VERSION}`,
+    ]);
+    assert.deepEqual(validateCanonicalUnit(unit({ schema_version: undefined })), [
+      `schema_version undefined is not ${UNIT_SCHEMA_VERSION}`,
+    ]);
+  });
+});
+
+test("canonicalizeUnits quarantines bad rows with their reasons and keeps the rest", () => {
+  const { units, quarantined } = canonicalizeUnits(
+    [
+      { unit_number: "101", price: "$2,100 - $2,450" },
+      { unit_number: "  ", price: "$2,100" },
+      { unit_number: "102", price: -2100 },
+      { unit_number: "103", price_min: 2450, price_max: 2100 },
+      { unit_number: "104", price: "$2,100", sqft: "21002450" },
+    ],
+    OPTS
+  );
+
+  assert.deepEqual(
+    units.map((u) => [u.unit_key, u.price_min, u.price_max]),
+    [["unit:101", 2100, 2450]]
+  );
+  assert.deepEqual(
+    quarantined.map((q) => [q.unit.unit_number, q.errors]),
+    [
+      [null, ["unit_number missing", "unit_key missing"]],
+      ["102", ["price_min -2100 outside 100..50000", "price_max -2100 outside 100..50000"]],
+      ["103", ["price_min 2450 > price_max 2100"]],
+      ["104", ["sqft 21002450 outside 100..20000"]],
+    ]
+  );
+});
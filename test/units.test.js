@@ -0,0 +1,177 @@
+// test/units.test.js
+// Snapshot diffing: appear/disappear debounce and change events between two days.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildUnitEvents, unitAvailability } from "../lib/units.js";
+import { withAvailability } from "../lib/unit_schema.js";
+
+const NO_DEBOUNCE = { goneAfterSnapshots: 1, newAfterDays: 0 };
+
+// Same unit on two days, as the runner would canonicalize it
+const day = (date, available_on, extra = {}) =>
+  withAvailability({ unit_key: "unit:101", unit_number: "101", price_min: 2000, available_on, ...extra }, date);
+
+function changes(prevDate, prev, currDate, curr) {
+  const { events } = buildUnitEvents({
+    propertyId: "p1",
+    eventDate: currDate,
+    source: "snapshot",
+    history: [{ snapshot_date: prevDate, units: [prev] }],
+    currUnits: [curr],
+    confirm: NO_DEBOUNCE,
+  });
+  return events.map((e) => `${e.event_type} ${e.old_value} -> ${e.new_value}`);
+}
+
+describe("available_on_changed", () => {
+  test("the listed date arriving is not a change", () => {
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", "Mar 5"), "2026-03-05", day("2026-03-05", "Mar 5")), []);
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", "Mar 5"), "2026-03-06", day("2026-03-06", "Available Now")), []);
+  });
+
+  test("Available Now two days running is not a change", () => {
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", "Available Now"), "2026-03-05", day("2026-03-05", "Available Now")), []);
+  });
+
+  test("a moved date is", () => {
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", "Mar 10"), "2026-03-05", day("2026-03-05", "Mar 20")), [
+      "available_on_changed 2026-03-10 -> 2026-03-20",
+    ]);
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", "Mar 10"), "2026-03-05", day("2026-03-05", "Available Now")), [
+      "available_on_changed 2026-03-10 -> now",
+    ]);
+  });
+
+  test("price changes still show up", () => {
+    assert.deepEqual(
+      changes("2026-03-04", day("2026-03-04", "Mar 5"), "2026-03-05", day("2026-03-05", "Mar 5", { price_min: 1950 })),
+      ["price_decreased 2000 -> 1950"]
+    );
+  });
+});
+
+describe("price changes", () => {
+  test("up and down, with the old and new price", () => {
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", null), "2026-03-05", day("2026-03-05", null, { price_min: 2100 })), [
+      "price_increased 2000 -> 2100",
+    ]);
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", null), "2026-03-05", day("2026-03-05", null, { price_min: 1950 })), [
+      "price_decreased 2000 -> 1950",
+    ]);
+  });
+
+  test("the event row", () => {
+    const { events } = buildUnitEvents({
+      propertyId: "p1",
+      eventDate: "2026-03-05",
+      source: "snapshot",
+      history: [{ snapshot_date: "2026-03-04", units: [day("2026-03-04", null)] }],
+      currUnits: [day("2026-03-05", null, { price_min: 2100 })],
+      confirm: NO_DEBOUNCE,
+    });
+    assert.deepEqual(events, [
+      {
+        property_id: "p1",
+        event_date: "2026-03-05",
+        unit_key: "unit:101",
+        unit_number: "101",
+        event_type: "price_increased",
+        source: "snapshot",
+        old_value: "2000",
+        new_value: "2100",
+      },
+    ]);
+  });
+
+  test("no price on either side is not a change", () => {
+    const gone = { price_min: null };
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", null), "2026-03-05", day("2026-03-05", null, gone)), []);
+    assert.deepEqual(changes("2026-03-04", day("2026-03-04", null, gone), "2026-03-05", day("2026-03-05", null)), []);
+  });
+
+  test("pre-v3 rows: the legacy price counts, a mangled range doesn't", () => {
+    const legacy = (price) => ({ unit_key: "unit:101", unit_number: "101", price });
+    assert.deepEqual(changes("2026-03-04", legacy(2050), "2026-03-05", day("2026-03-05", null)), ["price_decreased 2050 -> 2000"]);
+    assert.deepEqual(changes("2026-03-04", legacy(21002450), "2026-03-05", day("2026-03-05", null)), []);
+  });
+
+  test("price and date moving on the same day are two events", () => {
+    assert.deepEqual(
+      changes("2026-03-04", day("2026-03-04", "Mar 10"), "2026-03-05", day("2026-03-05", "Mar 20", { price_min: 2100 })),
+      ["price_increased 2000 -> 2100", "available_on_changed 2026-03-10 -> 2026-03-20"]
+    );
+  });
+
+  test("a unit that wasn't listed the day before has no change events", () => {
+    const { changed } = buildUnitEvents({
+      propertyId: "p1",
+      eventDate: "2026-03-05",
+      source: "snapshot",
+      history: [{ snapshot_date: "2026-03-04", units: [] }],
+      currUnits: [day("2026-03-05", "Mar 20", { price_min: 2100 })],
+      confirm: NO_DEBOUNCE,
+    });
+    assert.deepEqual(changed, []);
+  });
+});
+
+test("unitAvailability", () => {
+  assert.equal(unitAvailability({ available_on_date: "2026-03-05" }), "2026-03-05");
+  assert.equal(unitAvailability({ available_on_date: "2026-03-05" }, "2026-03-05"), "now");
+  assert.equal(unitAvailability({ available_on_date: "2026-03-05" }, "2026-03-04"), "2026-03-05");
+  assert.equal(unitAvailability({ available_on: "Call for details" }, "2026-03-04"), "Call for details");
+  assert.equal(unitAvailability({}), null);
+});
+
+describe("appear/disappear debounce (gone after 2 snapshots, new after 7 days)", () => {
+  const CONFIRM = { goneAfterSnapshots: 2, newAfterDays: 7 };
+  const listing = (date, ...numbers) => ({
+    snapshot_date: date,
+    units: numbers.map((n) => ({ unit_key: `unit:${n}`, unit_number: n })),
+  });
+
+  // history newest first, like the runner passes it
+  function eventsOn(today, ...history) {
+    const { events } = buildUnitEvents({
+      propertyId: "p1",
+      eventDate: today.snapshot_date,
+      source: "snapshot",
+      history,
+      currUnits: today.units,
+      confirm: CONFIRM,
+    });
+    return events.map((e) => `${e.event_type} ${e.unit_number}${e.old_value ? ` ${e.old_value}` : ""}`);
+  }
+
+  test("one missing snapshot is not disappeared yet", () => {
+    assert.deepEqual(eventsOn(listing("2026-03-05", "101"), listing("2026-03-04", "101", "102")), []);
+  });
+
+  test("disappeared after goneAfterSnapshots missing snapshots, once", () => {
+    const history = [listing("2026-03-05", "101"), listing("2026-03-04", "101", "102")];
+    assert.deepEqual(eventsOn(listing("2026-03-06", "101"), ...history), ["disappeared 102"]);
+    assert.deepEqual(eventsOn(listing("2026-03-07", "101"), listing("2026-03-06", "101"), ...history), []);
+  });
+
+  test("back before it was confirmed gone: reappeared", () => {
+    assert.deepEqual(
+      eventsOn(listing("2026-03-06", "101", "102"), listing("2026-03-05", "101"), listing("2026-03-04", "101", "102")),
+      ["reappeared 102 2026-03-04"]
+    );
+  });
+
+  test("back within newAfterDays after it was confirmed gone: reappeared, not appeared", () => {
+    const history = [listing("2026-03-09", "101"), listing("2026-03-06", "101"), listing("2026-03-04", "101", "102")];
+    assert.deepEqual(eventsOn(listing("2026-03-11", "101", "102"), ...history), ["reappeared 102 2026-03-04"]);
+  });
+
+  test("back after the window: appeared", () => {
+    const history = [listing("2026-03-10", "101"), listing("2026-03-06", "101"), listing("2026-03-03", "101", "102")];
+    assert.deepEqual(eventsOn(listing("2026-03-11", "101", "102"), ...history), ["appeared 102"]);
+  });
+
+  test("never seen before: appeared", () => {
+    assert.deepEqual(eventsOn(listing("2026-03-05", "101", "103"), listing("2026-03-04", "101")), ["appeared 103"]);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Batch geocode properties.address/city/zip into properties.lat/lng.
+ *
+ * ✅ Uses Supabase service role key (server-side).
+ * ✅ Pluggable providers (lib/geocoders.js), tried in order: --geocoder=nominatim,zip
+ * ✅ Rate limited per provider (public Nominatim: >= 1 request/sec).
+ * ✅ Writes geocode metadata into DB for auditability.
+ * ✅ Skips rows that already have lat/lng unless --force; never touches rows an admin fixed
+ *    in the Geocode Review screen (geocode_confidence = "manual").
+ *
+ * Usage:
+ *   node tools/geocode_properties.js --limit=50
+ *   node tools/geocode_properties.js --only-missing
+ *   node tools/geocode_properties.js --force
+ *   node tools/geocode_properties.js --rep=<rep_id>
+ *   node tools/geocode_properties.js --geocoder=url --geocoder-url=http://localhost:8080/search
+ *   node tools/geocode_properties.js --geocoder=nominatim,zip --zip-table=2020_Gaz_zcta_national.txt
+ *   node tools/geocode_properties.js --geocoder=zip --zip-table=zips.csv --dry-run
+ *
+ * Providers:
+ *   nominatim  public OpenStreetMap Nominatim. Needs GEOCODER_CONTACT (or --contact=) set to an
+ *              email/URL: the usage policy requires an identifying User-Agent.
+ *   url        self-hosted Nominatim / Photon / Pelias search URL (--geocoder-url or GEOCODER_URL)
+ *   zip        offline zip centroids (--zip-table or GEOCODER_ZIP_TABLE): Census ZCTA gazetteer
+ *              (https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html)
+ *              or a zip,lat,lng CSV. Always "low" confidence, so those rows show up for review.
+ *
+ * Notes:
+ * - Rows that come back none/error/low are listed in Properties -> Geocode Review, where an
+ *   admin can drag the pin or type coordinates.
+ * - For best results, include full street address + city + zip.
+ */
+
+import "dotenv/config";
+import { createClient } from "@supabase/supabase-js";
+import pLimit from "p-limit";
+import { createGeocoders, geocodeProperty } from "../lib/geocoders.js";
+
+// ----- CLI args -----
+const args = process.argv.slice(2);
+const getArg = (name, def = null) => {
+  const hit = args.find((a) => a.startsWith(`--${name}=`));
+  if (!hit) return def;
+  return hit.split("=").slice(1).join("=");
+};
+
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const LIMIT = Number(getArg("limit", "500")); // how many rows to process max
+const ONLY_MISSING = hasFlag("only-missing"); // only rows with no lat/lng
+const FORCE = hasFlag("force"); // overwrite existing lat/lng
+const DRY_RUN = hasFlag("dry-run"); // geocode + print, write nothing
+const REP_ID = getArg("rep", null); // only properties for a rep_id
+const RATE_MS = getArg("rate_ms", null); // delay between calls (default per provider)
+const GEOCODER = getArg("geocoder", process.env.GEOCODER || "nominatim");
+
+let geocoders;
+try {
+  geocoders = createGeocoders(GEOCODER, {
+    contact: getArg("contact", process.env.GEOCODER_CONTACT || null),
+    url: getArg("geocoder-url", process.env.GEOCODER_URL || null),
+    zipTable: getArg("zip-table", process.env.GEOCODER_ZIP_TABLE || null),
+    rateMs: RATE_MS == null ? null : Number(RATE_MS),
+  });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in environment.");
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false },
+});
+
+// Concurrency: Keep 1 to respect rate limits. We still use p-limit for clarity.
+const limit = pLimit(1);
+
+async function sleep(ms) {
+  await new Promise((r) => setTimeout(r, ms));
+}
+
+async function fetchPropertiesToGeocode() {
+  // We’ll pull in chunks if needed, but for now grab up to LIMIT.
+  let q = supabase
+    .from("properties")
+    .select("id, name, address, city, zip, rep_id, lat, lng, geocode_confidence")
+    .order("created_at", { ascending: false })
+    .limit(LIMIT);
+
+  if (REP_ID) q = q.eq("rep_id", REP_ID);
+
+  // ONLY_MISSING affects client-side filter since null vs 0 and string values vary;
+  // We'll filter in JS for safety.
+  const { data, error } = await q;
+  if (error) throw error;
+
+  let rows = (data || []).filter((p) => p.geocode_confidence !== "manual");
+  if (ONLY_MISSING) {
+    rows = rows.filter((p) => p.lat == null || p.lng == null);
+  }
+  if (!FORCE) {
+    rows = rows.filter((p) => p.lat == null || p.lng == null);
+  }
+  return rows;
+}
+
+async function updateProperty(id, patch) {
+  if (DRY_RUN) return;
+  const { error } = await supabase.from("properties").update(patch).eq("id", id);
+  if (error) throw error;
+}
+
+async function run() {
+  console.log("----- Unit Tracker Geocoder -----");
+  console.log("GEOCODER:", geocoders.map((g) => g.name).join(" -> "));
+  console.log("LIMIT:", LIMIT);
+  console.log("ONLY_MISSING:", ONLY_MISSING);
+  console.log("FORCE:", FORCE);
+  console.log("DRY_RUN:", DRY_RUN);
+  console.log("REP_ID:", REP_ID || "(all)");
+  console.log("RATE_MS:", geocoders.map((g) => `${g.name}=${g.rateMs}`).join(" "));
+
+  const props = await fetchPropertiesToGeocode();
+  console.log(`Found ${props.length} properties to geocode.`);
+
+  if (props.length === 0) {
+    console.log("Nothing to do.");
+    return;
+  }
+
+  let ok = 0;
+  let fail = 0;
+  let skipped = 0;
+  const review = [];
+
+  for (const p of props) {
+    await limit(async () => {
+      if (!p.address && !p.name && !p.city && !p.zip) {
+        skipped++;
+        console.log(`SKIP ${p.id}: no address/city/zip/name`);
+        return;
+      }
+
+      // be polite: geocodeProperty sleeps rateMs before each network provider
+      const { patch, errors } = await geocodeProperty(geocoders, p, { sleep });
+      for (const e of errors) console.log(`ERR  ${p.name || p.id}: ${e.provider}: ${e.message}`);
+
+      try {
+        await updateProperty(p.id, { ...patch, geocoded_at: new Date().toISOString() });
+      } catch (e) {
+        console.log(`ERR  ${p.name || p.id}: update failed: ${e.message}`);
+      }
+
+      if (patch.lat == null) {
+        fail++;
+        review.push(p);
+        console.log(`FAIL ${p.name || p.id}: ${patch.geocode_confidence} for "${patch.geocode_query}"`);
+        return;
+      }
+
+      ok++;
+      if (patch.geocode_confidence === "low") review.push(p);
+      console.log(
+        `OK   ${p.name || p.id}: (${patch.lat.toFixed(6)}, ${patch.lng.toFixed(6)}) [${patch.geocode_source} ${patch.geocode_confidence}]`
+      );
+    });
+  }
+
+  console.log("----- DONE -----");
+  console.log("OK:", ok);
+  console.log("FAIL:", fail);
+  console.log("SKIPPED:", skipped);
+  if (DRY_RUN) console.log("(dry run: nothing written)");
+  if (review.length) console.log(`Review: ${review.length} low-confidence/failed rows are in Properties -> Geocode Review.`);
+  console.log("Tip: In Map tab, anything missing coords will show in the Missing list.");
+}
+
+run().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
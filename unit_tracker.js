@@ -0,0 +1,947 @@
+#!/usr/bin/env node
+// unit_tracker.js
+// Unified scraper CLI: reads the properties table, picks the runner from properties.platform
+// and runs snapshot -> diff -> unit_events for every selected property in ONE process.
+// Replaces the .env.<platform>.<property> files + run_*_all.ps1 loops.
+//
+// Usage:
+//   node unit_tracker.js scrape --all
+//   node unit_tracker.js scrape --property <property_id>
+//   node unit_tracker.js scrape --platform sightmap
+//   node unit_tracker.js spells [--property <property_id>] [--gone-after=K]   rebuild unit_spells (days on market)
+//   node unit_tracker.js backfill-events --from=YYYY-MM-DD [--to=YYYY-MM-DD] --all | --property <id> | --platform <platform>
+//                       [--source=snapshot] [--gone-after=K] [--new-after-days=M] [--dry-run] [--report=FILE]
+//                       re-diff every confirmed snapshot in the range (current normalization + debounce rules)
+//                       and rewrite unit_events for the days that come out different; --dry-run prints the diff
+//   node unit_tracker.js discover-sightmap --property <property_id> | --all [--force] [--dry-run]
+//                       find the SightMap embed on properties.url and store sightmap_asset/_landing_page_id
+//   node unit_tracker.js detect-platform [--property <property_id>] [--limit=N] [--min-confidence=0.3] [--force] [--dry-run]
+//                       guess the platform of rows with platform empty/"unknown" from their url and store it as
+//                       platform_suggestion (+ confidence, evidence) for review in the Properties tab
+//   node unit_tracker.js detect-platform --html=FILE [--url=URL]   rank candidates for a saved page (offline)
+//                       both take --fingerprints=FILE (default lib/platform_fingerprints.json)
+//   node unit_tracker.js import --csv=FILE [--commit] [--lookup-websites] [--report=FILE]
+//                       association CSV (zip,assoc_code,address[,url,platform]) -> properties, deduped by
+//                       normalized address; prints the new/matched/conflict preview, writes only with --commit.
+//                       --lookup-websites fills missing urls of new rows via Google Places (GOOGLE_MAPS_API_KEY)
+//   node unit_tracker.js role --email <email> --role <admin|manager|rep|read_only> [--rep <rep_id>]
+//   node unit_tracker.js schedule [--config=FILE] [--state-dir=DIR]   long-running cron-style scheduler
+//                       (jobs: DEFAULT_JOBS in lib/scheduler.js; per-group locks + catch-up state in DIR, default ./.unit_tracker)
+//
+// Options:
+//   --date=YYYY-MM-DD   snapshot/event date (default: SNAPSHOT_DATE env, else today)
+//   --source=snapshot   unit_events.source (default: EVENT_SOURCE env, else "snapshot")
+//   --limit=N           stop after N properties
+//   --debug             save debug artifacts (sniffed JSON, screenshots) to the current folder
+//   --report=FILE       write the run report (per-property status + quarantined rows) as JSON
+//   --headful           show the browser window
+//   --gone-after=K      unit is "disappeared" after missing K consecutive snapshots (default UNIT_GONE_SNAPSHOTS env, else 2)
+//   --new-after-days=M  a returning unit is "appeared" only if unlisted for more than M days, else "reappeared"
+//                       (default UNIT_NEW_AFTER_DAYS env, else 7)
+//   --allow-partial     skip the partial-scrape guard (write events even if the count/page coverage
+//                       dropped sharply vs recent snapshots; otherwise the run is held back as provisional
+//                       until PARTIAL_GUARD.acceptAfterRuns runs in a row agree on the new count)
+//   --concurrency=N     scrape N properties at once, one browser context each (default SCRAPE_CONCURRENCY env, else 1)
+//   --host-delay-ms=MS  per-host rate limit: page loads / API calls to one host start at least MS apart
+//                       (default SCRAPE_HOST_DELAY_MS env, else 2000; 0 = off)
+//   --record[=DIR]      also save every browser request/response per property to DIR/<property_id>/ (default ./har)
+//   --replay[=DIR]      re-run extraction from archives saved by --record (DIR or DIR/<property_id>, default ./har):
+//                       no network, nothing written to Supabase; --property/--platform narrow it down
+//
+// Per-platform columns read from properties:
+//   rentcafe        rentcafe_urls (comma-separated) or url
+//   sightmap        sightmap_asset + sightmap_landing_page_id, or just url (discovered and saved on first scrape)
+//   realpage        realpage_url or url
+//   entrata         prospectportal_urls (floorplan pages) or prospectportal_url / url (listing)
+//   sofi            nothing required (sightmap_* override the built-in landing page)
+// Rows with skip_scrape = true are skipped.
+//
+// RentCafe env knobs (same names as push_rentcafe_snapshot_to_supabase_v5/v7.js):
+//   RENTCAFE_GOTO_TIMEOUT_MS, RENTCAFE_NAV_RETRIES, RENTCAFE_WAIT_UNTIL, RENTCAFE_SETTLE_MS   page loads
+//   RENTCAFE_BLOCK_IMAGES / _MEDIA / _FONTS=false   let that resource type load (all blocked by default)
+//   RENTCAFE_SNIFF_JSON=true          save inventory-looking JSON responses to the cwd (like --debug)
+//   RENTCAFE_FLOORPLAN_FALLBACK=true  when a property has no unit rows, log the floor plans its pages list
+
+import "dotenv/config";
+import fs from "fs";
+import pLimit from "p-limit";
+import { createAdminClient } from "./lib/supabase_admin.js";
+import { parseArgs } from "./lib/cli_args.js";
+import { todayYYYYMMDD, sleep, safeWriteFile } from "./lib/util.js";
+import { launchBrowser } from "./lib/browser.js";
+import { platformKey, runnerForPlatform, scrapeablePlatformValues } from "./lib/platforms/index.js";
+import { runPropertySnapshot, extractPropertyUnits } from "./lib/run_property.js";
+import { eventConfirmationFromEnv } from "./lib/units.js";
+import { rebuildSpellsForProperty, summarizeDays } from "./lib/spells.js";
+import { backfillPropertyEvents } from "./lib/event_backfill.js";
+import { startScrapeRun, buildRunItem, recordScrapeRunItem, finishScrapeRun } from "./lib/scrape_runs.js";
+import { DEFAULT_HAR_DIR, archiveDirFor, startArchive, listArchives, harBrowser } from "./lib/har.js";
+import { createHostThrottle, throttledBrowser } from "./lib/throttle.js";
+import { DEFAULT_STATE_DIR, loadJobs, runScheduler } from "./lib/scheduler.js";
+import { discoverSightmap, saveSightmapDiscovery } from "./lib/sightmap_discovery.js";
+import { detectPlatform, loadFingerprints, scoreSignals } from "./lib/platform_detect.js";
+import { parseCsv, planImport, importChanges } from "./lib/property_import.js";
+import { findWebsiteForAddress, placesApiKey } from "./lib/places.js";
+
+// Must match the check constraint in supabase/migrations/005_user_roles.sql
+const USER_ROLES = ["admin", "manager", "rep", "read_only"];
+
+function usage() {
+  console.log(
+    [
+      "Usage:",
+      "  node unit_tracker.js scrape --all | --property <id> | --platform <platform>",
+      "    [--date=YYYY-MM-DD] [--source=snapshot] [--limit=N] [--debug] [--headful] [--report=FILE] [--allow-partial]",
+      "    [--gone-after=K] [--new-after-days=M] [--concurrency=N] [--host-delay-ms=MS] [--record[=DIR]]",
+      "  node unit_tracker.js scrape --replay[=DIR] [--property <id>] [--platform <platform>] [--report=FILE]",
+      "  node unit_tracker.js spells [--property <id>] [--gone-after=K]",
+      "  node unit_tracker.js backfill-events --from=YYYY-MM-DD [--to=YYYY-MM-DD] --all | --property <id> | --platform <platform>",
+      "    [--source=snapshot] [--gone-after=K] [--new-after-days=M] [--dry-run] [--report=FILE]",
+      "  node unit_tracker.js discover-sightmap --property <id> | --all [--force] [--dry-run]",
+      "  node unit_tracker.js detect-platform [--property <id>] [--limit=N] [--min-confidence=0.3] [--force] [--dry-run]",
+      "  node unit_tracker.js detect-platform --html=FILE [--url=URL]   (both: [--fingerprints=FILE])",
+      "  node unit_tracker.js import --csv=FILE [--commit] [--lookup-websites] [--report=FILE]",
+      `  node unit_tracker.js role --email <email> --role <${USER_ROLES.join("|")}> [--rep <rep_id>]`,
+      "  node unit_tracker.js schedule [--config=FILE] [--state-dir=DIR]",
+      "",
+      `Platforms: ${scrapeablePlatformValues().join(", ")}`,
+    ].join("\n")
+  );
+}
+
+async function fetchPropertiesForScrape(supabase, { propertyId, platform }) {
+  let q = supabase.from("properties").select("*").order("name", { ascending: true });
+  if (propertyId) q = q.eq("id", propertyId);
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  if (!platform) return rows;
+
+  const wanted = platformKey(platform);
+  return rows.filter((p) => platformKey(p.platform) === wanted);
+}
+
+// ================== scrape ==================
+async function scrapeCommand({ getArg, hasFlag }) {
+  if (hasFlag("replay")) return replayScrape({ getArg, hasFlag });
+
+  const propertyId = getArg("property");
+  const platform = getArg("platform");
+  const all = hasFlag("all");
+
+  if (!all && !propertyId && !platform) {
+    usage();
+    return 1;
+  }
+
+  if (platform && !runnerForPlatform(platform)) {
+    console.error(`No runner for platform "${platform}". Known: ${scrapeablePlatformValues().join(", ")}`);
+    return 1;
+  }
+
+  const snapshotDate = getArg("date") || process.env.SNAPSHOT_DATE || todayYYYYMMDD();
+  const source = getArg("source") || process.env.EVENT_SOURCE || "snapshot";
+  const limit = Number(getArg("limit", "0")) || Infinity;
+  const debug = hasFlag("debug");
+  const headless = !hasFlag("headful");
+  const reportFile = getArg("report");
+  const allowPartial = hasFlag("allow-partial");
+  const recordDir = hasFlag("record") ? getArg("record") || DEFAULT_HAR_DIR : null;
+  const concurrency = Math.max(1, Number(getArg("concurrency", process.env.SCRAPE_CONCURRENCY)) || 1);
+  const hostDelayMs = Math.max(0, Number(getArg("host-delay-ms", process.env.SCRAPE_HOST_DELAY_MS ?? 2000)) || 0);
+  const throttle = createHostThrottle({ minIntervalMs: hostDelayMs });
+  const confirm = eventConfirmationFromEnv({
+    UNIT_GONE_SNAPSHOTS: getArg("gone-after", process.env.UNIT_GONE_SNAPSHOTS),
+    UNIT_NEW_AFTER_DAYS: getArg("new-after-days", process.env.UNIT_NEW_AFTER_DAYS),
+  });
+
+  const supabase = createAdminClient();
+  const props = await fetchPropertiesForScrape(supabase, { propertyId, platform });
+
+  console.log("Unit Tracker scrape");
+  console.log("Snapshot date:", snapshotDate);
+  console.log("Event source:", source);
+  console.log(`Confirmation: gone after ${confirm.goneAfterSnapshots} snapshot(s), new after ${confirm.newAfterDays} day(s)`);
+  console.log("Properties selected:", props.length);
+  if (concurrency > 1) console.log(`Concurrency: ${concurrency} (same host at most every ${hostDelayMs} ms)`);
+  if (recordDir) console.log("Recording browser traffic to:", recordDir);
+
+  if (propertyId && !props.length) {
+    console.error(`Property not found: ${propertyId}`);
+    return 1;
+  }
+
+  // One shared browser; each property gets its own context (withPage), so N run side by side
+  let browserPromise = null;
+  const getBrowser = () => {
+    browserPromise ??= launchBrowser({ headless }).then((b) => throttledBrowser(b, throttle));
+    return browserPromise;
+  };
+
+  const runStartedAt = Date.now();
+  const runId = await startScrapeRun(supabase, {
+    trigger: "cli",
+    snapshotDate,
+    source,
+    args: {
+      property: propertyId || null,
+      platform: platform || null,
+      all,
+      limit: Number.isFinite(limit) ? limit : null,
+      allow_partial: allowPartial,
+      record: recordDir,
+      concurrency,
+      host_delay_ms: hostDelayMs,
+      ...confirm,
+    },
+  });
+
+  // --all walks every row; rows without a runner only count (as failed) for an explicit --property
+  const queue = [];
+  for (const p of props) {
+    if (queue.length >= limit) break;
+    if (runnerForPlatform(p.platform) || propertyId) queue.push(p);
+  }
+
+  // Console/report entry + scrape_run_items row. Slots keep the summary in property order.
+  const slots = new Array(queue.length).fill(null);
+
+  const scrapeOne = async (p, i) => {
+    const record = async (entry, item) => {
+      slots[i] = entry;
+      await recordScrapeRunItem(supabase, runId, item);
+    };
+
+    const name = p.name || "(unnamed)";
+    const runner = runnerForPlatform(p.platform);
+    // Lines from parallel properties interleave, so tag them
+    const log = (...a) => console.log(concurrency > 1 ? `[${name}]` : "  ", ...a);
+
+    if (!runner) {
+      console.error(`\n[FAIL] ${name} (${p.id}) — no runner for platform "${p.platform || ""}"`);
+      await record(
+        { property: p, status: "failed", error: "unsupported platform" },
+        buildRunItem({ property: p, platform: p.platform, status: "failed", error: "unsupported platform", startedAt: Date.now() })
+      );
+      return;
+    }
+
+    if (p.skip_scrape === true) {
+      console.log(`\n[SKIP] ${name} (${p.id}) — skip_scrape=true ${p.skip_reason ? `(${p.skip_reason})` : ""}`);
+      await record(
+        { property: p, status: "skipped" },
+        buildRunItem({ property: p, platform: runner.platform, status: "skipped", error: p.skip_reason || null, startedAt: Date.now() })
+      );
+      return;
+    }
+
+    console.log(`\n[RUN] ${name} (${p.id}) platform=${runner.platform}`);
+    const startedAt = Date.now();
+    const requests = [];
+    const itemFor = (status, extra) =>
+      buildRunItem({ property: p, platform: runner.platform, status, requests, startedAt, ...extra });
+
+    try {
+      let property = p;
+      if (runner.platform === "sightmap" && needsSightmapDiscovery(p)) {
+        property = await discoverAndSaveSightmap(supabase, p, { log, record: (r) => requests.push(r), throttle });
+      }
+
+      let runBrowser = runner.usesBrowser ? await getBrowser() : null;
+      if (recordDir && runBrowser) {
+        const archiveDir = archiveDirFor(recordDir, p.id);
+        startArchive(archiveDir, { property: p, platform: runner.platform, snapshotDate });
+        runBrowser = harBrowser(runBrowser, { mode: "record", archiveDir, log });
+        log("Recording to:", archiveDir);
+      } else if (recordDir) {
+        log("Not recorded: --record only covers the browser platforms");
+      }
+
+      const res = await runPropertySnapshot({
+        supabase,
+        property,
+        runner,
+        snapshotDate,
+        source,
+        browser: runBrowser,
+        debug,
+        log,
+        recordRequest: (r) => requests.push(r),
+        throttle,
+        allowPartial,
+        confirm,
+      });
+
+      if (res.status === "zero_units") {
+        log("⚠️ Extracted 0 units — snapshot NOT written.");
+        await record(
+          { property: p, status: "zero_units", units: 0, quarantined: res.quarantined },
+          itemFor("zero_units", { result: res })
+        );
+      } else if (res.status === "provisional") {
+        log("⚠️ Provisional snapshot (looks partial), no events written");
+        await record(
+          { property: p, status: "provisional", units: res.units.length, reasons: res.provisionalReasons, quarantined: res.quarantined },
+          itemFor("provisional", { result: res })
+        );
+      } else {
+        log(`✅ Snapshot + ${res.events.length} events written`);
+        await record(
+          {
+            property: p,
+            status: "ok",
+            units: res.units.length,
+            appeared: res.appeared.length,
+            disappeared: res.disappeared.length,
+            reappeared: res.reappeared.length,
+            changed: res.changed.length,
+            quarantined: res.quarantined,
+          },
+          itemFor("ok", { result: res })
+        );
+      }
+    } catch (err) {
+      log(`❌ Failed after ${Math.round((Date.now() - startedAt) / 1000)}s:`, err?.message || err);
+      await record({ property: p, status: "failed", error: err?.message || String(err) }, itemFor("failed", { error: err }));
+    }
+
+    await sleep(200);
+  };
+
+  const pool = pLimit(concurrency);
+  try {
+    await Promise.all(queue.map((p, i) => pool(() => scrapeOne(p, i))));
+  } finally {
+    const browser = browserPromise && (await browserPromise.catch(() => null));
+    if (browser) await browser.close().catch(() => {});
+    await finishScrapeRun(supabase, runId, { statuses: slots.filter(Boolean).map((r) => r.status), startedAt: runStartedAt });
+  }
+
+  const results = slots.filter(Boolean);
+  const count = (s) => results.filter((r) => r.status === s).length;
+
+  console.log("\n========================================");
+  console.log("SUMMARY");
+  console.log("========================================");
+  for (const r of results) {
+    const q = r.quarantined?.length ? ` quarantined=${r.quarantined.length}` : "";
+    const extra =
+      r.status === "ok"
+        ? `units=${r.units} +${r.appeared} -${r.disappeared} ↺${r.reappeared} ~${r.changed}${q}`
+        : r.status === "provisional"
+          ? `units=${r.units}${q} held back: ${r.reasons.join("; ")}`
+          : r.error || (r.status === "zero_units" ? `units=0${q}` : "");
+    console.log(`${r.status.padEnd(11)} ${(r.property.name || r.property.id).padEnd(40)} ${extra}`);
+  }
+  const quarantinedTotal = results.reduce((n, r) => n + (r.quarantined?.length || 0), 0);
+  console.log(
+    `\nOK: ${count("ok")}  Provisional: ${count("provisional")}  Zero units: ${count("zero_units")}  Failed: ${count("failed")}  Skipped: ${count("skipped")}  Quarantined rows: ${quarantinedTotal}`
+  );
+  if (runId) console.log("Scrape run:", runId);
+
+  if (reportFile) {
+    const report = {
+      snapshot_date: snapshotDate,
+      source,
+      results: results.map((r) => ({
+        property_id: r.property.id,
+        property_name: r.property.name || null,
+        status: r.status,
+        units: r.units ?? null,
+        appeared: r.appeared ?? null,
+        reappeared: r.reappeared ?? null,
+        disappeared: r.disappeared ?? null,
+        changed: r.changed ?? null,
+        error: r.error || null,
+        provisional_reasons: r.reasons || null,
+        quarantined: (r.quarantined || []).map((q) => ({ unit_number: q.unit.unit_number, errors: q.errors, unit: q.unit })),
+      })),
+    };
+    if (safeWriteFile(reportFile, JSON.stringify(report, null, 2))) console.log("Report written:", reportFile);
+    else console.log("❌ Could not write report:", reportFile);
+  }
+
+  return count("failed") || count("zero_units") || count("provisional") ? 1 : 0;
+}
+
+// ================== scrape --replay ==================
+// Extraction only, against archives written by scrape --record. Uses the property row and
+// snapshot date saved with the archive, so a failing case reproduces on any machine.
+async function replayScrape({ getArg, hasFlag }) {
+  const dir = getArg("replay") || DEFAULT_HAR_DIR;
+  const propertyId = getArg("property");
+  const platform = getArg("platform");
+  const debug = hasFlag("debug");
+  const headless = !hasFlag("headful");
+  const reportFile = getArg("report");
+
+  const archives = listArchives(dir).filter(
+    (a) =>
+      (!propertyId || String(a.property?.id) === propertyId) &&
+      (!platform || platformKey(a.platform) === platformKey(platform))
+  );
+
+  console.log("Unit Tracker replay");
+  console.log("Archive:", dir);
+  console.log("Properties selected:", archives.length);
+
+  if (!archives.length) {
+    console.error(`No recorded properties in ${dir} (record with: scrape --property <id> --record=${dir})`);
+    return 1;
+  }
+
+  const browser = await launchBrowser({ headless });
+  const results = [];
+
+  try {
+    for (const a of archives) {
+      const p = a.property || {};
+      const runner = runnerForPlatform(a.platform);
+      console.log(`\n[REPLAY] ${p.name || "(unnamed)"} (${p.id}) platform=${a.platform} recorded ${a.recorded_at}`);
+
+      if (!runner?.usesBrowser) {
+        console.log(`  ❌ No browser runner for platform "${a.platform}"`);
+        results.push({ property: p, status: "failed", error: "unsupported platform" });
+        continue;
+      }
+
+      const log = (...args) => console.log("  ", ...args);
+      try {
+        const { units, quarantined } = await extractPropertyUnits({
+          property: p,
+          runner,
+          snapshotDate: a.snapshot_date,
+          browser: harBrowser(browser, { mode: "replay", archiveDir: a.dir, log }),
+          debug,
+          log,
+        });
+        results.push({ property: p, status: units.length ? "ok" : "zero_units", units, quarantined });
+      } catch (err) {
+        console.log("  ❌ Replay failed:", err?.message || err);
+        results.push({ property: p, status: "failed", error: err?.message || String(err) });
+      }
+    }
+  } finally {
+    await browser.close().catch(() => {});
+  }
+
+  console.log("\n========================================");
+  console.log("REPLAY SUMMARY");
+  console.log("========================================");
+  for (const r of results) {
+    const q = r.quarantined?.length ? ` quarantined=${r.quarantined.length}` : "";
+    const extra = r.status === "failed" ? r.error : `units=${r.units.length}${q}`;
+    console.log(`${r.status.padEnd(11)} ${(r.property.name || String(r.property.id)).padEnd(40)} ${extra}`);
+  }
+
+  if (reportFile) {
+    const report = {
+      replay: dir,
+      results: results.map((r) => ({
+        property_id: r.property.id ?? null,
+        property_name: r.property.name || null,
+        status: r.status,
+        error: r.error || null,
+        units: r.units || [],
+        quarantined: (r.quarantined || []).map((q) => ({ unit_number: q.unit.unit_number, errors: q.errors, unit: q.unit })),
+      })),
+    };
+    if (safeWriteFile(reportFile, JSON.stringify(report, null, 2))) console.log("Report written:", reportFile);
+    else console.log("❌ Could not write report:", reportFile);
+  }
+
+  return results.some((r) => r.status !== "ok") ? 1 : 0;
+}
+
+// ================== discover-sightmap ==================
+function needsSightmapDiscovery(p) {
+  return !String(p.sightmap_asset || "").trim() || !String(p.sightmap_landing_page_id || "").trim();
+}
+
+// Returns the property with the discovered ids filled in (unchanged when nothing was found)
+async function discoverAndSaveSightmap(supabase, p, { log, record, throttle, dryRun = false }) {
+  if (!p.url) {
+    log("⚠️ No properties.url to discover the SightMap landing page from");
+    return p;
+  }
+
+  log("Discovering SightMap landing page from", p.url);
+  const found = await discoverSightmap(p.url, { log, record, throttle });
+  if (!found) {
+    log("⚠️ No working SightMap embed found");
+    return p;
+  }
+
+  log(`✅ asset=${found.asset} landing_page=${found.landingPageId} (${found.units} units, found on ${found.foundOn})`);
+  if (dryRun) return { ...p, sightmap_asset: found.asset, sightmap_landing_page_id: found.landingPageId };
+
+  const patch = await saveSightmapDiscovery(supabase, p.id, found);
+  return { ...p, ...patch };
+}
+
+async function discoverSightmapCommand({ getArg, hasFlag }) {
+  const propertyId = getArg("property");
+  const all = hasFlag("all");
+  const force = hasFlag("force");
+  const dryRun = hasFlag("dry-run");
+
+  if (!all && !propertyId) {
+    usage();
+    return 1;
+  }
+
+  const supabase = createAdminClient();
+  // --all: SightMap rows only; --property: any row (e.g. one about to be switched to sightmap)
+  const props = await fetchPropertiesForScrape(supabase, { propertyId, platform: propertyId ? null : "sightmap" });
+  if (propertyId && !props.length) {
+    console.error(`Property not found: ${propertyId}`);
+    return 1;
+  }
+
+  const throttle = createHostThrottle({ minIntervalMs: Number(process.env.SCRAPE_HOST_DELAY_MS ?? 2000) || 0 });
+  let missing = 0;
+
+  for (const p of props) {
+    const name = p.name || p.id;
+    if (!force && !needsSightmapDiscovery(p)) {
+      console.log(`[SKIP] ${name} — already has ${p.sightmap_asset}/${p.sightmap_landing_page_id} (--force to redo)`);
+      continue;
+    }
+
+    console.log(`\n[DISCOVER] ${name} (${p.id})`);
+    const log = (...a) => console.log("  ", ...a);
+    try {
+      const res = await discoverAndSaveSightmap(supabase, p, { log, throttle, dryRun });
+      if (res === p) missing += 1;
+      else if (!dryRun) log("Saved to properties");
+    } catch (err) {
+      missing += 1;
+      log("❌", err?.message || err);
+    }
+  }
+
+  return missing ? 1 : 0;
+}
+
+// ================== detect-platform ==================
+function hasNoPlatform(p) {
+  const v = String(p.platform || "").trim().toLowerCase();
+  return !v || v === "unknown";
+}
+
+async function detectPlatformCommand({ getArg, hasFlag }) {
+  const fingerprints = loadFingerprints(getArg("fingerprints") || undefined);
+
+  // Offline: score one saved page, e.g. to check a fingerprint change against a site that was misread
+  const htmlFile = getArg("html");
+  if (htmlFile) {
+    const url = getArg("url") || "https://saved-page.invalid/";
+    const candidates = scoreSignals([{ url, html: fs.readFileSync(htmlFile, "utf8") }], fingerprints);
+    if (!candidates.length) console.log("No signals matched.");
+    for (const c of candidates) {
+      console.log(`${c.platform.padEnd(14)} ${c.confidence.toFixed(2)}  ${c.evidence.map((e) => e.signal).join(", ")}`);
+    }
+    return 0;
+  }
+
+  const propertyId = getArg("property");
+  const limit = Number(getArg("limit", "0")) || Infinity;
+  const minConfidence = Number(getArg("min-confidence", "0.3")) || 0;
+  const force = hasFlag("force");
+  const dryRun = hasFlag("dry-run");
+
+  const supabase = createAdminClient();
+  const rows = await fetchPropertiesForScrape(supabase, { propertyId });
+  if (propertyId && !rows.length) {
+    console.error(`Property not found: ${propertyId}`);
+    return 1;
+  }
+
+  // --force: also rows that already have a platform (--property) or whose suggestion was rejected
+  const props = rows
+    .filter((p) => force || (hasNoPlatform(p) && p.platform_suggestion_status !== "rejected"))
+    .slice(0, limit);
+
+  console.log("Unit Tracker platform detection");
+  console.log(`Properties: ${props.length} of ${rows.length}${force ? " (--force)" : " without a platform"}`);
+
+  const throttle = createHostThrottle({ minIntervalMs: Number(process.env.SCRAPE_HOST_DELAY_MS ?? 2000) || 0 });
+  const counts = { suggested: 0, none: 0, no_url: 0 };
+
+  for (const p of props) {
+    const name = p.name || p.id;
+    if (!p.url) {
+      console.log(`[SKIP] ${name} — no url`);
+      counts.no_url += 1;
+      continue;
+    }
+
+    const res = await detectPlatform(p.url, { throttle, fingerprints });
+    const notes = res.evidence.notes.length ? ` (${res.evidence.notes.join("; ")})` : "";
+
+    if (!res.platform || res.confidence < minConfidence) {
+      console.log(`[NONE] ${name} — ${res.platform ? `${res.platform} ${res.confidence} below ${minConfidence}` : "no signals"}${notes}`);
+      counts.none += 1;
+      continue;
+    }
+
+    console.log(`[SUGGEST] ${name} -> ${res.platform} (${res.confidence}): ${res.evidence.signals.map((s) => s.signal).join(", ")}${notes}`);
+    counts.suggested += 1;
+    if (dryRun) continue;
+
+    const { error } = await supabase
+      .from("properties")
+      .update({
+        platform_suggestion: res.platform,
+        platform_suggestion_confidence: res.confidence,
+        platform_suggestion_evidence: res.evidence,
+        platform_suggested_at: new Date().toISOString(),
+        platform_suggestion_status: "pending",
+        platform_suggestion_reviewed_at: null,
+        platform_suggestion_reviewed_by: null,
+      })
+      .eq("id", p.id);
+    if (error) throw error;
+  }
+
+  console.log(
+    `\nSuggested: ${counts.suggested}  No confident guess: ${counts.none}  No url: ${counts.no_url}${dryRun ? "  (dry run, nothing saved)" : ""}`
+  );
+  if (counts.suggested && !dryRun) console.log("Review them in the Properties tab (Accept / Reject).");
+  return 0;
+}
+
+// ================== import ==================
+// Same plan as the Import tab (lib/property_import.js): preview by default, --commit to write.
+async function importCommand({ getArg, hasFlag }) {
+  const csvFile = getArg("csv");
+  const commit = hasFlag("commit");
+  const lookup = hasFlag("lookup-websites");
+  const reportFile = getArg("report");
+
+  if (!csvFile) {
+    usage();
+    return 1;
+  }
+
+  const { headers, rows } = parseCsv(fs.readFileSync(csvFile, "utf8"));
+  if (!headers.includes("address")) {
+    console.error(`${csvFile}: needs an address column (found: ${headers.join(", ") || "nothing"})`);
+    return 1;
+  }
+
+  const supabase = createAdminClient();
+  const { data: existing, error } = await supabase.from("properties").select("*");
+  if (error) throw error;
+
+  const plan = planImport(rows, existing || []);
+
+  console.log("Unit Tracker import");
+  console.log("CSV:", csvFile, `(${rows.length} rows)`);
+  console.log("Existing properties:", (existing || []).length);
+
+  const apiKey = placesApiKey();
+  if (lookup && !apiKey) console.log("⚠️ --lookup-websites needs GOOGLE_MAPS_API_KEY; importing without website lookup");
+
+  for (const it of plan.items) {
+    const addr = [it.incoming.address, it.incoming.city, it.incoming.zip].filter(Boolean).join(", ");
+    const tag = `${String(it.line ?? "").padStart(4)} ${it.status.padEnd(9)}`;
+
+    if (it.status === "new" && lookup && apiKey && !it.incoming.url) {
+      try {
+        const found = await findWebsiteForAddress(apiKey, addr);
+        if (found?.website) {
+          it.incoming.url = found.website;
+          if (it.incoming.name === it.incoming.address && found.name) it.incoming.name = found.name;
+        }
+      } catch (err) {
+        console.log(`${tag} ⚠️ website lookup failed: ${err?.message || err}`);
+      }
+    }
+
+    if (it.status === "new") console.log(`${tag} ${addr}${it.incoming.url ? `  ${it.incoming.url}` : ""}`);
+    else if (it.status === "matched" || it.status === "conflict") {
+      const fill = Object.entries(it.fill).map(([k, v]) => `${k}=${v}`);
+      console.log(`${tag} ${addr} -> ${it.existing.name || it.existing.id}${fill.length ? `  fill ${fill.join(", ")}` : ""}`);
+      for (const c of it.conflicts) console.log(`${"".padEnd(15)}${c.field}: "${c.existing}" (kept) vs "${c.incoming}" (CSV)`);
+    } else console.log(`${tag} ${addr || "(blank)"}  ${it.reason}`);
+  }
+
+  const { counts } = plan;
+  console.log(
+    `\nNew: ${counts.new}  Matched: ${counts.matched}  Conflicts: ${counts.conflict}  Duplicates: ${counts.duplicate}  Invalid: ${counts.invalid}`
+  );
+
+  if (reportFile) {
+    const report = plan.items.map((it) => ({ ...it, existing: it.existing ? { id: it.existing.id, name: it.existing.name } : null }));
+    if (safeWriteFile(reportFile, JSON.stringify(report, null, 2))) console.log("Report written:", reportFile);
+  }
+
+  if (!commit) {
+    console.log("Preview only. Re-run with --commit to insert new rows and fill blanks on matched ones.");
+    return 0;
+  }
+
+  const { inserts, updates } = importChanges(plan);
+  if (inserts.length) {
+    const { error: insErr } = await supabase.from("properties").insert(inserts);
+    if (insErr) throw insErr;
+  }
+  for (const u of updates) {
+    const { error: updErr } = await supabase.from("properties").update(u.patch).eq("id", u.id);
+    if (updErr) throw updErr;
+  }
+
+  console.log(`✅ Inserted ${inserts.length}, filled ${updates.length}. Conflicts were left as they are.`);
+  if (inserts.some((p) => p.platform === "unknown")) console.log("Next: node unit_tracker.js detect-platform");
+  return 0;
+}
+
+// ================== spells ==================
+// Rebuild listing spells from unit_snapshots and print days-on-market by property / rep / city+zip.
+// Stats use closed spells (unit came off market); open spells are reported as a count.
+// Gaps shorter than --gone-after (UNIT_GONE_SNAPSHOTS) snapshots don't split a spell.
+async function spellsCommand({ getArg }) {
+  const propertyId = getArg("property");
+  const confirm = eventConfirmationFromEnv({
+    UNIT_GONE_SNAPSHOTS: getArg("gone-after", process.env.UNIT_GONE_SNAPSHOTS),
+  });
+  const supabase = createAdminClient();
+
+  let q = supabase.from("properties").select("id, name, city, zip, rep_id").order("name", { ascending: true });
+  if (propertyId) q = q.eq("id", propertyId);
+  const { data: props, error } = await q;
+  if (error) throw error;
+
+  const { data: reps } = await supabase.from("reps").select("id, name");
+  const repName = new Map((reps || []).map((r) => [r.id, r.name]));
+
+  const groups = { property: new Map(), rep: new Map(), "city/zip": new Map() };
+  const addTo = (kind, key, spells) => {
+    if (!groups[kind].has(key)) groups[kind].set(key, { closed: [], open: 0 });
+    const g = groups[kind].get(key);
+    for (const s of spells) {
+      if (s.is_open) g.open += 1;
+      else g.closed.push(s.days_on_market);
+    }
+  };
+
+  let failed = 0;
+  for (const p of props || []) {
+    try {
+      const { snapshots, spells } = await rebuildSpellsForProperty(supabase, p.id, { confirm });
+      if (!snapshots) continue;
+
+      addTo("property", p.name || p.id, spells);
+      addTo("rep", p.rep_id ? repName.get(p.rep_id) || "Unknown" : "Unassigned", spells);
+      addTo("city/zip", [p.city, p.zip].filter(Boolean).join(" ") || "(no city/zip)", spells);
+    } catch (err) {
+      failed += 1;
+      console.log(`❌ ${p.name || p.id}:`, err?.message || err);
+    }
+  }
+
+  for (const [kind, map] of Object.entries(groups)) {
+    console.log(`\n=== Days on market by ${kind} ===`);
+    console.log(`${"".padEnd(40)} ${"closed".padStart(7)} ${"median".padStart(7)} ${"avg".padStart(7)} ${"open".padStart(6)}`);
+    for (const [key, g] of [...map.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+      const st = summarizeDays(g.closed);
+      console.log(
+        `${key.slice(0, 40).padEnd(40)} ${String(st.count).padStart(7)} ${String(st.median ?? "—").padStart(7)} ${String(st.average ?? "—").padStart(7)} ${String(g.open).padStart(6)}`
+      );
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+// ================== backfill-events ==================
+// Regenerate unit_events history from unit_snapshots, e.g. after a normalization fix.
+// Idempotent: days whose rebuilt events match what's stored are left alone.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DIFF_LINES = 10;
+
+function formatEventLine(sign, e) {
+  const change = e.old_value != null || e.new_value != null ? `  ${e.old_value ?? "—"} -> ${e.new_value ?? "—"}` : "";
+  return `      ${sign} ${e.event_type.padEnd(20)} ${e.unit_number || e.unit_key}${change}`;
+}
+
+async function backfillEventsCommand({ getArg, hasFlag }) {
+  const propertyId = getArg("property");
+  const platform = getArg("platform");
+  const all = hasFlag("all");
+  const fromDate = getArg("from");
+  const toDate = getArg("to") || todayYYYYMMDD();
+  const source = getArg("source") || process.env.EVENT_SOURCE || "snapshot";
+  const dryRun = hasFlag("dry-run");
+  const reportFile = getArg("report");
+  const confirm = eventConfirmationFromEnv({
+    UNIT_GONE_SNAPSHOTS: getArg("gone-after", process.env.UNIT_GONE_SNAPSHOTS),
+    UNIT_NEW_AFTER_DAYS: getArg("new-after-days", process.env.UNIT_NEW_AFTER_DAYS),
+  });
+
+  if ((!all && !propertyId && !platform) || !ISO_DATE.test(fromDate || "") || !ISO_DATE.test(toDate)) {
+    usage();
+    return 1;
+  }
+  if (fromDate > toDate) {
+    console.error(`--from ${fromDate} is after --to ${toDate}`);
+    return 1;
+  }
+
+  const supabase = createAdminClient();
+  const props = await fetchPropertiesForScrape(supabase, { propertyId, platform });
+
+  console.log("Unit Tracker backfill-events");
+  console.log(`Range: ${fromDate} .. ${toDate}`);
+  console.log("Event source:", source);
+  console.log(`Confirmation: gone after ${confirm.goneAfterSnapshots} snapshot(s), new after ${confirm.newAfterDays} day(s)`);
+  console.log("Properties selected:", props.length);
+  if (dryRun) console.log("Dry run: nothing is written");
+
+  if (propertyId && !props.length) {
+    console.error(`Property not found: ${propertyId}`);
+    return 1;
+  }
+
+  const report = [];
+  const totals = { properties: 0, days: 0, added: 0, removed: 0 };
+  let failed = 0;
+
+  for (const p of props) {
+    try {
+      const { snapshots, changes } = await backfillPropertyEvents(supabase, p.id, { fromDate, toDate, source, confirm, dryRun });
+      if (!snapshots && !changes.length) continue;
+
+      const added = changes.reduce((n, c) => n + c.added.length, 0);
+      const removed = changes.reduce((n, c) => n + c.removed.length, 0);
+      console.log(
+        `${changes.length ? (dryRun ? "~" : "✅") : "="} ${p.name || p.id}: ${snapshots} snapshot(s), ` +
+          (changes.length ? `${changes.length} day(s) differ (+${added} -${removed} events)` : "unchanged")
+      );
+
+      for (const c of changes) {
+        console.log(`    ${c.date}  +${c.added.length} -${c.removed.length}`);
+        if (!dryRun) continue;
+        const lines = [...c.added.map((e) => formatEventLine("+", e)), ...c.removed.map((e) => formatEventLine("-", e))];
+        for (const line of lines.slice(0, MAX_DIFF_LINES)) console.log(line);
+        if (lines.length > MAX_DIFF_LINES) console.log(`      ... ${lines.length - MAX_DIFF_LINES} more`);
+      }
+
+      if (changes.length) totals.properties += 1;
+      totals.days += changes.length;
+      totals.added += added;
+      totals.removed += removed;
+      report.push({
+        property_id: p.id,
+        property_name: p.name ?? null,
+        snapshots,
+        days: changes.map(({ date, added: a, removed: r }) => ({ date, added: a, removed: r })),
+      });
+    } catch (err) {
+      failed += 1;
+      console.log(`❌ ${p.name || p.id}:`, err?.message || err);
+    }
+  }
+
+  console.log(
+    `\n${dryRun ? "Would rewrite" : "Rewrote"} ${totals.days} day(s) across ${totals.properties} property(ies): ` +
+      `+${totals.added} -${totals.removed} events${failed ? `, ${failed} failed` : ""}`
+  );
+  if (dryRun && totals.days) console.log("Re-run without --dry-run to write them.");
+
+  if (reportFile && safeWriteFile(reportFile, JSON.stringify(report, null, 2))) console.log("Report written:", reportFile);
+
+  return failed ? 1 : 0;
+}
+
+// ================== role ==================
+// Map a Supabase auth user (by email) to a role and rep. Upserts user_roles.
+async function roleCommand({ getArg }) {
+  const email = String(getArg("email") || "").trim().toLowerCase();
+  const role = getArg("role");
+  const repId = getArg("rep") || null;
+
+  if (!email || !USER_ROLES.includes(role)) {
+    usage();
+    return 1;
+  }
+
+  if (role === "rep" && !repId) {
+    console.log("❌ --rep is required for role=rep (the rep whose properties/leads they see)");
+    return 1;
+  }
+
+  const supabase = createAdminClient();
+
+  let user = null;
+  for (let page = 1; !user; page += 1) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+    if (error) throw error;
+    const users = data?.users || [];
+    user = users.find((u) => String(u.email || "").toLowerCase() === email) || null;
+    if (users.length < 1000) break;
+  }
+
+  if (!user) {
+    console.log(`❌ No auth user with email ${email} (they need to sign up first)`);
+    return 1;
+  }
+
+  if (repId) {
+    const { data: rep, error } = await supabase.from("reps").select("id, name").eq("id", repId).maybeSingle();
+    if (error) throw error;
+    if (!rep) {
+      console.log(`❌ No rep with id ${repId}`);
+      return 1;
+    }
+  }
+
+  const { error } = await supabase
+    .from("user_roles")
+    .upsert({ user_id: user.id, email, role, rep_id: repId, updated_at: new Date().toISOString() }, { onConflict: "user_id" });
+  if (error) throw error;
+
+  console.log(`✅ ${email} -> ${role}${repId ? ` (rep ${repId})` : ""}`);
+  return 0;
+}
+
+// ================== schedule ==================
+// Runs scrape jobs on their cron schedules until stopped (systemd / pm2 / a terminal on the Linux box).
+async function scheduleCommand({ getArg }) {
+  const jobs = loadJobs(getArg("config"));
+  return runScheduler({ jobs, stateDir: getArg("state-dir") || DEFAULT_STATE_DIR });
+}
+
+const COMMANDS = {
+  scrape: scrapeCommand,
+  "discover-sightmap": discoverSightmapCommand,
+  "detect-platform": detectPlatformCommand,
+  import: importCommand,
+  spells: spellsCommand,
+  "backfill-events": backfillEventsCommand,
+  role: roleCommand,
+  schedule: scheduleCommand,
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const handler = COMMANDS[command];
+
+  if (!handler) {
+    usage();
+    return 1;
+  }
+
+  return handler(parseArgs(rest));
+}
+
+// Clean exit wrapper (prevents Windows async handle crash)
+main()
+  .then((code) => setTimeout(() => process.exit(code || 0), 200))
+  .catch((err) => {
+    console.error("❌ Failed:", err?.message || err);
+    setTimeout(() => process.exit(1), 200);
+  });